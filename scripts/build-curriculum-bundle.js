@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * Build web/data/curriculum-bundle.js from the curriculum JSON files
+ *
+ * The bundle is what CurriculumManager falls back to when fetch() can't read web/data
+ * (the app opened from file://). Each file is stored as its exact text, so the fallback
+ * is byte-identical to the JSON modules.
+ *
+ * Usage:
+ *   node scripts/build-curriculum-bundle.js           # write the bundle
+ *   node scripts/build-curriculum-bundle.js --check   # exit 1 if the bundle is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'web', 'data');
+const BUNDLE_FILE = path.join(DATA_DIR, 'curriculum-bundle.js');
+const INDEX_FILE = 'modules.json';
+
+/**
+ * Collect the index and every module file it lists, as raw text
+ */
+function collectFiles() {
+    const indexText = fs.readFileSync(path.join(DATA_DIR, INDEX_FILE), 'utf8');
+    const index = JSON.parse(indexText);
+    const files = { [INDEX_FILE]: indexText };
+
+    (index.modules || []).forEach(entry => {
+        const file = entry.file || `${entry.id}.json`;
+        files[file] = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
+    });
+
+    return files;
+}
+
+/**
+ * Render the bundle source
+ */
+function renderBundle(files) {
+    const entries = Object.entries(files).map(([file, text]) =>
+        `    ${JSON.stringify(file)}: ${JSON.stringify(text)}`
+    );
+
+    return [
+        '/**',
+        ' * Curriculum Bundle - offline copy of web/data for when fetch() is unavailable',
+        ' * GENERATED by scripts/build-curriculum-bundle.js from the files it lists. Do not edit by hand.',
+        ' */',
+        '',
+        'window.CURRICULUM_BUNDLE = {',
+        entries.join(',\n'),
+        '};',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const bundle = renderBundle(collectFiles());
+    const relative = path.relative(process.cwd(), BUNDLE_FILE);
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(BUNDLE_FILE) ? fs.readFileSync(BUNDLE_FILE, 'utf8') : null;
+        if (current !== bundle) {
+            console.error(`${relative} is out of date. Run: node scripts/build-curriculum-bundle.js`);
+            process.exit(1);
+        }
+        console.log(`${relative} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(BUNDLE_FILE, bundle);
+    console.log(`Wrote ${relative}`);
+}
+
+main();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * Validate curriculum module files
+ *
+ * Usage:
+ *   node scripts/validate-curriculum.js                 # every module in web/data/modules.json
+ *   node scripts/validate-curriculum.js path/to/module.json [...]
+ *
+ * Exits with status 1 if any module has errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CurriculumValidator = require('../web/js/utils/CurriculumValidator.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'web', 'data');
+
+/**
+ * Read and parse a JSON file, reporting syntax errors instead of throwing
+ */
+function readJson(file) {
+    try {
+        return { data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * List the module files named in the module index
+ */
+function getIndexedFiles() {
+    const indexFile = path.join(DATA_DIR, 'modules.json');
+    const index = readJson(indexFile);
+    if (index.error) {
+        console.error(`${indexFile}: ${index.error}`);
+        process.exit(1);
+    }
+
+    return (index.data.modules || []).map(entry => ({
+        file: path.join(DATA_DIR, entry.file || `${entry.id}.json`),
+        id: entry.id
+    }));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const targets = args.length > 0 ? args.map(file => ({ file: path.resolve(file), id: null })) : getIndexedFiles();
+    let errorCount = 0;
+
+    targets.forEach(target => {
+        const relative = path.relative(process.cwd(), target.file);
+        const parsed = readJson(target.file);
+
+        if (parsed.error) {
+            console.log(`✗ ${relative}\n  error   $: ${parsed.error}`);
+            errorCount++;
+            return;
+        }
+
+        const result = CurriculumValidator.validate(parsed.data);
+        if (target.id && parsed.data.id !== target.id) {
+            result.errors.push({
+                path: '$.id',
+                message: `Module index lists this file as "${target.id}"`,
+                severity: 'error'
+            });
+        }
+
+        console.log(`${result.errors.length === 0 ? '✓' : '✗'} ${relative} ` +
+            `(${result.errors.length} errors, ${result.warnings.length} warnings)`);
+        CurriculumValidator.formatIssues(result).forEach(line => console.log(`  ${line}`));
+        errorCount += result.errors.length;
+    });
+
+    process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,9 @@
+/**
+ * Curriculum Bundle - offline copy of web/data for when fetch() is unavailable
+ * GENERATED by scripts/build-curriculum-bundle.js from the files it lists. Do not edit by hand.
+ */
+
+window.CURRICULUM_BUNDLE = {
+    "modules.json": "{\n  \"default\": \"r003.1\",\n  \"mastery_threshold\": 0.8,\n  \"modules\": [\n    {\"id\": \"r003.1\", \"title\": \"Pirate Vocabulary Adventure\", \"file\": \"r003.1.json\"}\n  ]\n}\n",
+    "r003.1.json": "{\n  \"description\": \"A 3rd grade level set of vocabulary, spelling and reading exercises. Will test fluency, comprehension, and grammar (present and past tense).\",\n  \"id\": \"r003.1\",\n  \"dependencies\": null,\n  \"subject\": \"reading\",\n  \"goals\": \"build reading fluency, spelling, and vocabulary, with a focus on words in context. Exercises will practice word pairs like ship-shape, money-monkey, deck-dock, cat-rat and pirate-parrot. Pedagogical tools should include phonics, rhyming, 'multiple meanings', as well prompting with starting letters, or varying definitions.\",\n  \"exercises\": [\"multiple_choice\", \"fill_in_the_blank\", \"spelling\", \"bubble_pop\", \"fluent_reading\"],\n  \"optional_exercises\": [\"bubble_pop\"],\n  \"unlock_rules\": {\n    \"order\": [\"multiple_choice\", \"fill_in_the_blank\", \"spelling\", \"bubble_pop\", \"fluent_reading\"],\n    \"threshold\": 0.8,\n    \"required_difficulty\": {\n      \"multiple_choice\": \"5\",\n      \"fill_in_the_blank\": \"moderate\",\n      \"spelling\": \"hard\",\n      \"bubble_pop\": \"hard\"\n    }\n  },\n  \"content\": {\n    \"vocabulary\": [\n      {\"word\": \"pirate\", \"definition\": \"a person who steals from ships at sea\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"parrot\", \"definition\": \"a brightly colored bird that can sometimes speak\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.3, \"importance\": 1.0},\n      {\"word\": \"ship\", \"definition\": \"a large wooden boat, with masts and sails. Used by pirates.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"shape\", \"definition\": \"you can either be in good-- or bad--. Good-- is sometimes called ship--\", \"fitb\": \"A {blank} is something \", \"difficulty\": 0.7, \"importance\": 0.8},\n      {\"word\": \"grog\", \"definition\": \"a strong drink a young pirate should definitely not taste, in case they get sick.\", \"fitb\": \"{blank} is \", \"difficulty\": 0.6, \"importance\": 0.7},\n      {\"word\": \"key\", \"definition\": \"something you need to open a lock. One might open a door, or a treasure chest.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.3, \"importance\": 1.0},\n      {\"word\": \"door\", \"definition\": \"something you can knock on. What is behind a locked one?\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"chest\", \"definition\": \"a large box that you can lock\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.4, \"importance\": 0.9},\n      {\"word\": \"monkey\", \"definition\": \"an animal that can climb easily, and make a big mess\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.3, \"importance\": 1.0},\n      {\"word\": \"money\", \"definition\": \"something that a pirate loves more than anything.\", \"fitb\": \"{blank} is \", \"difficulty\": 0.3, \"importance\": 1.0},\n      {\"word\": \"mother\", \"definition\": \"something that a pirate loves almost as much as money.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"honey\", \"definition\": \"something sweet that is hard to find on a pirate ship.\", \"fitb\": \"{blank} is \", \"difficulty\": 0.4, \"importance\": 0.8},\n      {\"word\": \"mast\", \"definition\": \"a very high wooden pole on a ship. It holds up the sails.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.5, \"importance\": 0.9},\n      {\"word\": \"mate\", \"definition\": \"a member of a pirate ship, who tells the other pirates what to do.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.4, \"importance\": 0.9},\n      {\"word\": \"captain\", \"definition\": \"a member of a pirate ship, who tells all the other pirates what to do, even the mate.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.4, \"importance\": 1.0},\n      {\"word\": \"cat\", \"definition\": \"an animal on a pirate ship that purrs and eats rats.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"rat\", \"definition\": \"an animal on a pirate ship that steals food. Pirates hate animals that steal.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"sea\", \"definition\": \"the water that a ship sails on.\", \"fitb\": \"The {blank} is \", \"difficulty\": 0.2, \"importance\": 1.0},\n      {\"word\": \"shore\", \"definition\": \"land next to the sea\", \"fitb\": \"The {blank} is \", \"difficulty\": 0.4, \"importance\": 0.9},\n      {\"word\": \"deck\", \"definition\": \"what the floor on top of a ship is called.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.5, \"importance\": 0.9},\n      {\"word\": \"dock\", \"definition\": \"where the ships are tied when pirates are on shore.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.5, \"importance\": 0.9},\n      {\"word\": \"biscuit\", \"definition\": \"dry bread. What pirates eat when they are at sea.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.6, \"importance\": 0.7},\n      {\"word\": \"basket\", \"definition\": \"a container for biscuits.\", \"fitb\": \"A {blank} is \", \"difficulty\": 0.4, \"importance\": 0.8},\n      {\"word\": \"island\", \"definition\": \"land surrounded by sea.\", \"fitb\": \"An {blank} is \", \"difficulty\": 0.4, \"importance\": 0.9}\n    ],\n    \"narrative\": {\n        \"0\": {\"text\": \"It was Lucy's first day in her \", \"flag\": \"{checkpoint}\"},\n        \"1\": {\"text\": \"new job on a {pirate} ship. \", \"vocab\": \"parrot\", \"spelling\": \"pirrote\"},\n        \"2\": {\"text\": \"She didn't know what to expect, but she was excited. \"},\n        \"3\": {\"text\": \"Her {mother} had been a pirate captain, \", \"vocab\": \"money\", \"spelling\": \"motter\"},\n        \"4\": {\"text\": \"and it had always been Lucy's dream, too.\\n\\n\"},\n        \"5\": {\"text\": \"Her father was a shop keeper on {Pirate Island}. \", \"spelling\": \"Pirote Iland\"},\n        \"6\": {\"text\": \"When Lucy told him she was going to join a {pirate} crew, \", \"vocab\": \"rat\"},\n        \"7\": {\"text\": \"he sighed sadly, \"},\n        \"8\": {\"text\": \"but packed her a bag of {clothes}, \", \"spelling\": \"close\"},\n        \"9\": {\"text\": \"and her favorite {book}, \", \"vocab\": \"dock\", \"spelling\": \"bok\"},\n        \"10\": {\"text\": \"and sent her on her way to the {docks}.\\n\\n \", \"vocab\": \"decks\", \"flag\": \"{checkpoint}\"},\n        \"11\": {\"text\": \"Lucy stood on the {dock} by the ship. \", \"vocab\": \"dog\", \"spelling\": \"dok\"},\n        \"12\": {\"text\": \"It was very early. \"},\n        \"13\": {\"text\": \"She looked up at the tall {masts}, \", \"spelling\": \"matsts\"},\n        \"14\": {\"text\": \"with their {sails}. \", \"vocab\": \"sales\"},\n        \"15\": {\"text\": \"The {sails} had holes. \", \"spelling\": \"sals\"},\n        \"16\": {\"text\": \"She looked at the {side} of the ship. \", \"vocab\": \"sighed\"},\n        \"17\": {\"text\": \"It didn't look very {clean}. \", \"spelling\":\"clin\"},\n        \"18\": {\"text\": \"She looked at the {pirates}. \", \"vocab\": \"baskets\",\"spelling\": \"prates\"},\n        \"19\": {\"text\": \"They didn't look very {clean}, either.\\n\\n \", \"spelling\":\"clin\", \"flag\": \"{checkpoint}\"},\n        \"20\": {\"text\": \"'Is this the right ship?' Lucy asked. \"},\n        \"21\": {\"text\": \"She {looked} carefully. \", \"vocab\": \"locked\"},\n        \"22\": {\"text\": \"The {ship} had a name on it, \", \"spelling\": \"shpi\"},\n        \"23\": {\"text\": \"under the {sea} slime. \", \"vocab\": \"see\", \"spelling\": \"saa\"},\n        \"24\": {\"text\": \"The name was '{Monkey} Puzzle'. \", \"spelling\": \"Mongey\"},\n        \"25\": {\"text\": \"'It's the right {ship},' she said. \\n\\n \", \"vocab\": \"biscuit\", \"flag\": \"{checkpoint}\"},\n        \"26\": {\"text\": \"A large {pirate} walked over to her. \", \"spelling\": \"porate\", \"vocab\": \"island\"},\n        \"27\": {\"text\": \"'Lucy? I am the First {Mate} \", \"vocab\": \"mast\"},\n        \"28\": {\"text\": \"of the {Monkey} Puzzle. \", \"vocab\": \"Money\"},\n        \"29\": {\"text\": \"You can call me First Mate Bob.'\\n\\n \"},\n        \"30\": {\"text\": \"Lucy looked at {First} Mate Bob. \", \"spelling\": \"Firts\"},\n        \"31\": {\"text\": \"He had a big red {parrot}, \", \"vocab\": \"pirate\"},\n        \"32\": {\"text\": \"sitting on his head. \"},\n        \"33\": {\"text\": \"The {parrot} said 'You can call me First Parrot.'\\n\\n \", \"spelling\": \"porrat\", \"flag\": \"{checkpoint}\"},\n\t\t\"34\":{\"text\": \"'Lucy, we'll be sailing soon,' said Bob. 'Are you ship {shape}?'\\n\\n\", \"vocab\": \"shop\"},\n\t\t\"35\":{\"text\": \"Lucy looked at the slimy {ship}. \", \"spelling\": \"sihp\"}, \n\t\t\"36\":{\"text\": \"The ship was long. The ship had {masts}. The ship had a point on the front. \", \"vocab\": \"most\", \"spelling\": \"massests\"},\n\t\t\"37\":{\"text\": \"Lucy looked down at herself. \"},\n\t\t\"38\":{\"text\": \"'I don't think so, First {Mate} Bob', she said. \", \"vocab\": \"mast\"},\n\t\t\"39\":{\"text\": \"'I'm shaped like a {girl}, not a ship.' \\n\\n\", \"vocab\": \"gorilla\", \"spelling\": \"gril\", \"flag\": \"{checkpoint}\"},\n\t\t\"40\":{\"text\": \"First Mate Bob laughed, 'No! Ship {shape} just means that something is in good shape.'\\n\\n\", \"vocab\": \"slip\"},\n\t\t\"41\":{\"text\": \"'Ship {shape}!' said First Parrot the parrot, looking at Lucy.\\n\\n\", \"vocab\": \"slip\", \"spelling\": \"shapee\"},\n\t\t\"42\":{\"text\": \"'Ship shape,' said Lucy, looking at the holes in the sails.\\n\\n\"},\n\t\t\"43\":{\"text\": \"A pirate with one {eye}, one hand and one leg walked over. \", \"vocab\": \"aye\"},\n\t\t\"44\":{\"text\": \"He had a {monkey} sitting on his head. \", \"spelling\": \"munkey\"},\n\t\t\"45\":{\"text\": \"'You, first mate,' said the pirate. 'Get the ship ready to sail.\\n\\n'\"},\n\t\t\"46\":{\"text\": \"'Aye {aye}, Captain' said First Mate Bob.\\n\\n\", \"vocab\": \"eye\"},\n\t\t\"47\":{\"text\": \"'You, new girl. I have some jobs for you,' said the {captain}. \", \"spelling\": \"cuptin\"},\n\t\t\"48\":{\"text\": \"'My mother is on the ship. \"},\n\t\t\"49\":{\"text\": \"Bring her a {biscuit} with honey, \", \"vocab\": \"bucket\", \"spelling\": \"bcuit\"},\n\t\t\"50\":{\"text\": \"and bring her some grog. \\n\\n\"},\n\t\t\"51\":{\"text\": \"'Here is my {money} and a key. \", \"spelling\": \"mooney\"}, \n\t\t\"52\":{\"text\": \"Lock the {money} in my chest. \", \"vocab\": \"monkey\"},\n\t\t\"53\":{\"text\": \"I don't want my mother to steal it.'\", \"flag\": \"{checkpoint}\"}\n    }\n  }\n}\n"
+};
@@ -18,6 +18,17 @@ class Config {
     }
 }
 
+/**
+ * Display names for exercise types
+ */
+const EXERCISE_NAMES = {
+    'multiple_choice': 'Multiple Choice',
+    'fill_in_the_blank': 'Fill in the Blank',
+    'spelling': 'Spelling',
+    'bubble_pop': 'Bubble Pop',
+    'fluent_reading': 'Fluent Reading'
+};
+
 /**
  * Default exercise settings
  * Used when agent controls difficulty (non-dev mode)
@@ -80,14 +91,41 @@ class App {
     constructor() {
         this.curriculumManager = new CurriculumManager();
         this.scoreManager = new ScoreManager();
+        this.profileManager = new ProfileManager(this.scoreManager);
+        this.reviewScheduler = new ReviewScheduler(this.scoreManager);
+        this.curriculumManager.setReviewScheduler(this.reviewScheduler);
+        this.proficiencyModel = new ProficiencyModel(this.scoreManager);
+        this.scoreManager.setProficiencyModel(this.proficiencyModel);
+        this.attemptLog = new AttemptLog(this.scoreManager);
+        this.moduleReport = new ModuleReport({
+            scoreManager: this.scoreManager,
+            curriculumManager: this.curriculumManager,
+            reviewScheduler: this.reviewScheduler,
+            exerciseNames: EXERCISE_NAMES,
+            describeDifficulty: (exerciseType, difficulty) => this.getDifficultyLabel(exerciseType, difficulty)
+        });
+        this.progressDashboard = new ProgressDashboard({
+            attemptLog: this.attemptLog,
+            proficiencyModel: this.proficiencyModel,
+            exerciseNames: EXERCISE_NAMES,
+            describeDifficulty: (exerciseType, difficulty) => this.getDifficultyLabel(exerciseType, difficulty)
+        });
         
-        // Initialize backend integration
+        // Initialize backend integration (URLs are set from the runtime config in init)
+        this.runtimeConfig = new RuntimeConfig();
         this.apiClient = new APIClient();
-        this.sessionManager = new SessionManager(this.apiClient, this.scoreManager);
+        this.sessionManager = new SessionManager(this.apiClient, this.scoreManager, this.proficiencyModel);
         this.wsClient = new WebSocketClient();
-        // Floating widgets removed - using embedded chat only
-        // this.chatWidget = new ChatWidget(this.wsClient);
-        // this.activityChatWidget = new ActivityChatWidget(this.wsClient);
+        this.mainChat = new ChatPanel({
+            element: document.getElementById('mainChat'),
+            wsClient: this.wsClient,
+            channels: ['main']
+        });
+        this.activityChat = new ActivityChatPanel({
+            element: document.getElementById('activityChat'),
+            wsClient: this.wsClient,
+            offlineMessage: "I'm currently offline. Please make sure the backend is running!"
+        });
         
         // Initialize Multiple Choice with new modular pattern
         this.multipleChoiceExercise = new MultipleChoiceExercise(this.curriculumManager);
@@ -113,6 +151,8 @@ class App {
         this.currentExerciseType = null;
         this.selectedAnswer = null;
         this.isDevMode = Config.isDev();
+        this.newProfile = { avatar: null, picturePassword: null };
+        this.pendingImport = null;
         
         this.init();
     }
@@ -121,15 +161,33 @@ class App {
      * Initialize the application
      */
     async init() {
+        // Point the backend clients at the configured backend
+        const config = await this.runtimeConfig.load();
+        if (config.mock) {
+            this.mockBackend = new MockBackend({ baseURL: config.apiBaseURL });
+            this.mockBackend.install();
+        }
+        this.apiClient.baseURL = config.apiBaseURL;
+        this.wsClient.setBaseURL(config.wsBaseURL);
+        this.sessionManager.backendEnabled = config.backendEnabled;
+        
         // Initialize backend session manager
         await this.sessionManager.initialize();
         
-        // Floating widgets removed - using embedded chat only
-        // this.chatWidget.initialize();
-        // this.activityChatWidget.initialize();
+        this.mainChat.initialize();
+        this.activityChat.initialize();
         
         // Load curriculum data
-        await this.curriculumManager.loadCurriculum();
+        const curriculumLoaded = await this.curriculumManager.loadCurriculum();
+        if (!curriculumLoaded) {
+            this.showNotice('The lessons could not be loaded. Please check your connection and reload the page.',
+                'error');
+        } else if (this.curriculumManager.isUsingBundledCopy()) {
+            this.showNotice('Using the offline copy of the lessons (this page was opened without a web server). ' +
+                'Lessons may be out of date until the app is served over http.');
+        }
+        this.applyCurrentModule();
+        await this.reportBackendProblems();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -155,7 +213,23 @@ class App {
             this.showScreen('selectionScreen');
             this.updateExerciseCards();
         } else {
-            this.showScreen('registrationScreen');
+            this.showProfilePicker();
+        }
+    }
+
+    /**
+     * Explain a backend that is configured but can't be used
+     * A backend that simply isn't running is only logged (the app works offline); settings that
+     * point at the wrong server are shown, since they won't fix themselves.
+     */
+    async reportBackendProblems() {
+        const problems = await this.runtimeConfig.checkBackend(this.sessionManager.backendAvailable);
+        this.backendProblems = problems;
+        problems.forEach(problem => console.warn(`[BREADCRUMB][CONFIG] ${problem.type}: ${problem.message}`));
+        
+        const shown = problems.filter(problem => problem.type !== 'unreachable' || this.isDevMode);
+        if (shown.length > 0) {
+            this.showNotice(shown.map(problem => problem.message).join(' '));
         }
     }
 
@@ -211,6 +285,21 @@ class App {
                     <h4>Exercise Locks</h4>
                     <div id="exerciseLocks"></div>
                 </div>
+                <div class="dev-section">
+                    <h4>Backend</h4>
+                    <div id="backendConfigInfo" class="config-info"></div>
+                    <select id="configProfile" class="dev-input"></select>
+                    <input id="configApiURL" class="dev-input" type="text" placeholder="API URL (profile default)">
+                    <input id="configWsURL" class="dev-input" type="text" placeholder="WebSocket URL (profile default)">
+                    <button id="applyConfigBtn" class="dev-btn">Apply &amp; Reload</button>
+                    <button id="clearConfigBtn" class="dev-btn">Use Default Settings</button>
+                    <button id="mockOnlineBtn" class="dev-btn" style="display: none;">Take Mock Backend Offline</button>
+                </div>
+                <div class="dev-section">
+                    <h4>Backend Merge</h4>
+                    <button id="previewMergeBtn" class="dev-btn">Preview Merge (Dry Run)</button>
+                    <div id="mergePreview" class="merge-preview"></div>
+                </div>
             </div>
         `;
         
@@ -219,6 +308,49 @@ class App {
         // Set up dev panel event listeners
         this.setupDevPanelListeners();
         this.updateDevPanel();
+        this.showBackendConfig();
+    }
+
+    /**
+     * Show the backend settings in the dev panel, with the current profile selected
+     */
+    showBackendConfig() {
+        const config = this.runtimeConfig.current;
+        if (!config) {
+            return;
+        }
+        
+        const info = document.getElementById('backendConfigInfo');
+        const lines = [
+            `Profile: ${config.profile} (from ${config.source})`,
+            `API: ${config.apiBaseURL || 'none'}`,
+            `WebSocket: ${config.wsBaseURL || 'none'}`,
+            `Backend: ${this.sessionManager.backendAvailable ? 'connected' : 'offline'}`
+        ];
+        if (this.mockBackend) {
+            lines.push(`Mock backend: ${this.mockBackend.online ? 'online' : 'offline'}`);
+        }
+        info.textContent = lines.join('\n');
+        
+        const mockBtn = document.getElementById('mockOnlineBtn');
+        mockBtn.style.display = this.mockBackend ? '' : 'none';
+        if (this.mockBackend) {
+            mockBtn.textContent = this.mockBackend.online ? 'Take Mock Backend Offline' : 'Bring Mock Backend Online';
+        }
+        
+        const select = document.getElementById('configProfile');
+        select.innerHTML = '';
+        config.profiles.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === config.profile;
+            select.appendChild(option);
+        });
+        
+        const override = this.runtimeConfig.getOverride() || {};
+        document.getElementById('configApiURL').value = override.apiBaseURL || '';
+        document.getElementById('configWsURL').value = override.wsBaseURL || '';
     }
 
     /**
@@ -243,6 +375,93 @@ class App {
                 this.updateDevPanel();
             });
         }
+        
+        const applyConfigBtn = document.getElementById('applyConfigBtn');
+        if (applyConfigBtn) {
+            applyConfigBtn.addEventListener('click', () => {
+                const override = { profile: document.getElementById('configProfile').value };
+                const apiBaseURL = document.getElementById('configApiURL').value.trim();
+                const wsBaseURL = document.getElementById('configWsURL').value.trim();
+                if (apiBaseURL) {
+                    override.apiBaseURL = apiBaseURL;
+                }
+                if (wsBaseURL) {
+                    override.wsBaseURL = wsBaseURL;
+                }
+                this.runtimeConfig.setOverride(override);
+                window.location.reload();
+            });
+        }
+        
+        const clearConfigBtn = document.getElementById('clearConfigBtn');
+        if (clearConfigBtn) {
+            clearConfigBtn.addEventListener('click', () => {
+                this.runtimeConfig.clearOverride();
+                window.location.reload();
+            });
+        }
+        
+        const mockOnlineBtn = document.getElementById('mockOnlineBtn');
+        if (mockOnlineBtn) {
+            mockOnlineBtn.addEventListener('click', () => {
+                if (!this.mockBackend) {
+                    return;
+                }
+                this.mockBackend.setOnline(!this.mockBackend.online);
+                if (this.mockBackend.online) {
+                    // Like the browser coming back online: send whatever was queued meanwhile
+                    this.sessionManager.syncQueue.flush({ force: true });
+                }
+                this.showBackendConfig();
+            });
+        }
+        
+        const previewMergeBtn = document.getElementById('previewMergeBtn');
+        if (previewMergeBtn) {
+            previewMergeBtn.addEventListener('click', () => {
+                this.showMergePreview();
+            });
+        }
+    }
+
+    /**
+     * Show what merging the backend's progress into the local data would change (nothing is saved)
+     */
+    showMergePreview() {
+        const preview = document.getElementById('mergePreview');
+        const changes = this.sessionManager.previewBackendMerge();
+        preview.innerHTML = '';
+        
+        const addLine = (text, className = '') => {
+            const line = document.createElement('div');
+            line.className = `merge-change ${className}`;
+            line.textContent = text;
+            preview.appendChild(line);
+        };
+        
+        if (!changes) {
+            addLine('No backend progress in this session (offline)');
+            return;
+        }
+        if (changes.length === 0) {
+            addLine('Local and backend progress match');
+            return;
+        }
+        
+        const describe = value => {
+            if (value && typeof value === 'object') {
+                return `${value.percentage}%${value.date ? ` (${value.date.slice(0, 10)})` : ''}`;
+            }
+            return String(value);
+        };
+        changes.forEach(change => {
+            const where = `${EXERCISE_NAMES[change.exerciseType] || change.exerciseType}` +
+                (change.difficulty ? ` L${change.difficulty}` : '');
+            const outcome = change.source === 'other' ?
+                `${describe(change.local)} → ${describe(change.merged)}` :
+                `keeps ${describe(change.local)} (backend: ${describe(change.other)})`;
+            addLine(`${where} ${change.field}: ${outcome}`, change.source === 'other' ? 'from-backend' : 'kept-local');
+        });
     }
 
     /**
@@ -254,14 +473,7 @@ class App {
         const locksContainer = document.getElementById('exerciseLocks');
         if (!locksContainer) return;
         
-        const exercises = ['multiple_choice', 'fill_in_the_blank', 'spelling', 'bubble_pop', 'fluent_reading'];
-        const exerciseNames = {
-            'multiple_choice': 'Multiple Choice',
-            'fill_in_the_blank': 'Fill in the Blank',
-            'spelling': 'Spelling',
-            'bubble_pop': 'Bubble Pop',
-            'fluent_reading': 'Fluent Reading'
-        };
+        const exercises = this.curriculumManager.getExerciseTypes();
         
         locksContainer.innerHTML = '';
         
@@ -270,7 +482,7 @@ class App {
             const lockDiv = document.createElement('div');
             lockDiv.className = 'exercise-lock-item';
             lockDiv.innerHTML = `
-                <span>${exerciseNames[exerciseType]}</span>
+                <span>${EXERCISE_NAMES[exerciseType]}</span>
                 <button class="lock-toggle ${isUnlocked ? 'unlocked' : 'locked'}" 
                         data-exercise="${exerciseType}">
                     ${isUnlocked ? '🔓 Unlocked' : '🔒 Locked'}
@@ -312,6 +524,75 @@ class App {
                 this.registerUser();
             }
         });
+        
+        document.getElementById('usePicturePassword').addEventListener('change', (e) => {
+            const setup = document.getElementById('picturePasswordSetup');
+            setup.style.display = e.target.checked ? '' : 'none';
+            this.newProfile.picturePassword = e.target.checked ? [] : null;
+            if (e.target.checked) {
+                this.renderPicturePad(setup, (sequence) => {
+                    this.newProfile.picturePassword = sequence;
+                });
+            }
+        });
+        
+        // Profile picker
+        document.getElementById('picturePasswordBackBtn').addEventListener('click', () => {
+            this.showProfilePicker();
+        });
+        
+        document.getElementById('switchProfileBtn').addEventListener('click', () => {
+            this.switchProfile();
+        });
+        
+        // Session lifecycle: any interaction keeps the session alive, and other tabs can take the student
+        ['pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => this.handleUserActivity(), true);
+        });
+        this.sessionManager.addSessionHandler(event => this.handleSessionEvent(event));
+        document.getElementById('useThisTabBtn').addEventListener('click', () => {
+            this.useThisTab();
+        });
+        document.getElementById('tabSwitchProfileBtn').addEventListener('click', () => {
+            this.switchProfile();
+        });
+        
+        // Sync status: show the outbox, and retry it on click
+        const syncQueue = this.sessionManager.syncQueue;
+        syncQueue.addStatusHandler(status => this.showSyncStatus(status));
+        this.showSyncStatus(syncQueue.getStatus());
+        document.getElementById('syncStatus').addEventListener('click', () => {
+            syncQueue.retryFailed();
+        });
+        
+        // Progress files
+        document.getElementById('exportProgressBtn').addEventListener('click', () => {
+            this.exportProgress();
+        });
+        
+        document.getElementById('importProgressBtn').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+        });
+        
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importProgress(file);
+            }
+        });
+        
+        document.getElementById('importMergeBtn').addEventListener('click', () => {
+            this.finishImport('merge');
+        });
+        
+        document.getElementById('importReplaceBtn').addEventListener('click', () => {
+            this.finishImport('replace');
+        });
+        
+        document.getElementById('importCancelBtn').addEventListener('click', () => {
+            this.finishImport(null);
+        });
 
         // Exercise Selection - Old card buttons (for backward compatibility)
         document.querySelectorAll('[data-exercise-btn]').forEach(btn => {
@@ -336,14 +617,6 @@ class App {
             });
         });
         
-        // Chat Tab Switching
-        document.querySelectorAll('.chat-tab').forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                const tabName = tab.getAttribute('data-tab');
-                this.switchChatTab(tabName);
-            });
-        });
-
         // Multiple Choice Exercise - handled by UI wrapper
         // Fill in the Blank Exercise - handled by UI wrapper
         // Spelling Exercise - handled by UI wrapper
@@ -359,74 +632,488 @@ class App {
             this.retryExercise();
         });
 
+        // Module Completion Screen
+        document.getElementById('moduleReportBtn').addEventListener('click', () => {
+            this.showModuleReport(false);
+        });
+        
+        document.getElementById('reportMenuBtn').addEventListener('click', () => {
+            this.showScreen('selectionScreen');
+        });
+        
+        document.getElementById('reportDownloadBtn').addEventListener('click', () => {
+            this.downloadModuleReport();
+        });
+        
+        document.getElementById('reportPrintBtn').addEventListener('click', () => {
+            window.print();
+        });
+
+        // Progress Dashboard Screen
+        document.getElementById('dashboardBtn').addEventListener('click', () => {
+            this.showDashboard();
+        });
+        
+        document.getElementById('dashboardMenuBtn').addEventListener('click', () => {
+            this.showScreen('selectionScreen');
+        });
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             this.handleKeyPress(e);
         });
         
-        // Main Tutor Chat
-        const mainChatSend = document.getElementById('mainChatSend');
-        const mainChatInput = document.getElementById('mainChatInput');
+        // An incompatible chat server won't fix itself by reconnecting, so say why the tutor is missing
+        this.wsClient.addMessageHandler((message) => {
+            if (message.type === 'connection' && message.status === 'incompatible') {
+                this.showNotice(`The tutor chat is unavailable: ${message.error}`);
+            }
+        });
+    }
+
+    /**
+     * Register a new user (a username already on this device opens that profile instead)
+     */
+    async registerUser() {
+        const username = document.getElementById('studentName').value.trim();
+        
+        // Validate username
+        const usernameError = this.scoreManager.getUsernameError(username);
+        if (usernameError) {
+            alert(usernameError);
+            return;
+        }
+        
+        if (this.profileManager.getProfile(username)) {
+            this.selectProfile(username);
+            return;
+        }
+        
+        const { avatar, picturePassword } = this.newProfile;
+        if (picturePassword && !ProfileManager.isValidPicturePassword(picturePassword)) {
+            alert(`Tap ${ProfileManager.PICTURE_PASSWORD_LENGTH} pictures for your picture password`);
+            return;
+        }
+        
+        await this.startStudentSession(username, { avatar, picturePassword });
+    }
+
+    /**
+     * Open a profile from the picker, asking for its picture password if it has one
+     */
+    selectProfile(username) {
+        const profile = this.profileManager.getProfile(username);
+        if (profile && profile.hasPicturePassword) {
+            this.showPicturePasswordPrompt(profile);
+            return;
+        }
+        this.startStudentSession(username);
+    }
+
+    /**
+     * Sign a student in and start their session
+     * @param {string} username - Student to sign in (created if new)
+     * @param {Object} newProfile - Avatar and picture password for a new profile
+     */
+    async startStudentSession(username, newProfile = null) {
+        try {
+            // Resume the module this student last worked on
+            await this.restoreSavedModule(username);
+            
+            // Create backend session (which will also set up ScoreManager)
+            const sessionResult = await this.sessionManager.createSession(username);
+            
+            if (newProfile) {
+                this.profileManager.updateProfile(newProfile);
+            }
+        
+            if (sessionResult.tutorGreeting) {
+                console.log('Tutor greeting:', sessionResult.tutorGreeting);
+                // Display LLM tutor greeting in main chat
+                this.mainChat.addMessage('agent', sessionResult.tutorGreeting);
+            }
+            
+            if (sessionResult.offline) {
+                console.log('Running in offline mode');
+            } else {
+                console.log('Connected to backend, session ID:', sessionResult.sessionId);
+                if (sessionResult.isReturningStudent) {
+                    console.log('Welcome back! Progress restored.');
+                }
+                // Connect WebSocket
+                this.wsClient.connect(sessionResult.sessionId);
+            }
+            
+            this.showUserInfo();
+            this.showScreen('selectionScreen');
+            this.updateExerciseCards();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * End the current student's session and go back to the profile picker
+     */
+    async switchProfile() {
+        console.log('[BREADCRUMB][PROFILE] Switching from:', this.scoreManager.getCurrentUsername());
+        
+        this.wsClient.disconnect();
+        await this.sessionManager.signOut();
+        document.getElementById('tabTakenOver').style.display = 'none';
+        
+        // The next student shouldn't see this student's conversation
+        this.mainChat.clear();
+        document.getElementById('userInfo').style.display = 'none';
+        this.showProfilePicker();
+    }
+
+    /**
+     * Keep the session alive, and start a new one if it timed out while the student was away
+     */
+    handleUserActivity() {
+        const expired = this.sessionManager.expired;
+        this.sessionManager.touch();
+        
+        if (expired && !this.sessionManager.inactive && this.scoreManager.hasUser()) {
+            this.sessionManager.expired = false;
+            this.restoreBackendSession();
+        }
+    }
+
+    /**
+     * React to the session ending without the student asking (see SessionManager.addSessionHandler)
+     */
+    handleSessionEvent(event) {
+        if (event.type === 'expired') {
+            this.wsClient.disconnect();
+        } else if (event.type === 'released') {
+            // Another tab opened this student: stop here so results aren't recorded twice
+            this.wsClient.disconnect();
+            document.getElementById('tabTakenOver').style.display = 'flex';
+        }
+    }
+
+    /**
+     * Take the student back from the other tab
+     * Their data is reloaded first, since the other tab may have changed it.
+     */
+    async useThisTab() {
+        document.getElementById('tabTakenOver').style.display = 'none';
+        await this.restoreBackendSession();
+        this.showScreen('selectionScreen');
+        this.updateExerciseCards();
+    }
+
+    /**
+     * Show the profile picker: the students stored on this device, and the new student form
+     */
+    showProfilePicker() {
+        const profiles = this.profileManager.getProfiles();
+        const list = document.getElementById('profileList');
+        list.innerHTML = '';
         
-        if (mainChatSend) {
-            mainChatSend.addEventListener('click', () => {
-                this.sendMainChatMessage();
+        profiles.forEach(profile => {
+            const lock = profile.hasPicturePassword ? ' 🔒' : '';
+            const lastPlayed = profile.lastPlayedAt ? new Date(profile.lastPlayedAt) : null;
+            const card = document.createElement('div');
+            card.className = 'profile-card';
+            card.innerHTML = `
+                <button type="button" class="profile-open">
+                    ${this.renderAvatar(profile)}
+                    <span class="profile-name">${this.escapeHtml(profile.name)}${lock}</span>
+                    <span class="profile-last-played">
+                        ${lastPlayed ? `Last played ${lastPlayed.toLocaleDateString()}` : ''}
+                    </span>
+                </button>
+                <button type="button" class="profile-delete" title="Delete profile"
+                    aria-label="Delete ${this.escapeHtml(profile.name)}">✕</button>
+            `;
+            card.querySelector('.profile-open').addEventListener('click', () => {
+                this.selectProfile(profile.username);
+            });
+            card.querySelector('.profile-delete').addEventListener('click', () => {
+                this.deleteProfile(profile);
             });
+            list.appendChild(card);
+        });
+        
+        document.getElementById('profilePicker').style.display = profiles.length > 0 ? '' : 'none';
+        document.getElementById('picturePasswordPrompt').style.display = 'none';
+        document.getElementById('newProfileForm').style.display = '';
+        document.getElementById('importProgress').style.display = '';
+        document.getElementById('newProfileIntro').textContent = profiles.length > 0 ?
+            'New here? Choose a username to begin.' : "Let's get started! Choose a username to begin.";
+        this.resetNewProfileForm();
+        this.showScreen('registrationScreen');
+    }
+
+    /**
+     * Clear the new student form and draw its avatar choices
+     */
+    resetNewProfileForm() {
+        this.newProfile = { avatar: null, picturePassword: null };
+        document.getElementById('studentName').value = '';
+        document.getElementById('registerBtn').disabled = true;
+        document.getElementById('usePicturePassword').checked = false;
+        document.getElementById('picturePasswordSetup').style.display = 'none';
+        
+        const choices = document.getElementById('avatarChoices');
+        choices.innerHTML = '';
+        [null, ...ProfileManager.AVATARS].forEach(avatar => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `avatar-choice ${avatar === null ? 'selected' : ''}`;
+            button.textContent = avatar || 'ABC';
+            button.title = avatar ? 'Use this picture' : 'Use my initials';
+            button.addEventListener('click', () => {
+                this.newProfile.avatar = avatar;
+                choices.querySelectorAll('.avatar-choice').forEach(choice => {
+                    choice.classList.toggle('selected', choice === button);
+                });
+            });
+            choices.appendChild(button);
+        });
+    }
+
+    /**
+     * Render a profile's avatar, or its initials on its color
+     */
+    renderAvatar(profile) {
+        if (profile.avatar) {
+            return `<span class="profile-avatar">${profile.avatar}</span>`;
+        }
+        return `<span class="profile-avatar initials" style="background: ${profile.color};">` +
+            `${this.escapeHtml(profile.initials)}</span>`;
+    }
+
+    /**
+     * Delete a profile from this device after the student (or teacher) confirms
+     */
+    deleteProfile(profile) {
+        if (!confirm(`Delete ${profile.name}'s profile and all of their progress? This cannot be undone.`)) {
+            return;
         }
+        this.profileManager.deleteProfile(profile.username);
+        this.showProfilePicker();
+    }
+
+    /**
+     * Ask for a profile's picture password, then sign the student in
+     */
+    showPicturePasswordPrompt(profile) {
+        const title = document.getElementById('picturePasswordTitle');
+        const askText = `Hi ${profile.name}! Tap your ${ProfileManager.PICTURE_PASSWORD_LENGTH} secret pictures.`;
+        title.textContent = askText;
         
-        if (mainChatInput) {
-            mainChatInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.sendMainChatMessage();
+        document.getElementById('profilePicker').style.display = 'none';
+        document.getElementById('newProfileForm').style.display = 'none';
+        document.getElementById('importProgress').style.display = 'none';
+        document.getElementById('picturePasswordPrompt').style.display = '';
+        this.showScreen('registrationScreen');
+        
+        this.renderPicturePad(document.getElementById('picturePasswordEntry'), (sequence, reset) => {
+            if (sequence.length < ProfileManager.PICTURE_PASSWORD_LENGTH) {
+                title.textContent = askText;
+                return;
+            }
+            if (this.profileManager.checkPicturePassword(profile.username, sequence)) {
+                this.startStudentSession(profile.username);
+            } else {
+                title.textContent = 'Not quite! Try again.';
+                reset();
+            }
+        }, { hidden: true });
+    }
+
+    /**
+     * Draw a picture pad: slots for the pictures tapped so far, the pictures, and "Start over"
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onChange - (sequence, reset) => void, called after every tap
+     * @param {Object} options - { hidden: show dots instead of the tapped pictures }
+     */
+    renderPicturePad(container, onChange, { hidden = false } = {}) {
+        const length = ProfileManager.PICTURE_PASSWORD_LENGTH;
+        const sequence = [];
+        
+        container.innerHTML = `
+            <div class="picture-slots">${'<span class="picture-slot"></span>'.repeat(length)}</div>
+            <div class="picture-grid">
+                ${ProfileManager.PICTURES.map(picture => `
+                    <button type="button" class="picture-button" data-picture="${picture.id}"
+                        title="${picture.label}" aria-label="${picture.label}">${picture.emoji}</button>
+                `).join('')}
+            </div>
+            <button type="button" class="btn-link picture-clear">Start over</button>
+        `;
+        
+        const slots = container.querySelectorAll('.picture-slot');
+        const showSequence = () => {
+            slots.forEach((slot, index) => {
+                const picture = ProfileManager.PICTURES.find(p => p.id === sequence[index]);
+                slot.textContent = picture ? (hidden ? '●' : picture.emoji) : '';
+                slot.classList.toggle('filled', !!picture);
+            });
+        };
+        const reset = () => {
+            sequence.length = 0;
+            showSequence();
+        };
+        
+        container.querySelectorAll('.picture-button').forEach(button => {
+            button.addEventListener('click', () => {
+                if (sequence.length >= length) {
+                    return;
                 }
+                sequence.push(button.getAttribute('data-picture'));
+                showSequence();
+                onChange([...sequence], reset);
             });
+        });
+        container.querySelector('.picture-clear').addEventListener('click', () => {
+            reset();
+            onChange([], reset);
+        });
+    }
+
+    /**
+     * Select the module saved in a student's progress before their session starts
+     */
+    async restoreSavedModule(username) {
+        const savedData = this.scoreManager.loadUserData(username);
+        const savedModuleId = savedData && savedData.currentModule;
+        
+        if (!savedModuleId || savedModuleId === this.curriculumManager.getCurrentModuleId()) {
+            return;
         }
         
-        // Setup WebSocket listener for main tutor messages
-        this.setupMainTutorListener();
+        if (await this.curriculumManager.loadModule(savedModuleId)) {
+            this.applyCurrentModule();
+        }
     }
 
     /**
-     * Register a new user
+     * Point ScoreManager at the current curriculum module, its exercises and its unlock rules
      */
-    async registerUser() {
-        const username = document.getElementById('studentName').value.trim();
+    applyCurrentModule() {
+        this.scoreManager.setModule(
+            this.curriculumManager.getCurrentModuleId(),
+            this.curriculumManager.getExerciseTypes(),
+            this.curriculumManager.getUnlockRules()
+        );
+    }
+
+    /**
+     * Switch to another curriculum module at runtime
+     * @param {string} moduleId - Module id from the curriculum index
+     */
+    async switchModule(moduleId) {
+        if (moduleId === this.curriculumManager.getCurrentModuleId()) {
+            return;
+        }
         
-        // Validate username
-        if (!this.scoreManager.validateUsername(username)) {
-            alert('Username must contain only letters and numbers (no spaces or special characters)');
+        const module = this.curriculumManager.getAvailableModules().find(m => m.id === moduleId);
+        if (module && !this.isDevMode && this.scoreManager.getModuleStatus(module) === 'locked') {
+            alert('This module is locked. ' + this.describeUnmetDependencies(module));
+            return;
+        }
+        
+        const loaded = await this.curriculumManager.loadModule(moduleId);
+        if (!loaded) {
+            alert('That module could not be loaded.');
+            return;
+        }
+        
+        this.applyCurrentModule();
+        console.log('[BREADCRUMB][MODULE] Switched to module:', moduleId);
+        
+        // Backend sessions are tied to a module, so start a new one
+        if (this.sessionManager.isBackendConnected()) {
+            this.wsClient.disconnect();
+            await this.sessionManager.endSession();
+            await this.restoreBackendSession();
+        }
+        
+        this.updateExerciseCards();
+    }
+
+    /**
+     * Describe which prerequisite modules still need work
+     */
+    describeUnmetDependencies(module) {
+        const titles = {};
+        this.curriculumManager.getAvailableModules().forEach(m => {
+            titles[m.id] = m.title;
+        });
+        
+        const needs = this.scoreManager.getUnmetDependencies(module).map(dependency =>
+            `${titles[dependency.moduleId] || dependency.moduleId} (${Math.round(dependency.mastery * 100)}%)`
+        );
+        return `Master ${needs.join(', ')} first!`;
+    }
+
+    /**
+     * Render the module map on the welcome screen
+     * Modules are grouped into rows by their depth in the prerequisite graph
+     */
+    renderModuleList() {
+        const container = document.getElementById('moduleList');
+        if (!container || !this.scoreManager.hasUser()) {
             return;
         }
         
-        if (username) {
-            try {
-                // Create backend session (which will also set up ScoreManager)
-                const sessionResult = await this.sessionManager.createSession(username);
+        const modules = this.curriculumManager.getAvailableModules();
+        const currentModuleId = this.curriculumManager.getCurrentModuleId();
+        const statusLabels = {
+            locked: '🔒 Locked',
+            unlocked: '🔓 Unlocked',
+            completed: '⭐ Completed'
+        };
+        
+        container.innerHTML = '';
+        
+        const levels = [];
+        modules.forEach(module => {
+            (levels[module.level] = levels[module.level] || []).push(module);
+        });
+        
+        levels.filter(Boolean).forEach(levelModules => {
+            const row = document.createElement('div');
+            row.className = 'module-row';
             
-                if (sessionResult.tutorGreeting) {
-                    console.log('Tutor greeting:', sessionResult.tutorGreeting);
-                    // Display LLM tutor greeting in main chat
-                    this.sendToFixedChat('main', sessionResult.tutorGreeting, 'agent');
-                }
+            levelModules.forEach(module => {
+                let status = this.scoreManager.getModuleStatus(module);
                 
-                if (sessionResult.offline) {
-                    console.log('Running in offline mode');
-                } else {
-                    console.log('Connected to backend, session ID:', sessionResult.sessionId);
-                    if (sessionResult.isReturningStudent) {
-                        console.log('Welcome back! Progress restored.');
-                    }
-                    // Connect WebSocket
-                    this.wsClient.connect(sessionResult.sessionId);
+                // In dev mode, every module can be opened
+                if (this.isDevMode && status === 'locked') {
+                    status = 'unlocked';
                 }
                 
-                this.showUserInfo();
-                this.showScreen('selectionScreen');
-                this.updateExerciseCards();
-            } catch (error) {
-                alert(error.message);
-            }
-        }
+                const mastery = Math.round(
+                    this.scoreManager.getModuleMastery(module.id, module.exercises, module.optionalExercises,
+                        module.unlockRules) * 100
+                );
+                const requires = status === 'locked' ? this.escapeHtml(this.describeUnmetDependencies(module)) : '';
+                const card = document.createElement('button');
+                card.type = 'button';
+                card.className = `module-card ${status} ${module.id === currentModuleId ? 'active' : ''}`;
+                card.setAttribute('data-module', module.id);
+                card.title = module.goals;
+                card.innerHTML = `
+                    <span class="module-subject">${this.escapeHtml(module.subject)}</span>
+                    <span class="module-title">${this.escapeHtml(module.title)}</span>
+                    <span class="module-description">${this.escapeHtml(module.description)}</span>
+                    <span class="module-status">${statusLabels[status]} · ${mastery}% mastered</span>
+                    ${status === 'locked' ? `<span class="module-requires">${requires}</span>` : ''}
+                `;
+                card.addEventListener('click', () => {
+                    this.switchModule(module.id);
+                });
+                row.appendChild(card);
+            });
+            
+            container.appendChild(row);
+        });
     }
 
     /**
@@ -470,68 +1157,19 @@ class App {
     }
 
     /**
-     * Switch chat tabs in the new layout
-     */
-    switchChatTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.chat-tab').forEach(tab => {
-            if (tab.getAttribute('data-tab') === tabName) {
-                tab.classList.add('active');
-            } else {
-                tab.classList.remove('active');
-            }
-        });
-        
-        // Update tab panels
-        document.querySelectorAll('.chat-tab-panel').forEach(panel => {
-            if (panel.getAttribute('data-panel') === tabName) {
-                panel.classList.add('active');
-            } else {
-                panel.classList.remove('active');
-            }
-        });
-    }
-    
-    /**
-     * Send a message to the fixed chat window
-     * @param {string} tabName - 'main' or 'activity'
-     * @param {string} message - Message text
-     * @param {string} sender - 'agent' or 'student' (default: 'agent')
+     * Show an app-wide notice below the header
+     * @param {string} message - Notice text
+     * @param {string} type - 'warning' (default) or 'error'
      */
-    sendToFixedChat(tabName, message, sender = 'agent') {
-        // Get the appropriate messages container
-        const messagesId = tabName === 'main' ? 'mainChatMessages' : 'activityChatMessages';
-        const messagesContainer = document.getElementById(messagesId);
-        
-        if (!messagesContainer) {
-            console.error(`Chat messages container not found: ${messagesId}`);
+    showNotice(message, type = 'warning') {
+        const notice = document.getElementById('appNotice');
+        if (!notice) {
             return;
         }
         
-        // Create message element
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `chat-message ${sender}`;
-        
-        const senderName = sender === 'agent' ? 'Tutor' : 'You';
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
-        
-        messageDiv.innerHTML = `
-            <div class="message-bubble">
-                <div class="message-sender">${senderName}</div>
-                ${this.escapeHtml(message)}
-                <div class="message-time">${timeStr}</div>
-            </div>
-        `;
-        
-        messagesContainer.appendChild(messageDiv);
-        
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        notice.textContent = message;
+        notice.className = `app-notice ${type}`;
+        notice.style.display = 'block';
     }
     
     /**
@@ -545,35 +1183,38 @@ class App {
         return div.innerHTML;
     }
     
+    /**
+     * Get the display label for an exercise's difficulty setting
+     */
+    getDifficultyLabel(exerciseType, difficulty) {
+        if (exerciseType === 'multiple_choice') {
+            return difficulty === '3' ? 'Easy' : difficulty === '4' ? 'Medium' : 'Hard';
+        } else if (exerciseType === 'fill_in_the_blank') {
+            return difficulty === 'easy' ? 'Easy' : 'Moderate';
+        } else if (exerciseType === 'spelling') {
+            return difficulty === 'easy' ? 'Easy' : difficulty === 'medium' ? 'Medium' : 'Hard';
+        } else if (exerciseType === 'bubble_pop') {
+            return difficulty === 'easy' ? 'Easy' : difficulty === 'moderate' ? 'Moderate' : 'Hard';
+        } else if (exerciseType === 'fluent_reading') {
+            // Use speed as difficulty label
+            return `${difficulty} WPM`;
+        }
+        return difficulty;
+    }
+
     /**
      * Update exercise cards with scores and lock status
      */
     updateExerciseCards() {
         const statuses = this.scoreManager.getExerciseStatuses();
         
-        // Helper function to get difficulty label
-        const getDifficultyLabel = (exerciseType, difficulty) => {
-            if (exerciseType === 'multiple_choice') {
-                return difficulty === '3' ? 'Easy' : difficulty === '4' ? 'Medium' : 'Hard';
-            } else if (exerciseType === 'fill_in_the_blank') {
-                return difficulty === 'easy' ? 'Easy' : 'Moderate';
-            } else if (exerciseType === 'spelling') {
-                return difficulty === 'easy' ? 'Easy' : difficulty === 'medium' ? 'Medium' : 'Hard';
-            } else if (exerciseType === 'bubble_pop') {
-                return difficulty === 'easy' ? 'Easy' : difficulty === 'moderate' ? 'Moderate' : 'Hard';
-            } else if (exerciseType === 'fluent_reading') {
-                // Use speed as difficulty label
-                return `${difficulty} WPM`;
-            }
-            return difficulty;
-        };
-
         // Update all exercise cards
         document.querySelectorAll('.exercise-card').forEach(card => {
             const exerciseType = card.getAttribute('data-exercise');
             if (!exerciseType || !statuses[exerciseType]) return;
 
             const status = statuses[exerciseType];
+            this.markOptional(card, this.curriculumManager.isOptionalExercise(exerciseType));
             
             // In dev mode, unlock all exercises including bubble_pop
             if (this.isDevMode) {
@@ -598,7 +1239,7 @@ class App {
                 const bestScore = this.scoreManager.getBestScoreForExercise(exerciseType);
                 
                 if (bestScore && bestScore.highest) {
-                    const difficultyLabel = getDifficultyLabel(exerciseType, bestScore.difficulty);
+                    const difficultyLabel = this.getDifficultyLabel(exerciseType, bestScore.difficulty);
                     scoresContainer.innerHTML = `
                         <div class="score-display">
                             <div class="best-score">
@@ -618,8 +1259,12 @@ class App {
         });
 
         // Update new layout activity icons
+        const moduleExercises = this.curriculumManager.getExerciseTypes();
         document.querySelectorAll('.activity-icon').forEach(icon => {
             const exerciseType = icon.getAttribute('data-exercise');
+            
+            // Only show the activities the current module includes
+            icon.style.display = moduleExercises.includes(exerciseType) ? '' : 'none';
             if (!exerciseType || !statuses[exerciseType]) return;
 
             const status = statuses[exerciseType];
@@ -636,6 +1281,9 @@ class App {
                 icon.classList.add('locked');
             }
 
+            // Optional activities don't block the ones after them or module completion
+            this.markOptional(icon, this.curriculumManager.isOptionalExercise(exerciseType));
+
             // Update score bubble
             const scoreBubble = icon.querySelector('.score-bubble');
             if (scoreBubble) {
@@ -646,15 +1294,11 @@ class App {
                     scoreBubble.textContent = `${percentage}%`;
                     scoreBubble.style.display = 'flex';
                     
-                    // Check if this score unlocks the next level (80%+ on hard mode)
-                    const difficulty = bestScore.difficulty;
-                    const isHardMode = (exerciseType === 'multiple_choice' && difficulty === '5') ||
-                                      (exerciseType === 'fill_in_the_blank' && difficulty === 'moderate') ||
-                                      (exerciseType === 'spelling' && difficulty === 'hard') ||
-                                      (exerciseType === 'bubble_pop' && difficulty === 'hard') ||
-                                      (exerciseType === 'fluent_reading' && difficulty === 'hard');
+                    // Check if this score passes the module's unlock rule for the exercise
+                    const passes = this.scoreManager.getUnlockRules()
+                        .meetsUnlockCondition(exerciseType, bestScore.difficulty, percentage);
                     
-                    if (isHardMode && percentage >= 80) {
+                    if (passes) {
                         scoreBubble.classList.add('unlocking');
                     } else {
                         scoreBubble.classList.remove('unlocking');
@@ -666,12 +1310,204 @@ class App {
             }
         });
 
+        // Module states depend on the scores just shown
+        this.renderModuleList();
+        this.checkModuleCompletion();
+        
         // Update dev panel if in dev mode
         if (this.isDevMode) {
             this.updateDevPanel();
         }
     }
 
+    /**
+     * Show or hide the "Optional" tag on an exercise card or activity icon
+     */
+    markOptional(element, isOptional) {
+        element.classList.toggle('optional', isOptional);
+        
+        let tag = element.querySelector('.optional-tag');
+        if (isOptional && !tag) {
+            tag = document.createElement('div');
+            tag.className = 'optional-tag';
+            tag.textContent = 'Optional';
+            tag.title = 'You can skip this activity: the next one unlocks without it';
+            element.appendChild(tag);
+        } else if (!isOptional && tag) {
+            tag.remove();
+        }
+    }
+
+    /**
+     * Show the completion screen the first time the current module is completed, and offer the
+     * report from the welcome screen once it has been
+     */
+    checkModuleCompletion() {
+        const moduleId = this.curriculumManager.getCurrentModuleId();
+        const module = this.curriculumManager.getAvailableModules().find(m => m.id === moduleId);
+        const completed = !!module && this.scoreManager.getModuleStatus(module) === 'completed';
+        
+        const reportBtn = document.getElementById('moduleReportBtn');
+        if (reportBtn) {
+            reportBtn.style.display = completed || this.scoreManager.getModuleCompletedAt() ? '' : 'none';
+        }
+        
+        if (completed && this.scoreManager.markModuleCompleted()) {
+            this.showModuleReport(true);
+        }
+    }
+
+    /**
+     * Show the module report screen
+     * @param {boolean} justCompleted - Whether to congratulate the student on finishing
+     */
+    showModuleReport(justCompleted) {
+        const report = this.moduleReport.build();
+        document.getElementById('moduleReport').innerHTML = this.moduleReport.renderHtml(report);
+        document.getElementById('reportCongrats').style.display = justCompleted ? '' : 'none';
+        this.showScreen('moduleCompleteScreen');
+    }
+
+    /**
+     * Download the module report as a standalone HTML file
+     */
+    downloadModuleReport() {
+        const report = this.moduleReport.build();
+        this.downloadFile(this.moduleReport.getFileName(report), this.moduleReport.toDocument(report), 'text/html');
+    }
+
+    /**
+     * Save text as a file through the browser's download
+     */
+    downloadFile(fileName, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download the current student's progress as a file they can load on another device
+     */
+    exportProgress() {
+        try {
+            const { fileName, content } = this.scoreManager.exportUserData();
+            this.downloadFile(fileName, content, 'application/json');
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Load a progress file on the profile picker
+     * If the student is already on this device, asks whether to combine the two copies or use the file.
+     * @param {File} file - File chosen by the student
+     */
+    async importProgress(file) {
+        let content;
+        let exported;
+        try {
+            content = await file.text();
+            exported = this.scoreManager.readExportFile(content);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        this.pendingImport = content;
+        if (!this.profileManager.getProfile(exported.username)) {
+            this.finishImport('merge');
+            return;
+        }
+        
+        const saved = exported.exportedAt ? ` saved ${new Date(exported.exportedAt).toLocaleDateString()}` : '';
+        document.getElementById('importConflictMessage').textContent =
+            `${exported.username} already has progress on this device. Combine it with the file${saved}, ` +
+            'or replace it with the file?';
+        document.getElementById('importConflict').style.display = '';
+    }
+
+    /**
+     * Import the pending progress file
+     * @param {string|null} resolution - 'merge' or 'replace' (see ScoreManager.importUserData), or null to cancel
+     */
+    finishImport(resolution) {
+        const content = this.pendingImport;
+        this.pendingImport = null;
+        document.getElementById('importConflict').style.display = 'none';
+        if (!content || !resolution) {
+            return;
+        }
+        
+        try {
+            const result = this.scoreManager.importUserData(content, resolution);
+            this.showProfilePicker();
+            this.showNotice(`Loaded ${result.username}'s progress. Tap their name to carry on.`, 'success');
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Show how many results are waiting to be sent to the backend
+     * Hidden until something has been queued.
+     * @param {Object} status - From SyncQueue.getStatus()
+     */
+    showSyncStatus(status) {
+        const indicator = document.getElementById('syncStatus');
+        const results = count => `${count} ${count === 1 ? 'result' : 'results'}`;
+        let text = '';
+        let state = 'synced';
+        
+        if (status.syncing) {
+            text = '🔄 Syncing progress...';
+            state = 'syncing';
+        } else if (status.failed > 0) {
+            text = `⚠️ ${results(status.failed)} could not be synced`;
+            state = 'failed';
+        } else if (status.pending > 0) {
+            text = `📤 ${results(status.pending)} waiting to sync`;
+            state = 'pending';
+        } else if (status.lastSyncedAt) {
+            text = '✅ Progress synced';
+        }
+        
+        indicator.textContent = text;
+        indicator.className = `sync-status ${state}`;
+        indicator.title = status.lastError ? `Last problem: ${status.lastError}. Click to try again now.` :
+            'Click to sync now';
+        indicator.style.display = text ? '' : 'none';
+    }
+
+    /**
+     * Show the progress dashboard for the current module
+     */
+    showDashboard() {
+        const summary = this.progressDashboard.getSummary();
+        const minutes = Math.round(summary.practiceSeconds / 60);
+        const count = (n, one, many) => `<strong>${n}</strong> ${n === 1 ? one : many}`;
+        document.getElementById('dashboardSummary').innerHTML = summary.attempts > 0 ? `
+            <span>${count(summary.attempts, 'activity', 'activities')} finished</span>
+            <span>${count(minutes, 'minute', 'minutes')} practiced</span>
+            <span>Last practiced <strong>${new Date(summary.lastPracticed).toLocaleDateString()}</strong></span>
+        ` : '<span>Finish an activity to start tracking your progress!</span>';
+        
+        // Show the screen first so the charts are drawn into visible canvases
+        this.showScreen('dashboardScreen');
+        this.progressDashboard.render({
+            score: document.getElementById('dashboardScoreChart'),
+            accuracy: document.getElementById('dashboardAccuracyChart'),
+            reading: document.getElementById('dashboardReadingChart'),
+            words: document.getElementById('dashboardWordsChart')
+        });
+    }
+
     /**
      * Select an exercise
      */
@@ -729,9 +1565,50 @@ class App {
         }
         
         // Record score locally
-        this.scoreManager.recordScore(exerciseType, difficulty, results.score, results.total);
+        const unlocked = this.recordAttempt(exerciseType, difficulty, results);
         
         // Save to backend database via REST API
+        const activityOutcome = await this.saveActivityResults(exerciseType, difficulty, results);
+        
+        // Send results to backend for LLM summary via WebSocket
+        if (this.wsClient && this.wsClient.hasSession()) {
+            this.wsClient.send({
+                type: 'exercise_complete',
+                exercise_type: exerciseType,
+                difficulty: difficulty,
+                score: results.score,
+                total: results.total,
+                percentage: results.percentage,
+                answers: results.answers
+            });
+            console.log('[BREADCRUMB][RESULTS] Sent exercise results to backend for LLM summary');
+        }
+        
+        // Return to main page
+        this.showScreen('selectionScreen');
+        this.updateExerciseCards();
+        
+        if (this.wsClient && this.wsClient.isConnected()) {
+            // Display a brief message in main chat while waiting for LLM
+            this.mainChat.addMessage('agent', '📊 Analyzing your results...');
+        } else if (activityOutcome && activityOutcome.offline) {
+            // No tutor to summarize, so use the local feedback and recommendation
+            this.mainChat.addMessage('agent', this.describeOfflineOutcome({
+                ...activityOutcome,
+                unlocked: unlocked.concat(activityOutcome.unlocked || [])
+            }));
+        }
+    }
+
+    /**
+     * Send a finished exercise's results to the backend (queued for later if it can't be reached)
+     * Exercises with their own results screen call this directly; the others go through showResults.
+     * @param {string} exerciseType - Exercise played
+     * @param {string|number} difficulty - Difficulty setting the score is recorded under
+     * @param {Object} results - Exercise results ({ score, total, answers })
+     * @returns {Promise<Object|null>} SessionManager.endActivity() outcome, or null if it failed
+     */
+    async saveActivityResults(exerciseType, difficulty, results) {
         try {
             const tuningSettings = { difficulty: difficulty };
             
@@ -742,38 +1619,78 @@ class App {
                 total: results.total,
                 item_results: (results.answers || []).map(answer => ({
                     ...answer,
-                    item: answer.correctAnswer,  // Item identifier for proficiency tracking
+                    item: answer.word || answer.correctAnswer,  // Item identifier for proficiency tracking
                     correct: answer.isCorrect    // Boolean field expected by backend
                 }))
             };
             
-            await this.sessionManager.endActivity(exerciseType, backendResults, tuningSettings);
+            const activityOutcome = await this.sessionManager.endActivity(exerciseType, backendResults, tuningSettings);
             console.log('[BREADCRUMB][RESULTS] Activity results saved to database');
+            return activityOutcome;
         } catch (error) {
             console.error('[BREADCRUMB][RESULTS] Failed to save results to database:', error);
             // Continue anyway - local score is saved
+            return null;
         }
+    }
+
+    /**
+     * Turn an offline endActivity() outcome into a chat message
+     * @param {Object} outcome - { feedback, unlocked, nextRecommendation } from SessionManager
+     */
+    describeOfflineOutcome(outcome) {
+        const parts = [outcome.feedback];
         
-        // Send results to backend for LLM summary via WebSocket
-        if (this.wsClient && this.wsClient.isConnected()) {
-            this.wsClient.send({
-                type: 'exercise_complete',
-                exercise_type: exerciseType,
-                difficulty: difficulty,
-                score: results.score,
-                total: results.total,
-                percentage: results.percentage,
-                answers: results.answers
-            });
-            console.log('[BREADCRUMB][RESULTS] Sent exercise results to backend for LLM summary');
+        (outcome.unlocked || []).forEach(exerciseType => {
+            parts.push(`🔓 ${EXERCISE_NAMES[exerciseType] || exerciseType} is now unlocked!`);
+        });
+        
+        const recommendation = outcome.nextRecommendation;
+        if (recommendation) {
+            parts.push(`Next, try ${EXERCISE_NAMES[recommendation.activity_type] || recommendation.activity_type}.`);
+            if (recommendation.vocabulary_focus && recommendation.vocabulary_focus.length > 0) {
+                parts.push(`Words to practice: ${recommendation.vocabulary_focus.join(', ')}.`);
+            }
         }
         
-        // Return to main page
-        this.showScreen('selectionScreen');
-        this.updateExerciseCards();
+        return parts.join(' ');
+    }
+
+    /**
+     * Record a finished exercise: its score, an entry in the attempt log, and its per-word answers
+     * Every exercise goes through here, so each attempt is recorded exactly once.
+     * @param {string} exerciseType - Exercise played
+     * @param {string|number} difficulty - Difficulty setting the score is recorded under
+     * @param {Object} results - Exercise results ({ score, total, answers, timeSpent })
+     * @param {Object} settings - Settings the exercise was played with
+     * @returns {Array<string>} Exercises the score unlocked
+     */
+    recordAttempt(exerciseType, difficulty, results, settings = { difficulty }) {
+        if (this.sessionManager.inactive) {
+            console.warn('[BREADCRUMB][TABS] Not recording: this student is open in another tab');
+            return [];
+        }
+        
+        // Word results first, so the unlock rules see this attempt's effect on skill mastery
+        this.recordWordResults(exerciseType, results);
+        const unlocked = this.scoreManager.recordScore(exerciseType, difficulty, results.score, results.total);
+        this.attemptLog.record(exerciseType, difficulty, results, settings);
+        return unlocked;
+    }
+
+    /**
+     * Feed an exercise's per-word answers into the review schedule and the proficiency model
+     * @param {string} exerciseType - Exercise the results came from
+     * @param {Object} results - Exercise results with an `answers` array
+     */
+    recordWordResults(exerciseType, results) {
+        if (!results || !this.scoreManager.hasUser()) {
+            return;
+        }
         
-        // Display a brief message in main chat while waiting for LLM
-        this.sendToFixedChat('main', '📊 Analyzing your results...', 'agent');
+        const recorded = this.reviewScheduler.recordAnswers(results.answers);
+        const estimated = this.proficiencyModel.update(exerciseType, results.answers);
+        console.log(`[BREADCRUMB][REVIEW] Scheduled ${recorded} answers, updated ${estimated} word estimates`);
     }
 
     /**
@@ -808,49 +1725,6 @@ class App {
         // This prevents conflicts and allows each exercise to define its own shortcuts
     }
 
-    /**
-     * Setup WebSocket listener for main tutor messages
-     */
-    setupMainTutorListener() {
-        if (this.wsClient) {
-            this.wsClient.addMessageHandler((message) => {
-                if (message.type === 'chat' && message.sender === 'agent') {
-                    console.log('[BREADCRUMB][MAIN] Displaying tutor message');
-                    this.sendToFixedChat('main', message.message, 'agent');
-                }
-            });
-            console.log('[BREADCRUMB][MAIN] Tutor listener added');
-        }
-    }
-    
-    /**
-     * Send main chat message to tutor
-     */
-    sendMainChatMessage() {
-        const input = document.getElementById('mainChatInput');
-        if (!input) return;
-        
-        const message = input.value.trim();
-        if (!message) return;
-        
-        console.log('[BREADCRUMB][MAIN] Sending message:', message);
-        
-        // Display user message
-        this.sendToFixedChat('main', message, 'student');
-        input.value = '';
-        
-        // Send to backend via WebSocket
-        if (this.wsClient && this.wsClient.isConnected()) {
-            this.wsClient.send({
-                type: 'chat',
-                message: message
-            });
-            console.log('[BREADCRUMB][MAIN] Message sent to backend');
-        } else {
-            console.log('[BREADCRUMB][MAIN] ERROR: WebSocket not connected');
-        }
-    }
-
     /**
      * Show a specific screen
      */
@@ -860,6 +1734,9 @@ class App {
         });
 
         document.getElementById(screenId).classList.add('active');
+        
+        // Students switch between activities, not in the middle of one
+        document.getElementById('switchProfileBtn').style.display = screenId === 'selectionScreen' ? '' : 'none';
     }
 }
 
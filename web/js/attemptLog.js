@@ -0,0 +1,219 @@
+/**
+ * Attempt Log Module - Append-only history of every exercise a student finishes
+ *
+ * ScoreManager keeps only the highest and most recent score per difficulty. The attempt log keeps
+ * each attempt: when it happened, the settings, how long it took and the per-item answers, so
+ * progress over time can be charted and analyzed.
+ *
+ * Attempts are stored in the ScoreManager user data (userData.attempts), oldest first. Entries are
+ * never edited after they are written, except by the retention limits: answers are dropped from
+ * older attempts, and the oldest attempts are dropped altogether.
+ */
+
+class AttemptLog {
+    /**
+     * @param {ScoreManager} scoreManager - Owns the user data the log is saved in
+     */
+    constructor(scoreManager) {
+        this.scoreManager = scoreManager;
+    }
+
+    /**
+     * Get the log for the current student, creating it if needed
+     * @returns {Array|null} Attempts, oldest first, or null without a user
+     */
+    getLog() {
+        const userData = this.scoreManager.userData;
+        if (!userData) {
+            return null;
+        }
+
+        if (!Array.isArray(userData.attempts)) {
+            userData.attempts = [];
+        }
+        return userData.attempts;
+    }
+
+    /**
+     * Append an attempt to the log and save
+     * @param {string} exerciseType - Exercise played
+     * @param {string|number} difficulty - Difficulty setting the score is recorded under
+     * @param {Object} results - Exercise results ({ score, total, answers, timeSpent })
+     * @param {Object} settings - Settings the exercise was played with
+     * @param {number} now - Completion time (ms)
+     * @returns {Object|null} The logged attempt, or null without a user
+     */
+    record(exerciseType, difficulty, results, settings = {}, now = Date.now()) {
+        const log = this.getLog();
+        if (!log) {
+            return null;
+        }
+
+        const duration = typeof results.timeSpent === 'number' ? results.timeSpent : null;
+        const attempt = {
+            id: `${now.toString(36)}-${log.length.toString(36)}`,
+            moduleId: this.scoreManager.getCurrentModuleId(),
+            exerciseType,
+            difficulty: String(difficulty),
+            settings: { ...settings },
+            score: results.score,
+            total: results.total,
+            percentage: results.total > 0 ? Math.round(results.score / results.total * 100) : 0,
+            startedAt: new Date(duration !== null ? now - duration * 1000 : now).toISOString(),
+            completedAt: new Date(now).toISOString(),
+            duration,
+            metrics: AttemptLog.pickMetrics(results),
+            answers: (results.answers || []).map(answer => AttemptLog.compactAnswer(answer))
+        };
+
+        log.push(attempt);
+        this.applyRetention(now);
+        this.scoreManager.saveUserData();
+        return attempt;
+    }
+
+    /**
+     * Keep only the answer fields worth storing
+     */
+    static compactAnswer(answer) {
+        const compact = {};
+        AttemptLog.ANSWER_FIELDS.forEach(field => {
+            if (answer && answer[field] !== undefined) {
+                compact[field] = answer[field];
+            }
+        });
+        return compact;
+    }
+
+    /**
+     * Keep the exercise-specific measures worth charting (e.g. Fluent Reading's words per minute)
+     */
+    static pickMetrics(results) {
+        const metrics = {};
+        AttemptLog.RESULT_METRICS.forEach(field => {
+            if (typeof results[field] === 'number' && isFinite(results[field])) {
+                metrics[field] = results[field];
+            }
+        });
+        return metrics;
+    }
+
+    /**
+     * Apply the retention limits to the current student's log (see AttemptLog.prune)
+     */
+    applyRetention(now = Date.now()) {
+        const log = this.getLog();
+        if (log) {
+            AttemptLog.prune(log, now);
+        }
+    }
+
+    /**
+     * Apply the retention limits to a log, in place: drop attempts past the maximum age or count,
+     * and drop the answers of all but the most recent attempts
+     * @param {Array<Object>} log - Attempts, oldest first
+     */
+    static prune(log, now = Date.now()) {
+        const { maxAttempts, maxDetailedAttempts, maxAgeDays } = AttemptLog.RETENTION;
+        const oldest = now - maxAgeDays * AttemptLog.DAY;
+
+        let keepFrom = log.findIndex(attempt => Date.parse(attempt.completedAt) >= oldest);
+        if (keepFrom === -1) {
+            keepFrom = log.length;
+        }
+        keepFrom = Math.max(keepFrom, log.length - maxAttempts);
+        if (keepFrom > 0) {
+            log.splice(0, keepFrom);
+        }
+
+        log.slice(0, Math.max(0, log.length - maxDetailedAttempts)).forEach(attempt => {
+            if (attempt.answers) {
+                delete attempt.answers;
+                attempt.answersPruned = true;
+            }
+        });
+    }
+
+    /**
+     * Get logged attempts, oldest first
+     * @param {Object} filters
+     * @param {string} filters.moduleId - Only this module (defaults to the current one; null for all)
+     * @param {string} filters.exerciseType - Only this exercise
+     * @param {string|number} filters.difficulty - Only this difficulty setting
+     * @param {number|Date} filters.since - Only attempts completed at or after this time
+     * @param {number|Date} filters.until - Only attempts completed before this time
+     * @param {number} filters.limit - Only the most recent N matches
+     */
+    getAttempts({ moduleId, exerciseType, difficulty, since, until, limit } = {}) {
+        const module = moduleId === undefined ? this.scoreManager.getCurrentModuleId() : moduleId;
+        const from = since !== undefined ? new Date(since).getTime() : -Infinity;
+        const to = until !== undefined ? new Date(until).getTime() : Infinity;
+
+        const attempts = (this.getLog() || []).filter(attempt => {
+            const completed = Date.parse(attempt.completedAt);
+            return (module === null || attempt.moduleId === module) &&
+                (!exerciseType || attempt.exerciseType === exerciseType) &&
+                (difficulty === undefined || attempt.difficulty === String(difficulty)) &&
+                completed >= from && completed < to;
+        });
+
+        return limit ? attempts.slice(-limit) : attempts;
+    }
+
+    /**
+     * Get an exercise's scores over time, for charting
+     * @returns {Array<{date: string, percentage: number, difficulty: string}>}
+     */
+    getScoreHistory(exerciseType, filters = {}) {
+        return this.getAttempts({ ...filters, exerciseType }).map(attempt => ({
+            date: attempt.completedAt,
+            percentage: attempt.percentage,
+            difficulty: attempt.difficulty
+        }));
+    }
+
+    /**
+     * Get every logged answer for one word (attempts whose answers were pruned are left out)
+     * @returns {Array<{date: string, exerciseType: string, isCorrect: boolean}>}
+     */
+    getWordHistory(word, filters = {}) {
+        const key = String(word).trim().toLowerCase();
+        const history = [];
+        this.getAttempts(filters).forEach(attempt => {
+            (attempt.answers || []).forEach(answer => {
+                if (answer.word && String(answer.word).trim().toLowerCase() === key) {
+                    history.push({
+                        date: attempt.completedAt,
+                        exerciseType: attempt.exerciseType,
+                        isCorrect: !!answer.isCorrect
+                    });
+                }
+            });
+        });
+        return history;
+    }
+
+    /**
+     * Get the total practice time (seconds) over the matching attempts
+     */
+    getPracticeTime(filters = {}) {
+        return this.getAttempts(filters).reduce((total, attempt) => total + (attempt.duration || 0), 0);
+    }
+}
+
+AttemptLog.DAY = 24 * 60 * 60 * 1000;
+
+AttemptLog.RETENTION = {
+    maxAttempts: 1000,          // Attempts kept per student
+    maxDetailedAttempts: 200,   // Most recent attempts that keep their per-item answers
+    maxAgeDays: 365             // Attempts older than this are dropped
+};
+
+// Answer fields kept in the log (exercise-specific extras such as timestamps are left out)
+AttemptLog.ANSWER_FIELDS = ['word', 'userAnswer', 'correctAnswer', 'isCorrect', 'skill', 'variantType', 'shownAs'];
+
+// Numeric result fields kept in the log besides the score
+AttemptLog.RESULT_METRICS = ['averageWPM', 'wordsRead', 'completionRate'];
+
+// Export for use in other modules
+window.AttemptLog = AttemptLog;
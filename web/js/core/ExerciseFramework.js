@@ -407,6 +407,24 @@ class ExerciseFramework {
         return shuffled.slice(0, count);
     }
     
+    /**
+     * Select vocabulary items for this exercise's difficulty setting
+     * Easier settings draw easier words and more important words come up more often;
+     * see CurriculumManager.selectVocabularyItems for the options
+     * @param {number} count - Number of items to get
+     * @param {Object} options - Selection options (defaults to the current difficulty setting)
+     */
+    selectVocabulary(count, options = {}) {
+        if (typeof this.curriculumManager.selectVocabularyItems !== 'function') {
+            return this.getRandomVocabulary(count);
+        }
+        
+        return this.curriculumManager.selectVocabularyItems(count, {
+            difficulty: this.settings.difficulty,
+            ...options
+        });
+    }
+    
     /**
      * Destroy the exercise and clean up
      */
@@ -3,110 +3,421 @@
  */
 
 class CurriculumManager {
-    constructor() {
+    constructor(dataPath = 'data/') {
+        this.dataPath = dataPath;
+        this.moduleIndex = null;
+        this.defaultModuleId = null;
+        this.masteryThreshold = CurriculumManager.DEFAULT_MASTERY_THRESHOLD;
+        this.modules = {};
+        this.rejectedModules = [];
+        this.validationReports = {};
+        this.usingBundledCopy = false;
+        this.currentModuleId = null;
         this.curriculumData = null;
         this.vocabulary = [];
+        this.recentItems = [];
+        this.reviewScheduler = null;
     }
 
     /**
      * Capitalize the first letter of a string
      */
     capitalizeFirst(str) {
-        if (!str) return str;
+        if (!str) {
+            return str;
+        }
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
 
     /**
-     * Load curriculum data from JSON file
+     * Load the module index (data/modules.json) and the metadata of every listed module
+     */
+    async loadModuleIndex() {
+        if (this.moduleIndex) {
+            return this.moduleIndex;
+        }
+
+        const manifest = await this.fetchDataFile('modules.json');
+
+        const index = [];
+        for (const entry of manifest.modules || []) {
+            try {
+                const moduleData = this.checkModule(entry.id, await this.fetchModule(entry));
+                if (moduleData) {
+                    this.modules[entry.id] = moduleData;
+                    index.push(entry);
+                }
+            } catch (error) {
+                console.error(`Error loading module ${entry.id}:`, error);
+            }
+        }
+
+        if (typeof manifest.mastery_threshold === 'number') {
+            this.masteryThreshold = manifest.mastery_threshold;
+        }
+
+        this.moduleIndex = index;
+        this.rejectDependencyCycles();
+
+        if (this.moduleIndex.length === 0) {
+            this.moduleIndex = null;
+            throw new Error('Module index lists no loadable modules');
+        }
+
+        this.defaultModuleId = manifest.default && this.modules[manifest.default] ?
+            manifest.default : this.moduleIndex[0].id;
+        return this.moduleIndex;
+    }
+
+    /**
+     * Validate a module, refusing it on structural errors and repairing what can be worked around
+     * @returns {Object|null} Module data safe to use, or null if the module was refused
+     */
+    checkModule(moduleId, moduleData) {
+        if (typeof CurriculumValidator === 'undefined') {
+            return moduleData;
+        }
+
+        const result = CurriculumValidator.validate(moduleData);
+        this.validationReports[moduleId] = result;
+
+        if (result.errors.length > 0 || result.warnings.length > 0) {
+            console.warn(`Curriculum module ${moduleId} has problems:\n` +
+                CurriculumValidator.formatIssues(result).join('\n'));
+        }
+
+        const fatal = result.errors.filter(issue => CurriculumValidator.isFatal(issue));
+        const repaired = fatal.length === 0 && !result.isValid ? this.repairModule(moduleData) : moduleData;
+
+        if (fatal.length === 0 && repaired.content.vocabulary.length === 0) {
+            fatal.push({ path: '$.content.vocabulary', message: 'No usable vocabulary entries' });
+        }
+
+        if (fatal.length > 0) {
+            const reason = fatal.map(issue => `${issue.path}: ${issue.message}`).join('; ');
+            console.error(`Refusing curriculum module ${moduleId}.`, reason);
+            this.rejectedModules.push({ id: moduleId, reason: reason });
+            return null;
+        }
+
+        return repaired;
+    }
+
+    /**
+     * Drop broken vocabulary entries and turn broken narrative fragments into plain text
+     */
+    repairModule(moduleData) {
+        const content = moduleData.content;
+        const hasErrors = issues => issues.some(issue => issue.severity === 'error');
+
+        const vocabulary = content.vocabulary.filter((entry, index) =>
+            !hasErrors(CurriculumValidator.validateVocabularyEntry(entry, `$.content.vocabulary[${index}]`))
+        );
+
+        const narrative = {};
+        Object.entries(content.narrative || {}).forEach(([key, fragment]) => {
+            if (!/^\d+$/.test(key) || !fragment || typeof fragment.text !== 'string') {
+                return;
+            }
+
+            if (!hasErrors(CurriculumValidator.validateFragment(fragment, key))) {
+                narrative[key] = fragment;
+            } else {
+                // Keep the story text, without variants the exercise can't place
+                narrative[key] = { text: fragment.text.replace(/[{}]/g, '') };
+                if (fragment.flag) {
+                    narrative[key].flag = fragment.flag;
+                }
+            }
+        });
+
+        return { ...moduleData, content: { ...content, vocabulary: vocabulary, narrative: narrative } };
+    }
+
+    /**
+     * Get the validation result for a loaded (or refused) module
+     */
+    getValidationReport(moduleId) {
+        return this.validationReports[moduleId] || null;
+    }
+
+    /**
+     * Find a cycle in a module dependency graph
+     * @param {Object<string, Array<string>>} graph - Module id -> ids of the modules it depends on
+     * @returns {Array<string>|null} Module ids along the cycle (first id repeated at the end), or null
+     */
+    static findDependencyCycle(graph) {
+        const visiting = new Set();
+        const visited = new Set();
+        const path = [];
+
+        const visit = (moduleId) => {
+            if (visiting.has(moduleId)) {
+                return path.slice(path.indexOf(moduleId)).concat(moduleId);
+            }
+            if (visited.has(moduleId)) {
+                return null;
+            }
+
+            visiting.add(moduleId);
+            path.push(moduleId);
+            for (const dependencyId of graph[moduleId] || []) {
+                const cycle = visit(dependencyId);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+            path.pop();
+            visiting.delete(moduleId);
+            visited.add(moduleId);
+            return null;
+        };
+
+        for (const moduleId of Object.keys(graph)) {
+            const cycle = visit(moduleId);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Drop modules whose dependencies form a cycle, since they could never unlock
+     */
+    rejectDependencyCycles() {
+        let cycle = CurriculumManager.findDependencyCycle(this.getDependencyGraph());
+
+        while (cycle) {
+            const reason = `Dependency cycle: ${cycle.join(' → ')}`;
+            console.error('Rejecting curriculum modules.', reason);
+
+            new Set(cycle).forEach(moduleId => {
+                delete this.modules[moduleId];
+                this.rejectedModules.push({ id: moduleId, reason: reason });
+            });
+            this.moduleIndex = this.moduleIndex.filter(entry => this.modules[entry.id]);
+
+            cycle = CurriculumManager.findDependencyCycle(this.getDependencyGraph());
+        }
+    }
+
+    /**
+     * Build the module id -> dependency ids graph for the loaded modules
+     */
+    getDependencyGraph() {
+        const graph = {};
+        (this.moduleIndex || []).forEach(entry => {
+            graph[entry.id] = this.normalizeDependencies(this.modules[entry.id])
+                .map(dependency => dependency.moduleId);
+        });
+        return graph;
+    }
+
+    /**
+     * Normalize a module's `dependencies` field
+     * Accepts null, a module id, or a list of module ids / {module, mastery} objects
+     */
+    normalizeDependencies(moduleData) {
+        const dependencies = moduleData ? moduleData.dependencies : null;
+        if (!dependencies) {
+            return [];
+        }
+
+        const list = Array.isArray(dependencies) ? dependencies : [dependencies];
+        return list.map(dependency => {
+            if (typeof dependency === 'string') {
+                return { moduleId: dependency, mastery: this.masteryThreshold };
+            }
+            return {
+                moduleId: dependency.module,
+                mastery: typeof dependency.mastery === 'number' ? dependency.mastery : this.masteryThreshold
+            };
+        });
+    }
+
+    /**
+     * Get a module's prerequisites with the mastery each needs and the exercises and unlock rules
+     * mastery is measured with (optional exercises are listed so they can be left out)
      */
-    async loadCurriculum() {
+    getModuleDependencies(moduleId) {
+        return this.normalizeDependencies(this.modules[moduleId]).map(dependency => {
+            const dependencyData = this.modules[dependency.moduleId];
+            if (!dependencyData) {
+                console.warn(`Module ${moduleId} depends on unknown module ${dependency.moduleId}`);
+            }
+            return {
+                ...dependency,
+                exercises: dependencyData && Array.isArray(dependencyData.exercises) ?
+                    dependencyData.exercises : CurriculumManager.DEFAULT_EXERCISES,
+                optionalExercises: this.getOptionalExercises(dependencyData),
+                unlockRules: UnlockRules.fromModule(dependencyData)
+            };
+        });
+    }
+
+    /**
+     * Get how deep a module sits in the prerequisite graph (0 = no dependencies)
+     * Only valid once cycles have been rejected
+     */
+    getModuleLevel(moduleId) {
+        const dependencies = this.normalizeDependencies(this.modules[moduleId])
+            .filter(dependency => this.modules[dependency.moduleId]);
+        if (dependencies.length === 0) {
+            return 0;
+        }
+
+        return 1 + Math.max(...dependencies.map(dependency => this.getModuleLevel(dependency.moduleId)));
+    }
+
+    /**
+     * Read a JSON file from the data directory
+     * When fetch is unavailable (e.g. the page was opened from file://), the copy in
+     * data/curriculum-bundle.js is used instead; scripts/build-curriculum-bundle.js keeps it identical
+     */
+    async fetchDataFile(file) {
+        let response;
         try {
-            const response = await fetch('data/r003.1.json');
-            if (!response.ok) {
-                throw new Error('Failed to load curriculum data');
+            response = await fetch(this.dataPath + file);
+        } catch (error) {
+            const bundle = window.CURRICULUM_BUNDLE;
+            if (!bundle || typeof bundle[file] !== 'string') {
+                throw error;
             }
-            this.curriculumData = await response.json();
-            this.vocabulary = this.curriculumData.content.vocabulary;
-            return true;
+            console.warn(`Fetching ${file} failed, using the bundled copy:`, error.message);
+            this.usingBundledCopy = true;
+            return JSON.parse(bundle[file]);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${file}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Whether any curriculum file came from the bundled copy rather than the server
+     */
+    isUsingBundledCopy() {
+        return this.usingBundledCopy;
+    }
+
+    /**
+     * Fetch a single module file listed in the index
+     */
+    async fetchModule(entry) {
+        const moduleData = await this.fetchDataFile(entry.file || `${entry.id}.json`);
+        if (moduleData.id && moduleData.id !== entry.id) {
+            console.warn(`Module file for ${entry.id} declares id ${moduleData.id}`);
+        }
+        return moduleData;
+    }
+
+    /**
+     * Load curriculum data for a module (the index default when no id is given)
+     */
+    async loadCurriculum(moduleId = null) {
+        try {
+            await this.loadModuleIndex();
         } catch (error) {
             console.error('Error loading curriculum:', error);
-            // Fallback to embedded data if fetch fails (for local file access)
-            this.loadEmbeddedCurriculum();
+            return false;
+        }
+
+        if (moduleId && this.selectModule(moduleId)) {
             return true;
         }
+        return this.selectModule(this.defaultModuleId);
     }
 
     /**
-     * Fallback embedded curriculum data for when fetch doesn't work
-     */
-    loadEmbeddedCurriculum() {
-        this.curriculumData = {
-            "content": {
-                "vocabulary": [
-                    {"word": "pirate", "definition": "a person who steals from ships at sea", "fitb": "A {blank} is "},
-                    {"word": "parrot", "definition": "a brightly colored bird that can sometimes speak", "fitb": "A {blank} is "},
-                    {"word": "ship", "definition": "a large wooden boat, with masts and sails. Used by pirates.", "fitb": "A {blank} is "},
-                    {"word": "shape", "definition": "you can either be in good-- or bad--. Good-- is sometimes called ship--", "fitb": "A {blank} is something "},
-                    {"word": "grog", "definition": "a strong drink a young pirate should definitely not taste, in case they get sick.", "fitb": "{blank} is "},
-                    {"word": "key", "definition": "something you need to open a lock. One might open a door, or a treasure chest.", "fitb": "A {blank} is "},
-                    {"word": "door", "definition": "something you can knock on. What is behind a locked one?", "fitb": "A {blank} is "},
-                    {"word": "chest", "definition": "a large box that you can lock", "fitb": "A {blank} is "},
-                    {"word": "monkey", "definition": "an animal that can climb easily, and make a big mess", "fitb": "A {blank} is "},
-                    {"word": "money", "definition": "something that a pirate loves more than anything.", "fitb": "{blank} is "},
-                    {"word": "mother", "definition": "something that a pirate loves almost as much as money.", "fitb": "A {blank} is "},
-                    {"word": "honey", "definition": "something sweet that is hard to find on a pirate ship.", "fitb": "{blank} is "},
-                    {"word": "mast", "definition": "a very high wooden pole on a ship. It holds up the sails.", "fitb": "A {blank} is "},
-                    {"word": "mate", "definition": "a member of a pirate ship, who tells the other pirates what to do.", "fitb": "A {blank} is "},
-                    {"word": "captain", "definition": "a member of a pirate ship, who tells all the other pirates what to do, even the mate.", "fitb": "A {blank} is "},
-                    {"word": "cat", "definition": "an animal on a pirate ship that purrs and eats rats.", "fitb": "A {blank} is "},
-                    {"word": "rat", "definition": "an animal on a pirate ship that steals food. Pirates hate animals that steal.", "fitb": "A {blank} is "},
-                    {"word": "sea", "definition": "the water the a ship sails on.", "fitb": "The {blank} is "},
-                    {"word": "shore", "definition": "land next to the sea", "fitb": "The {blank} is "},
-                    {"word": "deck", "definition": "what the floors of a ship are called.", "fitb": "A {blank} is "},
-                    {"word": "dock", "definition": "where the ship are tied when pirates are on shore.", "fitb": "A {blank} is "},
-                    {"word": "biscuit", "definition": "dry bread. What pirates eat when they are at sea.", "fitb": "A {blank} is "},
-                    {"word": "basket", "definition": "a container for biscuits.", "fitb": "A {blank} is "},
-                    {"word": "island", "definition": "land surrounded by sea.", "fitb": "An {blank} is "}
-                ],
-                "narrative": {
-                    "0": {"text": "It was Lucy's first day in her ", "flag": "{checkpoint}"},
-                    "1": {"text": "new job on a {pirate} ship. ", "vocab": "parrot", "spelling": "pirrote"},
-                    "2": {"text": "She didn't know what to expect, but she was excited. "},
-                    "3": {"text": "Her {mother} had been a pirate captain, ", "vocab": "money", "spelling": "motter"},
-                    "4": {"text": "and it had always been Lucy's dream, too.\n\n"},
-                    "5": {"text": "Her father was a shop keeper on {Pirate Island}. ", "spelling": "Pirote Iland"},
-                    "6": {"text": "When Lucy told him she was going to join a {pirate} crew, ", "vocab": "rat"},
-                    "7": {"text": "he sighed sadly, "},
-                    "8": {"text": "but packed her a bag of {clothes}, ", "spelling": "close"},
-                    "9": {"text": "and her favorite {book}, ", "vocab": "dock", "spelling": "bok"},
-                    "10": {"text": "and sent her on her way to the {docks}.\n\n ", "vocab": "decks", "flag": "{checkpoint}"},
-                    "11": {"text": "Lucy stood on the {dock} by the ship. ", "vocab": "dog", "spelling": "dok"},
-                    "12": {"text": "It was very early. "},
-                    "13": {"text": "She looked up at the tall {masts}, ", "spelling": "matsts"},
-                    "14": {"text": "with their {sails}. ", "vocab": "sales"},
-                    "15": {"text": "The {sails} had holes. ", "spelling": "sals"},
-                    "16": {"text": "She looked at the {side} of the ship. ", "vocab": "sighed"},
-                    "17": {"text": "It didn't look very {clean}. ", "spelling":"clin"},
-                    "18": {"text": "She looked at the {pirates}. ", "vocab": "baskets","spelling": "prates"},
-                    "19": {"text": "They didn't look very {clean}, either.\n\n ", "spelling":"clin", "flag": "{checkpoint}"},
-                    "20": {"text": "'Is this the right ship?' Lucy asked. "},
-                    "21": {"text": "She {looked} carefully. ", "vocab": "locked"},
-                    "22": {"text": "The {ship} had a name on it, ", "spelling": "shpi"},
-                    "23": {"text": "under the {sea} slime. ", "vocab": "see", "spelling": "saa"},
-                    "24": {"text": "The name was '{Monkey} Puzzle'. ", "spelling": "Mongey"},
-                    "25": {"text": "'It's the right {ship},' she said. \n\n ", "vocab": "biscuit", "flag": "{checkpoint}"},
-                    "26": {"text": "A large {pirate} walked over to her. ", "spelling": "porate", "vocab": "island"},
-                    "27": {"text": "'Lucy? I am the First {Mate} ", "vocab": "mast"},
-                    "28": {"text": "of the {Monkey} Puzzle. ", "vocab": "Money"},
-                    "29": {"text": "You can call me First Mate Bob.'\n\n "},
-                    "30": {"text": "Lucy looked at {First} Mate Bob. ", "spelling": "Firts"},
-                    "31": {"text": "He had a big red {parrot}, ", "vocab": "pirate"},
-                    "32": {"text": "sitting on his head. "},
-                    "33": {"text": "The {parrot} said 'You can call me First Mate Parrot.'\n\n ", "spelling": "porrat"}
-                }
-            }
-        };
-        this.vocabulary = this.curriculumData.content.vocabulary;
+     * Switch to another module from the index
+     * @returns {Promise<boolean>} false if the module is unknown
+     */
+    async loadModule(moduleId) {
+        if (!this.moduleIndex) {
+            return this.loadCurriculum(moduleId);
+        }
+        return this.selectModule(moduleId);
+    }
+
+    /**
+     * Make an already-loaded module the current one
+     */
+    selectModule(moduleId) {
+        const moduleData = this.modules[moduleId];
+        if (!moduleData) {
+            console.error('Unknown curriculum module:', moduleId);
+            return false;
+        }
+
+        this.currentModuleId = moduleId;
+        this.curriculumData = moduleData;
+        this.vocabulary = moduleData.content.vocabulary;
+        this.recentItems = [];
+        console.log('Curriculum module selected:', moduleId);
+        return true;
+    }
+
+    /**
+     * Get the modules listed in the index with their description, subject, goals and prerequisites
+     */
+    getAvailableModules() {
+        return (this.moduleIndex || []).map(entry => {
+            const moduleData = this.modules[entry.id] || {};
+            return {
+                id: entry.id,
+                title: entry.title || entry.id,
+                description: moduleData.description || '',
+                subject: moduleData.subject || '',
+                goals: moduleData.goals || '',
+                exercises: Array.isArray(moduleData.exercises) ?
+                    moduleData.exercises : CurriculumManager.DEFAULT_EXERCISES,
+                optionalExercises: this.getOptionalExercises(moduleData),
+                unlockRules: UnlockRules.fromModule(moduleData),
+                dependencies: this.getModuleDependencies(entry.id),
+                level: this.getModuleLevel(entry.id)
+            };
+        });
+    }
+
+    /**
+     * Get the id of the module currently in use
+     */
+    getCurrentModuleId() {
+        return this.currentModuleId;
+    }
+
+    /**
+     * Get the exercise types the current module declares
+     */
+    getExerciseTypes() {
+        if (this.curriculumData && Array.isArray(this.curriculumData.exercises)) {
+            return this.curriculumData.exercises;
+        }
+        return CurriculumManager.DEFAULT_EXERCISES;
+    }
+
+    /**
+     * Get the exercises a module marks as optional (they don't block progression or completion)
+     */
+    getOptionalExercises(moduleData) {
+        return moduleData && Array.isArray(moduleData.optional_exercises) ? moduleData.optional_exercises : [];
+    }
+
+    /**
+     * Check whether the current module marks an exercise as optional
+     */
+    isOptionalExercise(exerciseType) {
+        return this.getOptionalExercises(this.curriculumData).includes(exerciseType);
+    }
+
+    /**
+     * Get the unlock rules for the current module (from its unlock_rules and optional_exercises)
+     * @returns {UnlockRules}
+     */
+    getUnlockRules() {
+        return UnlockRules.fromModule(this.curriculumData || { exercises: this.getExerciseTypes() });
     }
 
     /**
@@ -125,13 +436,138 @@ class CurriculumManager {
     }
 
     /**
-     * Get random vocabulary items (without duplicates)
+     * Get the vocabulary difficulty range (0-1) for an exercise difficulty setting
+     * @param {string|number} difficulty - 'easy', 'moderate'/'medium', 'hard', or a multiple choice count (3-5)
+     * @returns {{min: number, max: number}|null} Null if the setting is unknown
      */
-    getRandomVocabularyItems(count) {
-        const shuffled = [...this.vocabulary].sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, Math.min(count, shuffled.length));
+    getDifficultyBand(difficulty) {
+        const level = CurriculumManager.DIFFICULTY_LEVELS[difficulty];
+        return level ? CurriculumManager.DIFFICULTY_BANDS[level] : null;
+    }
+
+    /**
+     * Use a ReviewScheduler's weights when selecting items
+     * @param {ReviewScheduler|null} reviewScheduler
+     */
+    setReviewScheduler(reviewScheduler) {
+        this.reviewScheduler = reviewScheduler;
+    }
+
+    /**
+     * Select vocabulary items for an exercise
+     *
+     * Items are ranked in tiers: inside the difficulty band and not recently seen, inside the band
+     * but recently seen, then outside the band (nearest difficulty first). Within a tier, items are
+     * drawn by weighted sampling without replacement, so more important words come up more often.
+     * With a review scheduler set, weights are also scaled by its schedule, and a word that was
+     * just missed doesn't count as recently seen, so it can come straight back.
+     * @param {number} count - Number of items wanted
+     * @param {Object} options
+     * @param {string|number} [options.difficulty] - Exercise difficulty setting (see getDifficultyBand)
+     * @param {{min: number, max: number}} [options.difficultyBand] - Explicit band, overrides difficulty
+     * @param {boolean} [options.weightByImportance=true] - Weight the draw by each item's importance
+     * @param {boolean} [options.excludeRecent=true] - Prefer items not in the recently-seen list
+     * @param {boolean} [options.useReviewSchedule=true] - Apply the review scheduler's weights
+     * @param {boolean} [options.markSeen=true] - Add the selected items to the recently-seen list
+     * @returns {Array} Selected vocabulary items (no duplicates)
+     */
+    selectVocabularyItems(count, options = {}) {
+        const {
+            difficulty = null,
+            difficultyBand = this.getDifficultyBand(difficulty),
+            weightByImportance = true,
+            excludeRecent = true,
+            useReviewSchedule = true,
+            markSeen = true
+        } = options;
+        const scheduler = useReviewSchedule ? this.reviewScheduler : null;
+
+        const ranked = this.vocabulary.map(item => {
+            const itemDifficulty = this.getItemValue(item, 'difficulty');
+            const distance = difficultyBand
+                ? Math.max(difficultyBand.min - itemDifficulty, itemDifficulty - difficultyBand.max, 0)
+                : 0;
+            const recent = excludeRecent && this.recentItems.includes(item.word) &&
+                !(scheduler && scheduler.wasMissed(item.word));
+            const weight = (weightByImportance ? this.getItemValue(item, 'importance') : 1) *
+                (scheduler ? scheduler.getWeight(item.word) : 1);
+
+            return {
+                item,
+                tier: (distance > 0 ? 2 : 0) + (recent ? 1 : 0),
+                distance,
+                // Efraimidis-Spirakis key: taking the largest keys is a weighted draw without replacement
+                key: Math.pow(Math.random(), 1 / Math.max(weight, CurriculumManager.MIN_ITEM_WEIGHT))
+            };
+        });
+
+        ranked.sort((a, b) => a.tier - b.tier || a.distance - b.distance || b.key - a.key);
+        const selected = ranked.slice(0, Math.max(0, count)).map(entry => entry.item);
+
+        if (markSeen) {
+            this.markItemsSeen(selected);
+        }
+        return selected;
+    }
+
+    /**
+     * Read an item's difficulty or importance, using the midpoint when it is missing
+     */
+    getItemValue(item, field) {
+        const value = item[field];
+        return typeof value === 'number' && !isNaN(value) ? value : 0.5;
+    }
+
+    /**
+     * Remember items as recently seen so the next selection prefers other words
+     * @param {Array} items - Vocabulary items (or words)
+     */
+    markItemsSeen(items) {
+        items.forEach(item => {
+            const word = typeof item === 'string' ? item : item.word;
+            this.recentItems = this.recentItems.filter(recent => recent !== word);
+            this.recentItems.push(word);
+        });
+
+        // Keep at most half the vocabulary, so small modules always have fresh words to draw
+        const limit = Math.min(CurriculumManager.RECENT_ITEM_LIMIT, Math.floor(this.vocabulary.length / 2));
+        this.recentItems = limit > 0 ? this.recentItems.slice(-limit) : [];
     }
 }
 
+CurriculumManager.DEFAULT_EXERCISES = [
+    'multiple_choice',
+    'fill_in_the_blank',
+    'spelling',
+    'bubble_pop',
+    'fluent_reading'
+];
+
+// Exercise difficulty settings, and the vocabulary difficulty range each one draws from
+CurriculumManager.DIFFICULTY_LEVELS = {
+    3: 'easy',
+    4: 'medium',
+    5: 'hard',
+    easy: 'easy',
+    moderate: 'medium',
+    medium: 'medium',
+    hard: 'hard'
+};
+
+CurriculumManager.DIFFICULTY_BANDS = {
+    easy: { min: 0, max: 0.4 },
+    medium: { min: 0.3, max: 0.6 },
+    hard: { min: 0.4, max: 1 }
+};
+
+// How many recently selected words selectVocabularyItems() tries to avoid
+CurriculumManager.RECENT_ITEM_LIMIT = 8;
+
+// Floor for importance weights, so an item with importance 0 can still be drawn to fill a selection
+CurriculumManager.MIN_ITEM_WEIGHT = 0.05;
+
+// Mastery (0-1) a dependency module needs before the modules that depend on it unlock
+CurriculumManager.DEFAULT_MASTERY_THRESHOLD = 0.8;
+
 // Export for use in other modules
 window.CurriculumManager = CurriculumManager;
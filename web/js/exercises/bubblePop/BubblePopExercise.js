@@ -382,6 +382,7 @@ class BubblePopExercise extends ExerciseFramework {
                 this.gameScore.wrong++;
                 bubble.feedbackColor = '#ff0000';
             }
+            this.recordBubbleAnswer(bubble, markedAsCorrect ? 'correct' : 'misspelled', isCorrectAction);
             
             // Update score
             this.score = this.gameScore.right;
@@ -393,6 +394,24 @@ class BubblePopExercise extends ExerciseFramework {
         }
     }
     
+    /**
+     * Record the outcome for a bubble's word in the results answer log
+     * @param {Object} bubble - The clicked or escaped bubble
+     * @param {string} userAnswer - 'correct' / 'misspelled' for the key pressed, '(ignored)' if it floated away
+     * @param {boolean} isCorrect - Whether the student handled the bubble correctly
+     */
+    recordBubbleAnswer(bubble, userAnswer, isCorrect) {
+        this.results.answers.push({
+            questionNumber: this.results.answers.length + 1,
+            word: bubble.originalWord,
+            shownAs: bubble.word,
+            hasError: bubble.hasError,
+            userAnswer: userAnswer,
+            isCorrect: isCorrect,
+            timestamp: Date.now()
+        });
+    }
+    
     /**
      * Called when exercise starts
      */
@@ -458,8 +477,8 @@ class BubblePopExercise extends ExerciseFramework {
             return;
         }
         
-        // Select random word
-        const vocabItem = vocabulary[Math.floor(Math.random() * vocabulary.length)];
+        // Select a word for the difficulty setting, avoiding the ones that just floated past
+        const vocabItem = this.selectVocabulary(1)[0];
         let word = vocabItem.word;
         
         // Determine if this should have a spelling error
@@ -669,6 +688,7 @@ class BubblePopExercise extends ExerciseFramework {
                             } else {
                                 this.gameScore.missed++;
                             }
+                            this.recordBubbleAnswer(bubble, '(ignored)', !isCorrectSpelling);
                             break;
                             
                         case 'moderate':
@@ -680,11 +700,13 @@ class BubblePopExercise extends ExerciseFramework {
                             } else {
                                 this.gameScore.missed++;
                             }
+                            this.recordBubbleAnswer(bubble, '(ignored)', isCorrectSpelling);
                             break;
                             
                         case 'hard':
                             // In hard mode, all unclicked words count as missed
                             this.gameScore.missed++;
+                            this.recordBubbleAnswer(bubble, '(ignored)', false);
                             break;
                     }
                     
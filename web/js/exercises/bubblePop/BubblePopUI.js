@@ -163,9 +163,9 @@ class BubblePopUI {
         // Initialize the exercise with canvas and settings
         await this.exercise.initializeGame(this.canvas, settings);
         
-        // Start activity chat widget
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.startActivity('bubble_pop', settings.difficulty);
+        // Open the activity chat
+        if (this.app.activityChat) {
+            this.app.activityChat.startActivity('bubble_pop', settings.difficulty);
         }
         
         // Start the exercise
@@ -307,19 +307,15 @@ class BubblePopUI {
     handleComplete(results) {
         // Record score using the stored settings (not from UI which might have changed)
         const settings = this.lastSettings || this.getSettingsFromUI();
-        this.app.scoreManager.recordScore(
-            'bubble_pop',
-            settings.difficulty,
-            results.score,
-            results.total
-        );
+        this.app.recordAttempt('bubble_pop', settings.difficulty, results, settings);
+        this.app.saveActivityResults('bubble_pop', settings.difficulty, results);
         
         // Send metacognitive prompts to activity chat
-        if (this.app.activityChatWidget) {
+        if (this.app.activityChat) {
             const behavior = BubblePopExercise.DIFFICULTY_BEHAVIORS[settings.difficulty];
             if (behavior && behavior.metacognitivePrompts && behavior.prompts) {
                 // Send completion event with prompts
-                this.app.activityChatWidget.sendActivityEvent('activity_complete', {
+                this.app.activityChat.sendActivityEvent('activity_complete', {
                     activity: 'bubble_pop',
                     difficulty: settings.difficulty,
                     score: results.score,
@@ -338,8 +334,8 @@ class BubblePopUI {
      */
     showResults(results) {
         // End activity chat session
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.endActivity();
+        if (this.app.activityChat) {
+            this.app.activityChat.endActivity(results);
         }
         
         // Update results display
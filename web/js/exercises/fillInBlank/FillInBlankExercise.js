@@ -37,6 +37,7 @@ class FillInBlankExercise {
         this.numQuestions = 10;
         this.difficulty = 'easy'; // 'easy', 'moderate', or 'hard'
         this.draggedWord = null;
+        this.startTime = null;
     }
 
     /**
@@ -48,6 +49,7 @@ class FillInBlankExercise {
         this.currentQuestionIndex = 0;
         this.score = 0;
         this.userAnswers = [];
+        this.startTime = Date.now();
         this.generateQuestions();
     }
 
@@ -57,8 +59,10 @@ class FillInBlankExercise {
     generateQuestions() {
         const vocabulary = this.curriculumManager.getVocabulary();
         
-        // Get random vocabulary items for questions
-        const selectedItems = this.curriculumManager.getRandomVocabularyItems(this.numQuestions);
+        // Pick question words from the difficulty band, important words first
+        const selectedItems = this.curriculumManager.selectVocabularyItems(this.numQuestions, {
+            difficulty: this.difficulty
+        });
         
         // Create word bank based on difficulty
         let wordBank = [];
@@ -218,7 +222,8 @@ class FillInBlankExercise {
             total: this.questions.length,
             percentage: percentage,
             message: message,
-            answers: this.userAnswers
+            answers: this.userAnswers,
+            timeSpent: this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0
         };
     }
 
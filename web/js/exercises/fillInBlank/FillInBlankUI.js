@@ -65,9 +65,9 @@ class FillInBlankUI {
         document.getElementById('fibSettingsPanel').style.display = 'none';
         document.getElementById('fibExercisePanel').style.display = 'block';
 
-        // Start activity chat widget
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.startActivity('fill_in_the_blank', difficulty);
+        // Open the activity chat
+        if (this.app.activityChat) {
+            this.app.activityChat.startActivity('fill_in_the_blank', difficulty);
         }
 
         this.displayQuestions();
@@ -252,10 +252,10 @@ class FillInBlankUI {
                 blankSpace.classList.add(question.isCorrect ? 'correct' : 'incorrect');
                 
                 // Send activity event for wrong answers based on difficulty
-                if (!question.isCorrect && behavior && this.app.activityChatWidget) {
+                if (!question.isCorrect && behavior && this.app.activityChat) {
                     if (behavior.feedbackTiming === 'immediate') {
                         // Easy mode: immediate feedback
-                        this.app.activityChatWidget.sendActivityEvent('wrong_answer', {
+                        this.app.activityChat.sendActivityEvent('wrong_answer', {
                             question: question.definition,
                             userAnswer: question.userAnswer || '(blank)',
                             correctAnswer: question.word,
@@ -265,7 +265,7 @@ class FillInBlankUI {
                         });
                     } else if (behavior.feedbackTiming === 'per_question') {
                         // Moderate mode: one hint
-                        this.app.activityChatWidget.sendActivityEvent('wrong_answer', {
+                        this.app.activityChat.sendActivityEvent('wrong_answer', {
                             question: question.definition,
                             userAnswer: question.userAnswer || '(blank)',
                             correctAnswer: question.word,
@@ -293,8 +293,8 @@ class FillInBlankUI {
         const results = this.exercise.getResults();
         
         // End activity chat session
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.endActivity();
+        if (this.app.activityChat) {
+            this.app.activityChat.endActivity(results);
         }
         
         this.app.showResults('fill_in_the_blank', results);
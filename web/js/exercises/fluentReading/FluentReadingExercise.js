@@ -237,6 +237,8 @@ class FluentReadingExercise extends ExerciseFramework {
         
         // Process narrative in index order
         const indices = Object.keys(this.narrative).sort((a, b) => parseInt(a) - parseInt(b));
+        const tooHardWords = this.getWordsAboveDifficulty();
+        const challengedWords = [];
         
         for (let index of indices) {
             const fragment = this.narrative[index];
@@ -259,9 +261,12 @@ class FluentReadingExercise extends ExerciseFramework {
             // Get current difficulty configuration
             const diffConfig = this.difficultyConfig[this.settings.difficulty || 'moderate'];
             
+            // Focal words harder than the difficulty setting stream without variants
+            const challengeFocalWord = focalWord && !tooHardWords.has(focalWord.toLowerCase());
+            
             // Process vocab variant text - empty if no variant or not in difficulty
             let vocabText = '';
-            if (fragment.vocab && focalWord && diffConfig.variants.includes('vocab')) {
+            if (fragment.vocab && challengeFocalWord && diffConfig.variants.includes('vocab')) {
                 let tempText = fragment.text.replace(`{${focalWord}}`, fragment.vocab);
                 tempText = tempText.replace(/[{}]/g, '');
                 vocabText = tempText.replace(/\n\n/g, ' ');
@@ -269,7 +274,7 @@ class FluentReadingExercise extends ExerciseFramework {
             
             // Process spelling variant text - empty if no variant or not in difficulty
             let spellingText = '';
-            if (fragment.spelling && focalWord && diffConfig.variants.includes('spelling')) {
+            if (fragment.spelling && challengeFocalWord && diffConfig.variants.includes('spelling')) {
                 let tempText = fragment.text.replace(`{${focalWord}}`, fragment.spelling);
                 tempText = tempText.replace(/[{}]/g, '');
                 spellingText = tempText.replace(/\n\n/g, ' ');
@@ -278,6 +283,7 @@ class FluentReadingExercise extends ExerciseFramework {
             // Create fragment object with all three variants
             const fragmentObj = {
                 index: fragmentIndex,
+                focalWord: focalWord,
                 canonical: canonicalText,
                 vocab: vocabText,
                 spelling: spellingText,
@@ -295,6 +301,10 @@ class FluentReadingExercise extends ExerciseFramework {
                 streamPositions: this.shuffleStreamPositions(vocabText, canonicalText, spellingText)
             };
             
+            if (fragmentObj.hasVocab || fragmentObj.hasSpelling) {
+                challengedWords.push(focalWord.toLowerCase());
+            }
+            
             // Track checkpoint indices
             if (fragmentObj.isCheckpoint) {
                 this.checkpoints.push(fragmentIndex);
@@ -346,6 +356,27 @@ class FluentReadingExercise extends ExerciseFramework {
                 this.wordToFragment.set(wordObj, fragmentIndex);
             }
         }
+        
+        if (typeof this.curriculumManager.markItemsSeen === 'function') {
+            this.curriculumManager.markItemsSeen(
+                (this.getVocabulary() || []).filter(item => challengedWords.includes(item.word.toLowerCase()))
+            );
+        }
+    }
+    
+    /**
+     * Get the vocabulary words that are harder than the current difficulty setting
+     * @returns {Set<string>} Lowercase words above the setting's difficulty band
+     */
+    getWordsAboveDifficulty() {
+        const band = typeof this.curriculumManager.getDifficultyBand === 'function'
+            ? this.curriculumManager.getDifficultyBand(this.settings.difficulty)
+            : null;
+        if (!band) return new Set();
+        
+        return new Set((this.getVocabulary() || [])
+            .filter(item => typeof item.difficulty === 'number' && item.difficulty > band.max)
+            .map(item => item.word.toLowerCase()));
     }
     
     /**
@@ -576,6 +607,7 @@ class FluentReadingExercise extends ExerciseFramework {
                     fragment.selectedVariant = clickedVariant;
                     fragment.isError = true;
                     this.selectedVariants.set(fragment.index, clickedVariant);
+                    this.recordVariantAnswer(fragment, clickedVariant, false);
                     
                     // Trigger error handling
                     this.handleIncorrectSelection();
@@ -584,6 +616,7 @@ class FluentReadingExercise extends ExerciseFramework {
                     fragment.selectedVariant = clickedVariant;
                     fragment.isError = false;
                     this.selectedVariants.set(fragment.index, clickedVariant);
+                    this.recordVariantAnswer(fragment, clickedVariant, true);
                     
                     // Update words that will flow to page zone
                     this.updateFragmentWords(fragment);
@@ -593,6 +626,28 @@ class FluentReadingExercise extends ExerciseFramework {
         }
     }
     
+    /**
+     * Record a variant choice for a fragment's focal word in the results answer log
+     * @param {Object} fragment - The fragment the choice was made on
+     * @param {string|null} variant - 'canonical', 'vocab' or 'spelling'; null if it reached the page unchosen
+     * @param {boolean} isCorrect - Whether the canonical text was chosen
+     */
+    recordVariantAnswer(fragment, variant, isCorrect) {
+        if (!fragment.focalWord) return;
+        
+        this.results.answers.push({
+            questionNumber: this.results.answers.length + 1,
+            word: fragment.focalWord,
+            fragmentIndex: fragment.index,
+            userAnswer: variant ? fragment[variant] : '(no selection)',
+            variantType: variant,
+            // Picking a misspelling is a spelling slip; anything else is a slip using the word in context
+            skill: variant === 'spelling' ? 'spelling' : 'context',
+            isCorrect: isCorrect,
+            timestamp: Date.now()
+        });
+    }
+    
     /**
      * Update fragment words based on selected variant
      */
@@ -834,6 +889,7 @@ class FluentReadingExercise extends ExerciseFramework {
                         if (!fragment.selectedVariant && (fragment.hasVocab || fragment.hasSpelling)) {
                             // Multi-variant fragment without selection - trigger error
                             fragment.isError = true;
+                            this.recordVariantAnswer(fragment, null, false);
                             this.handleIncorrectSelection();
                             return;  // Stop processing until reset
                         }
@@ -174,9 +174,9 @@ class FluentReadingUI {
         // Initialize and start the exercise
         await this.exercise.initializeGame(this.canvas, settings);
         
-        // Start activity chat widget
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.startActivity('fluent_reading', settings.difficulty);
+        // Open the activity chat
+        if (this.app.activityChat) {
+            this.app.activityChat.startActivity('fluent_reading', settings.difficulty);
         }
         
         // Update time estimate with actual word count
@@ -277,20 +277,17 @@ class FluentReadingUI {
         // Record score
         const settings = this.lastSettings || this.getSettingsFromUI();
         
-        // Use completion rate as the score
-        this.app.scoreManager.recordScore(
-            'fluent_reading',
-            settings.speed, // Use speed as difficulty
-            results.completionRate,
-            100 // Out of 100%
-        );
+        // Use completion rate as the score (out of 100%), and speed as the difficulty
+        const scoredResults = { ...results, score: results.completionRate, total: 100 };
+        this.app.recordAttempt('fluent_reading', settings.speed, scoredResults, settings);
+        this.app.saveActivityResults('fluent_reading', settings.speed, scoredResults);
         
         // Send metacognitive prompts to activity chat
-        if (this.app.activityChatWidget) {
+        if (this.app.activityChat) {
             const behavior = FluentReadingExercise.DIFFICULTY_BEHAVIORS[settings.difficulty];
             if (behavior && behavior.metacognitivePrompts) {
                 // Send completion event with prompts
-                this.app.activityChatWidget.sendActivityEvent('activity_complete', {
+                this.app.activityChat.sendActivityEvent('activity_complete', {
                     activity: 'fluent_reading',
                     difficulty: settings.difficulty,
                     completionRate: results.completionRate,
@@ -310,8 +307,8 @@ class FluentReadingUI {
      */
     showResults(results) {
         // End activity chat session
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.endActivity();
+        if (this.app.activityChat) {
+            this.app.activityChat.endActivity({ score: results.completionRate || 0, total: 100 });
         }
         
         // Update results display
@@ -83,11 +83,11 @@ class MultipleChoiceExercise extends ExerciseFramework {
             }
             
             const numQuestions = Math.min(this.settings.numQuestions, vocabulary.length);
-            const shuffled = [...vocabulary].sort(() => Math.random() - 0.5);
+            const selected = this.selectVocabulary(numQuestions);
             
             this.questions = [];
             for (let i = 0; i < numQuestions; i++) {
-                const correctItem = shuffled[i];
+                const correctItem = selected[i];
                 const distractors = this.getDistractors(correctItem, vocabulary, this.settings.difficulty - 1);
                 const choices = [correctItem.word, ...distractors].sort(() => Math.random() - 0.5);
                 
@@ -187,6 +187,7 @@ class MultipleChoiceExercise extends ExerciseFramework {
         const question = this.getCurrentQuestion();
         this.results.answers.push({
             questionNumber: this.currentQuestionIndex + 1,
+            word: question.correctAnswer,
             definition: question.definition,
             userAnswer: answer,
             correctAnswer: question.correctAnswer,
@@ -20,11 +20,7 @@ class MultipleChoiceUI {
         this.selectedAnswer = null;
         this.hasRetried = false;  // Track retry attempts for medium difficulty
         
-        // Bind WebSocket message handler
-        this.handleWebSocketMessage = this.handleWebSocketMessage.bind(this);
-        
         this.setupEventListeners();
-        this.setupWebSocketListener();
     }
     
     /**
@@ -90,10 +86,6 @@ class MultipleChoiceUI {
         document.getElementById('mcSettingsPanel').style.display = 'none';
         document.getElementById('mcExercisePanel').style.display = 'block';
         
-        // Show exercise chat panel
-        this.showExerciseChat();
-        
-        // LLM will send welcome message when activity_start event is received
         
         // Show click-to-start overlay
         ClickToStartOverlay.show(() => {
@@ -115,15 +107,8 @@ class MultipleChoiceUI {
             
             this.exercise.start();
             
-            // Send activity_start event to backend to create activity agent
-            if (this.app.wsClient && this.app.wsClient.isConnected()) {
-                this.app.wsClient.send({
-                    type: 'activity_start',
-                    activity: 'multiple_choice',
-                    difficulty: settings.difficulty.toString()
-                });
-                console.log('[BREADCRUMB][MC] Sent activity_start event');
-            }
+            // Open the activity chat; the helper's welcome arrives once it hears the activity started
+            this.app.activityChat.startActivity('multiple_choice', settings.difficulty);
             
             this.displayQuestion();
         } catch (error) {
@@ -151,15 +136,7 @@ class MultipleChoiceUI {
             document.getElementById('mcSettingsPanel').style.display = 'none';
             document.getElementById('mcExercisePanel').style.display = 'block';
             
-            // Send activity_start event to backend to create activity agent
-            if (this.app.wsClient && this.app.wsClient.isConnected()) {
-                this.app.wsClient.send({
-                    type: 'activity_start',
-                    activity: 'multiple_choice',
-                    difficulty: difficulty.toString()
-                });
-                console.log('[BREADCRUMB][MC] Sent activity_start event (dev mode)');
-            }
+            this.app.activityChat.startActivity('multiple_choice', difficulty);
             
             this.displayQuestion();
         } catch (error) {
@@ -435,180 +412,13 @@ class MultipleChoiceUI {
     }
     
     /**
-     * Setup WebSocket message listener
-     * @private
-     */
-    setupWebSocketListener() {
-        if (this.app.wsClient) {
-            this.app.wsClient.addMessageHandler(this.handleWebSocketMessage);
-            console.log('[BREADCRUMB][MC] WebSocket listener added');
-        }
-    }
-    
-    /**
-     * Handle incoming WebSocket messages
-     * @private
-     * @param {Object} message - WebSocket message
-     */
-    handleWebSocketMessage(message) {
-        console.log('[BREADCRUMB][MC] WebSocket message received:', message.type);
-        
-        // Only handle activity-related messages
-        if (message.type === 'activity_chat' && message.sender === 'agent') {
-            console.log('[BREADCRUMB][MC] Displaying LLM response in embedded chat');
-            this.sendChatMessage(message.message, 'agent');
-        } else if (message.type === 'activity_hint') {
-            console.log('[BREADCRUMB][MC] Displaying hint in embedded chat');
-            this.sendChatMessage(`💡 ${message.hint}`, 'agent');
-        } else if (message.type === 'activity_feedback') {
-            console.log('[BREADCRUMB][MC] Displaying feedback in embedded chat');
-            this.sendChatMessage(message.feedback, 'agent');
-        }
-    }
-    
-    /**
-     * Show exercise chat panel
-     * @private
-     */
-    showExerciseChat() {
-        const chatPanel = document.getElementById('mcChatPanel');
-        if (chatPanel) {
-            chatPanel.style.display = 'flex';
-            document.body.classList.add('exercise-active');
-        }
-        
-        // Setup chat controls
-        const minimizeBtn = document.getElementById('mcChatMinimize');
-        const sendBtn = document.getElementById('mcChatSend');
-        const input = document.getElementById('mcChatInput');
-        
-        if (minimizeBtn) {
-            minimizeBtn.onclick = () => this.toggleChatMinimize();
-        }
-        
-        if (sendBtn) {
-            sendBtn.onclick = () => this.sendUserMessage();
-        }
-        
-        if (input) {
-            input.onkeypress = (e) => {
-                if (e.key === 'Enter') {
-                    this.sendUserMessage();
-                }
-            };
-        }
-    }
-    
-    /**
-     * Hide exercise chat panel
-     * @private
-     */
-    hideExerciseChat() {
-        const chatPanel = document.getElementById('mcChatPanel');
-        if (chatPanel) {
-            chatPanel.style.display = 'none';
-            document.body.classList.remove('exercise-active');
-        }
-    }
-    
-    /**
-     * Toggle chat minimize state
-     * @private
-     */
-    toggleChatMinimize() {
-        const chatPanel = document.getElementById('mcChatPanel');
-        if (chatPanel) {
-            chatPanel.classList.toggle('minimized');
-        }
-    }
-    
-    /**
-     * Send a message to the exercise chat
-     * @private
-     * @param {string} message - Message text
-     * @param {string} sender - 'agent' or 'student'
-     */
-    sendChatMessage(message, sender = 'agent') {
-        const messagesContainer = document.getElementById('mcChatMessages');
-        if (!messagesContainer) return;
-        
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `exercise-chat-message ${sender}`;
-        
-        const senderName = sender === 'agent' ? 'Helper' : 'You';
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
-        
-        messageDiv.innerHTML = `
-            <div class="exercise-message-bubble">
-                <div class="exercise-message-sender">${senderName}</div>
-                ${this.escapeHtml(message)}
-                <div class="exercise-message-time">${timeStr}</div>
-            </div>
-        `;
-        
-        messagesContainer.appendChild(messageDiv);
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
-    }
-    
-    /**
-     * Send user message from input
-     * @private
-     */
-    sendUserMessage() {
-        console.log('[BREADCRUMB][MC] sendUserMessage() called');
-        const input = document.getElementById('mcChatInput');
-        if (!input) {
-            console.log('[BREADCRUMB][MC] ERROR: Input element not found');
-            return;
-        }
-        
-        const message = input.value.trim();
-        console.log('[BREADCRUMB][MC] Message:', message);
-        if (!message) {
-            console.log('[BREADCRUMB][MC] Empty message, returning');
-            return;
-        }
-        
-        console.log('[BREADCRUMB][MC] Adding message to chat UI');
-        this.sendChatMessage(message, 'student');
-        input.value = '';
-        
-        // Send to backend via WebSocket if available
-        if (this.app.wsClient && this.app.wsClient.isConnected()) {
-            console.log('[BREADCRUMB][MC] Sending to backend via WebSocket');
-            this.app.wsClient.sendActivityChat(message);
-        } else {
-            console.log('[BREADCRUMB][MC] ERROR: WebSocket not connected');
-        }
-    }
-    
-    /**
-     * Send activity event to backend
+     * Send activity event to the activity helper
      * @private
      * @param {string} event - Event type (e.g., 'wrong_answer', 'correct_answer')
      * @param {Object} context - Event context data
      */
     sendActivityEvent(event, context) {
-        if (this.app.wsClient && this.app.wsClient.isConnected()) {
-            this.app.wsClient.sendActivityEvent(event, context);
-        }
-    }
-    
-    /**
-     * Escape HTML to prevent XSS
-     * @private
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        this.app.activityChat.sendActivityEvent(event, context);
     }
     
     /**
@@ -617,18 +427,8 @@ class MultipleChoiceUI {
      * @param {Object} results - Exercise results
      */
     showResults(results) {
-        // Hide exercise chat
-        this.hideExerciseChat();
-        
-        // Send activity_end event to backend
-        if (this.app.wsClient && this.app.wsClient.isConnected()) {
-            this.app.wsClient.send({
-                type: 'activity_end',
-                score: results.score,
-                total: results.total
-            });
-            console.log('[BREADCRUMB][MC] Sent activity_end event');
-        }
+        // Close the activity chat, telling the helper how it went
+        this.app.activityChat.endActivity(results);
         
         this.app.showResults('multiple_choice', results);
     }
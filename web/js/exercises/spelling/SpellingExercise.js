@@ -36,6 +36,7 @@ class SpellingExercise {
         this.userAnswers = [];
         this.numQuestions = 10;
         this.difficulty = 'medium'; // 'easy', 'medium', 'hard'
+        this.startTime = null;
     }
 
     /**
@@ -47,6 +48,7 @@ class SpellingExercise {
         this.currentQuestionIndex = 0;
         this.score = 0;
         this.userAnswers = [];
+        this.startTime = Date.now();
         this.generateQuestions();
     }
 
@@ -54,8 +56,10 @@ class SpellingExercise {
      * Generate questions for the exercise
      */
     generateQuestions() {
-        // Get random vocabulary items for questions
-        const selectedItems = this.curriculumManager.getRandomVocabularyItems(this.numQuestions);
+        // Pick words for this difficulty, weighted toward the important ones
+        const selectedItems = this.curriculumManager.selectVocabularyItems(this.numQuestions, {
+            difficulty: this.difficulty
+        });
         
         this.questions = selectedItems.map(item => {
             return {
@@ -99,6 +103,7 @@ class SpellingExercise {
 
         this.userAnswers.push({
             questionNumber: this.currentQuestionIndex + 1,
+            word: currentQuestion.word,
             definition: currentQuestion.definition,
             correctAnswer: currentQuestion.word,
             userAnswer: answer,
@@ -163,7 +168,8 @@ class SpellingExercise {
             total: this.questions.length,
             percentage: percentage,
             message: message,
-            answers: this.userAnswers
+            answers: this.userAnswers,
+            timeSpent: this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0
         };
     }
 
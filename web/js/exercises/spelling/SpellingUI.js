@@ -83,9 +83,9 @@ class SpellingUI {
         document.getElementById('spSettingsPanel').style.display = 'none';
         document.getElementById('spExercisePanel').style.display = 'block';
 
-        // Start activity chat widget
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.startActivity('spelling', difficulty);
+        // Open the activity chat
+        if (this.app.activityChat) {
+            this.app.activityChat.startActivity('spelling', difficulty);
         }
 
         this.displayQuestion();
@@ -138,10 +138,10 @@ class SpellingUI {
         this.showFeedback(isCorrect);
         
         // Send activity event based on difficulty
-        if (!isCorrect && behavior && this.app.activityChatWidget) {
+        if (!isCorrect && behavior && this.app.activityChat) {
             if (behavior.feedbackTiming === 'immediate') {
                 // Easy mode: immediate feedback
-                this.app.activityChatWidget.sendActivityEvent('wrong_answer', {
+                this.app.activityChat.sendActivityEvent('wrong_answer', {
                     question: question.definition,
                     userAnswer: answer,
                     correctAnswer: question.word,
@@ -150,7 +150,7 @@ class SpellingUI {
                 });
             } else if (behavior.feedbackTiming === 'per_question') {
                 // Medium mode: one hint
-                this.app.activityChatWidget.sendActivityEvent('wrong_answer', {
+                this.app.activityChat.sendActivityEvent('wrong_answer', {
                     question: question.definition,
                     userAnswer: answer,
                     correctAnswer: question.word,
@@ -159,9 +159,9 @@ class SpellingUI {
                 });
             }
             // Hard mode: no immediate feedback (end_only)
-        } else if (isCorrect && behavior && behavior.confirmCorrections && this.app.activityChatWidget) {
+        } else if (isCorrect && behavior && behavior.confirmCorrections && this.app.activityChat) {
             // Confirm correct answers in easy/medium modes
-            this.app.activityChatWidget.sendActivityEvent('correct_answer', {
+            this.app.activityChat.sendActivityEvent('correct_answer', {
                 question: question.definition,
                 answer: answer,
                 difficulty: difficulty
@@ -238,8 +238,8 @@ class SpellingUI {
         const results = this.exercise.getResults();
         
         // End activity chat session
-        if (this.app.activityChatWidget) {
-            this.app.activityChatWidget.endActivity();
+        if (this.app.activityChat) {
+            this.app.activityChat.endActivity(results);
         }
         
         this.app.showResults('spelling', results);
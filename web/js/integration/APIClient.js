@@ -4,46 +4,136 @@
  */
 
 class APIClient {
-    constructor(baseURL = 'http://localhost:8000') {
+    /**
+     * @param {string|null} baseURL - Backend URL (see RuntimeConfig); null when there is no backend
+     */
+    constructor(baseURL = RuntimeConfig.PROFILES.local.apiBaseURL) {
         this.baseURL = baseURL;
     }
 
     /**
-     * Make a fetch request with error handling
+     * Make a request, retrying if it fails in a way that may not happen again
+     * Only calls that are safe to repeat pass `retries`; a retried POST must not be applied twice.
+     * @param {string} endpoint - API path (also selects the response shape, see RESPONSE_SHAPES)
+     * @param {Object} options - fetch options, plus:
+     * @param {number} options.timeout - Give up on an attempt after this long (ms)
+     * @param {number} options.retries - Extra attempts after a retryable error
+     * @returns {Promise<Object>} The response body
+     * @throws {APIError} NetworkError, RequestTimeoutError, HTTPError or ResponseValidationError
      */
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
-        
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        };
+    async request(endpoint, { timeout = APIClient.TIMEOUT, retries = 0, ...options } = {}) {
+        if (!this.baseURL) {
+            throw new NetworkError('No backend configured', { endpoint });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, options, timeout);
+            } catch (error) {
+                if (!error.retryable || attempt >= retries) {
+                    console.error(`API Error [${endpoint}]:`, error);
+                    throw error;
+                }
+                const delay = APIClient.RETRY_DELAY * Math.pow(2, attempt);
+                console.warn(`[BREADCRUMB][API] ${endpoint} failed (${error.message}); retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
 
-        const config = { ...defaultOptions, ...options };
+    /**
+     * Make one attempt at a request and check the response
+     */
+    async send(endpoint, options, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const config = {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers },
+            signal: controller.signal
+        };
 
+        let response;
+        let body;
         try {
-            const response = await fetch(url, config);
-            
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({ 
-                    detail: `HTTP ${response.status}: ${response.statusText}` 
-                }));
-                throw new Error(error.detail || 'Request failed');
+            response = await fetch(`${this.baseURL}${endpoint}`, config);
+            body = await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new RequestTimeoutError(`No response from ${endpoint} within ${timeout}ms`,
+                    { endpoint, cause: error });
             }
+            if (!response) {
+                throw new NetworkError(`Could not reach the backend: ${error.message}`, { endpoint, cause: error });
+            }
+            body = null;
+        } finally {
+            clearTimeout(timer);
+        }
 
-            return await response.json();
-        } catch (error) {
-            console.error(`API Error [${endpoint}]:`, error);
-            throw error;
+        if (!response.ok) {
+            const detail = body && typeof body.detail === 'string' ? body.detail :
+                `HTTP ${response.status}: ${response.statusText}`;
+            throw new HTTPError(response.status, detail, { endpoint });
+        }
+        if (body === null) {
+            throw new ResponseValidationError(`${endpoint} did not return JSON`, { endpoint });
+        }
+
+        const problem = APIClient.checkShape(body, APIClient.RESPONSE_SHAPES[endpoint]);
+        if (problem) {
+            throw new ResponseValidationError(`Unexpected response from ${endpoint}: ${problem}`, { endpoint });
         }
+        return body;
+    }
+
+    /**
+     * Check request parameters with InputValidator before sending them
+     * @param {Object} validation - An InputValidator result
+     * @param {string} endpoint - API path, for the error
+     * @throws {RequestValidationError}
+     */
+    static checkParams(validation, endpoint) {
+        if (!validation.isValid) {
+            throw new RequestValidationError(validation.error, { endpoint });
+        }
+    }
+
+    /**
+     * Check a response body against a declared shape
+     * A shape maps each field to a type ('string', 'number', 'boolean', 'object', 'array' or 'any');
+     * a trailing '?' makes the field optional (it may be missing or null). Extra fields are allowed.
+     * @returns {string|null} What is wrong, or null if the body fits
+     */
+    static checkShape(body, shape = {}) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return 'expected an object';
+        }
+        for (const [field, declared] of Object.entries(shape)) {
+            const optional = declared.endsWith('?');
+            const type = optional ? declared.slice(0, -1) : declared;
+            const value = body[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    return `${field} is missing`;
+                }
+                continue;
+            }
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (type !== 'any' && actual !== type) {
+                const article = type === 'array' || type === 'object' ? 'an' : 'a';
+                return `${field} should be ${article} ${type}, not ${actual}`;
+            }
+        }
+        return null;
     }
 
     /**
      * Health check
      */
-    async healthCheck() {
-        return this.request('/health');
+    async healthCheck(options = {}) {
+        return this.request('/health', { retries: APIClient.RETRIES, ...options });
     }
 
     /**
@@ -52,12 +142,13 @@ class APIClient {
      * @param {string} moduleId - Curriculum module ID (default: r003.1)
      */
     async initSession(username, moduleId = 'r003.1') {
+        const validation = InputValidator.validateSessionInitParams({ username, module_id: moduleId });
+        APIClient.checkParams(validation, '/api/session/init');
+
+        // Not retried: a retry after a lost response would open a second session
         return this.request('/api/session/init', {
             method: 'POST',
-            body: JSON.stringify({
-                username,
-                module_id: moduleId
-            })
+            body: JSON.stringify(validation.value)
         });
     }
 
@@ -66,8 +157,12 @@ class APIClient {
      * @param {string} sessionId - Session ID
      */
     async endSession(sessionId) {
+        APIClient.checkParams(InputValidator.validateSessionId(sessionId), '/api/session/end');
+
+        // Ending a session twice leaves it ended, so this one is safe to retry
         return this.request('/api/session/end', {
             method: 'POST',
+            retries: APIClient.RETRIES,
             body: JSON.stringify({
                 session_id: sessionId
             })
@@ -95,16 +190,31 @@ class APIClient {
      * @param {string} activityType - Type of activity
      * @param {object} results - Activity results
      * @param {object} tuningSettings - Settings used for the activity
+     * @param {string} idempotencyKey - Identifies this result, so a resent copy can be ignored (optional)
+     * @param {string} occurredAt - When the activity ended, for results sent later (optional, ISO time)
      */
-    async endActivity(sessionId, activityType, results, tuningSettings) {
+    async endActivity(sessionId, activityType, results, tuningSettings, idempotencyKey = null, occurredAt = null) {
+        const validation = InputValidator.validateActivityEndParams({
+            session_id: sessionId,
+            activity_type: activityType,
+            results,
+            tuning_settings: tuningSettings
+        });
+        APIClient.checkParams(validation, '/api/activity/end');
+
+        const body = { ...validation.value };
+        if (idempotencyKey) {
+            body.idempotency_key = idempotencyKey;
+        }
+        if (occurredAt) {
+            body.occurred_at = occurredAt;
+        }
+
+        // The backend ignores a result it has already received with the same key
         return this.request('/api/activity/end', {
             method: 'POST',
-            body: JSON.stringify({
-                session_id: sessionId,
-                activity_type: activityType,
-                results,
-                tuning_settings: tuningSettings
-            })
+            retries: idempotencyKey ? APIClient.RETRIES : 0,
+            body: JSON.stringify(body)
         });
     }
 
@@ -113,7 +223,7 @@ class APIClient {
      */
     async isAvailable() {
         try {
-            await this.healthCheck();
+            await this.healthCheck({ retries: 0, timeout: APIClient.HEALTH_TIMEOUT });
             return true;
         } catch (error) {
             return false;
@@ -121,5 +231,31 @@ class APIClient {
     }
 }
 
+APIClient.TIMEOUT = 10 * 1000;
+APIClient.HEALTH_TIMEOUT = 3000;   // Startup waits on the availability check
+APIClient.RETRIES = 2;
+APIClient.RETRY_DELAY = 500;       // Doubles with each retry
+
+// Shapes of the responses the app relies on (see checkShape)
+APIClient.RESPONSE_SHAPES = {
+    '/health': {},
+    '/api/session/init': {
+        session_id: 'string',
+        student_id: 'any?',
+        student_name: 'string?',
+        progress: 'object?',
+        is_returning_student: 'boolean?',
+        tutor_greeting: 'string?',
+        available_activities: 'array?'
+    },
+    '/api/session/end': {},
+    '/api/activity/start': {},
+    '/api/activity/end': {
+        feedback: 'string?',
+        unlocked_activities: 'array?',
+        next_recommendation: 'any?'
+    }
+};
+
 // Export for use in other modules
 window.APIClient = APIClient;
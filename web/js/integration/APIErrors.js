@@ -0,0 +1,111 @@
+/**
+ * API Errors
+ * Errors raised by APIClient, one class per way a backend call can fail
+ *
+ * Every error carries a `category` and a `retryable` flag, so callers (and
+ * ErrorHandler.classifyError) can tell a backend that couldn't be reached, which is worth trying
+ * again, from a request the backend refused, which isn't.
+ */
+
+class APIError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} options
+     * @param {string} options.category - network, timeout, server, rate_limit, auth, not_found, client,
+     *     validation or invalid_response
+     * @param {boolean} options.retryable - The same request may succeed later
+     * @param {string} options.endpoint - API path that was called
+     * @param {Error} options.cause - Underlying error, if any
+     */
+    constructor(message, { category = 'unknown', retryable = false, endpoint = null, cause = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.category = category;
+        this.retryable = retryable;
+        this.endpoint = endpoint;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The backend couldn't be reached (no connection, server down, or no backend configured)
+ */
+class NetworkError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, category: 'network', retryable: true });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The backend didn't answer within the request's timeout
+ */
+class RequestTimeoutError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, category: 'timeout', retryable: true });
+        this.name = 'RequestTimeoutError';
+    }
+}
+
+/**
+ * The backend answered with an error status
+ * Server errors (5xx) and rate limiting (429) are retryable; other statuses mean the request was refused.
+ */
+class HTTPError extends APIError {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - The backend's error detail
+     */
+    constructor(status, message, options = {}) {
+        super(message, { ...options, ...HTTPError.describeStatus(status) });
+        this.name = 'HTTPError';
+        this.status = status;
+    }
+
+    /**
+     * Get the category of an HTTP error status, and whether it is worth retrying
+     */
+    static describeStatus(status) {
+        if (status >= 500) {
+            return { category: 'server', retryable: true };
+        }
+        if (status === 429) {
+            return { category: 'rate_limit', retryable: true };
+        }
+        if (status === 401 || status === 403) {
+            return { category: 'auth', retryable: false };
+        }
+        if (status === 404) {
+            return { category: 'not_found', retryable: false };
+        }
+        return { category: 'client', retryable: false };
+    }
+}
+
+/**
+ * A request was not sent because its parameters are invalid (see InputValidator)
+ */
+class RequestValidationError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, category: 'validation', retryable: false });
+        this.name = 'RequestValidationError';
+    }
+}
+
+/**
+ * The backend's response doesn't have the declared shape (see APIClient.RESPONSE_SHAPES)
+ */
+class ResponseValidationError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, category: 'invalid_response', retryable: false });
+        this.name = 'ResponseValidationError';
+    }
+}
+
+// Export for use in other modules
+window.APIError = APIError;
+window.NetworkError = NetworkError;
+window.RequestTimeoutError = RequestTimeoutError;
+window.HTTPError = HTTPError;
+window.RequestValidationError = RequestValidationError;
+window.ResponseValidationError = ResponseValidationError;
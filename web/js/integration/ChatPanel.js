@@ -0,0 +1,439 @@
+/**
+ * Chat Panel
+ * A conversation with the tutor: the main tutor on the home screen, or the activity helper beside
+ * an exercise (ActivityChatPanel)
+ *
+ * A panel is bound to markup already in the page and finds its parts by their data-chat attribute:
+ * messages, input and send, plus optionally reconnect, reconnect-button and minimize.
+ * Its channels (see ChatPanel.CHANNELS) decide which WebSocket messages it shows and what the
+ * student's messages are sent as. Streamed replies (see WebSocketClient) appear as they arrive,
+ * after a typing indicator; sending another message cuts off a reply that is still coming.
+ */
+
+class ChatPanel {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.element - The chat's markup
+     * @param {WebSocketClient} options.wsClient - Connection to the tutor
+     * @param {Array<string>} options.channels - Names from ChatPanel.CHANNELS; the student's messages go to the first
+     * @param {string} options.agentName - Name shown on the tutor's messages
+     * @param {string} options.offlineMessage - Shown when a message can't be sent
+     */
+    constructor({ element, wsClient, channels, agentName = 'Tutor', offlineMessage = ChatPanel.OFFLINE_MESSAGE }) {
+        this.element = element;
+        this.wsClient = wsClient;
+        this.channels = channels.map(name => ChatPanel.CHANNELS[name]);
+        this.agentName = agentName;
+        this.offlineMessage = offlineMessage;
+        this.messagesContainer = this.getPart('messages');
+        this.inputField = this.getPart('input');
+        this.reconnectBar = this.getPart('reconnect');
+        this.stream = null;                  // Reply being composed or streamed: { id, bubble, text }
+        this.typingIndicator = null;
+        this.cancelledStreams = new Set();   // Their remaining pieces are ignored (the latest few)
+        this.messageHandler = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Wire up the controls and start listening to the tutor
+     */
+    initialize() {
+        this.getPart('send').addEventListener('click', () => this.sendMessage());
+        this.inputField.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+
+        const reconnectButton = this.getPart('reconnect-button');
+        if (reconnectButton) {
+            reconnectButton.addEventListener('click', () => this.wsClient.reconnect());
+        }
+        const minimizeButton = this.getPart('minimize');
+        if (minimizeButton) {
+            minimizeButton.addEventListener('click', () => this.toggleMinimize());
+        }
+
+        if (this.wsClient) {
+            this.wsClient.addMessageHandler(this.messageHandler);
+        }
+    }
+
+    /**
+     * Find one of the chat's parts by its data-chat attribute
+     */
+    getPart(name) {
+        return this.element.querySelector(`[data-chat="${name}"]`);
+    }
+
+    /**
+     * Show the chat
+     */
+    show() {
+        this.element.style.display = 'flex';
+        this.scrollToBottom();
+    }
+
+    /**
+     * Hide the chat
+     */
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Toggle minimize state
+     */
+    toggleMinimize() {
+        this.element.classList.toggle('minimized');
+    }
+
+    /**
+     * Remove all messages (e.g. before another student's conversation)
+     */
+    clear() {
+        this.interruptReply(false);
+        this.messagesContainer.innerHTML = '';
+    }
+
+    /**
+     * Extra fields sent with the student's messages
+     */
+    getContext() {
+        return {};
+    }
+
+    /**
+     * Send what the student typed
+     */
+    sendMessage() {
+        const message = this.inputField.value.trim();
+        if (!message) {
+            return;
+        }
+
+        // The student has moved on, so the unfinished reply is dropped
+        this.interruptReply();
+        this.addMessage('student', message);
+        this.inputField.value = '';
+
+        // Sent now, or as soon as the connection is back
+        if (this.wsClient && this.wsClient.hasSession()) {
+            this.wsClient.send({
+                type: this.channels[0].type,
+                sender: 'student',
+                message: message,
+                ...this.getContext()
+            });
+        } else {
+            setTimeout(() => this.addMessage('agent', this.offlineMessage), 500);
+        }
+    }
+
+    /**
+     * Add a message to the chat
+     * @param {string} sender - 'student' or 'agent'
+     * @param {string} message - Message text
+     * @returns {HTMLElement} The message element
+     */
+    addMessage(sender, message) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `chat-message ${sender}`;
+        messageDiv.innerHTML = `
+            <div class="message-bubble">
+                <div class="message-sender">${sender === 'agent' ? this.agentName : 'You'}</div>
+                <span class="message-text"></span>
+                <div class="message-time">${ChatPanel.formatTime(new Date())}</div>
+            </div>
+        `;
+        messageDiv.querySelector('.message-text').textContent = message;
+
+        this.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+        return messageDiv;
+    }
+
+    /**
+     * Handle incoming WebSocket messages
+     * @param {object} message - WebSocket message
+     */
+    handleMessage(message) {
+        if (message.type === 'connection') {
+            if (message.status === 'disconnected') {
+                this.interruptReply(false);
+            }
+            this.updateConnectionStatus(message.status);
+            return;
+        }
+
+        if (message.type === 'typing' || message.type === 'chat_delta') {
+            if (!this.channels.some(channel => channel.type === message.reply_type)) {
+                return;
+            }
+            if (message.type === 'typing') {
+                this.showTyping(message.stream_id);
+            } else {
+                this.appendDelta(message.stream_id, message.delta);
+            }
+            return;
+        }
+
+        for (const channel of this.channels) {
+            const text = channel.read(message);
+            if (text !== null) {
+                this.finishReply(message.stream_id, text);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show the Reconnect button once the client has stopped retrying
+     * @param {string} status - 'connected', 'reconnecting', 'disconnected', 'failed' or 'incompatible'
+     */
+    updateConnectionStatus(status) {
+        if (!this.reconnectBar || status === 'disconnected') {
+            return;
+        }
+        this.reconnectBar.style.display = status === 'failed' ? 'flex' : 'none';
+    }
+
+    /**
+     * Show that the tutor is composing a reply
+     * @param {string} streamId - stream_id of the reply's pieces
+     */
+    showTyping(streamId) {
+        this.hideTyping();
+        this.stream = { id: streamId, bubble: null, text: '' };
+        this.typingIndicator = document.createElement('div');
+        this.typingIndicator.className = 'chat-message agent';
+        this.typingIndicator.innerHTML = `
+            <div class="message-bubble typing-dots" title="${this.agentName} is typing">
+                <span></span><span></span><span></span>
+            </div>
+        `;
+        this.messagesContainer.appendChild(this.typingIndicator);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Remove the typing indicator
+     */
+    hideTyping() {
+        if (this.typingIndicator) {
+            this.typingIndicator.remove();
+            this.typingIndicator = null;
+        }
+    }
+
+    /**
+     * Add the next piece of a streamed reply to its bubble
+     * @param {string} streamId - Reply the piece belongs to
+     * @param {string} delta - Text to add
+     */
+    appendDelta(streamId, delta) {
+        if (this.cancelledStreams.has(streamId)) {
+            return;
+        }
+        if (!this.stream || this.stream.id !== streamId) {
+            this.stream = { id: streamId, bubble: null, text: '' };
+        }
+        if (!this.stream.bubble) {
+            this.hideTyping();
+            this.stream.bubble = this.addMessage('agent', '');
+        }
+        this.stream.text += delta;
+        this.stream.bubble.querySelector('.message-text').textContent = this.stream.text;
+        this.scrollToBottom();
+    }
+
+    /**
+     * Show a complete reply, in place of its streamed pieces if they were shown
+     * @param {string|undefined} streamId - Set if the reply was streamed
+     * @param {string} text - The whole reply
+     */
+    finishReply(streamId, text) {
+        if (streamId && this.cancelledStreams.delete(streamId)) {
+            return;
+        }
+
+        const stream = streamId && this.stream && this.stream.id === streamId ? this.stream : null;
+        if (stream) {
+            this.stream = null;
+            this.hideTyping();
+        }
+        if (stream && stream.bubble) {
+            stream.bubble.querySelector('.message-text').textContent = text;
+            this.scrollToBottom();
+        } else {
+            this.addMessage('agent', text);
+        }
+    }
+
+    /**
+     * Stop showing the reply in progress; what has arrived of it stays, marked as cut off
+     * @param {boolean} tellServer - Ask the server to stop composing it (not when the connection dropped)
+     */
+    interruptReply(tellServer = true) {
+        if (!this.stream) {
+            return;
+        }
+        if (tellServer && this.wsClient) {
+            this.wsClient.cancelReply(this.stream.id);
+        }
+        this.cancelledStreams.add(this.stream.id);
+        if (this.cancelledStreams.size > ChatPanel.MAX_CANCELLED_STREAMS) {
+            // A final reply may never come for it (the server stopped, or the connection dropped)
+            this.cancelledStreams.delete(this.cancelledStreams.values().next().value);
+        }
+        if (this.stream.bubble) {
+            this.stream.bubble.classList.add('interrupted');
+        }
+        this.hideTyping();
+        this.stream = null;
+    }
+
+    /**
+     * Scroll to bottom of messages
+     */
+    scrollToBottom() {
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Format a message's time, e.g. "3:05 PM"
+     */
+    static formatTime(date) {
+        return date.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true
+        });
+    }
+}
+
+/**
+ * The activity helper's chat, shown beside whichever exercise is running
+ * Exercises report the activity's start, events and end here, and the helper answers in the chat.
+ */
+class ActivityChatPanel extends ChatPanel {
+    constructor(options) {
+        super({ channels: ['activity', 'hint'], agentName: 'Helper', ...options });
+        this.activity = null;
+        this.difficulty = null;
+    }
+
+    /**
+     * Open the chat beside the exercise screen that is showing, and tell the helper the activity started
+     * @param {string} activity - Activity type (e.g. 'spelling')
+     * @param {string|number} difficulty - Difficulty level
+     */
+    startActivity(activity, difficulty) {
+        this.activity = activity;
+        this.difficulty = String(difficulty);
+        this.clear();
+
+        const screen = document.querySelector('.screen.active');
+        if (screen) {
+            screen.appendChild(this.element);
+            screen.classList.add('with-chat');
+        }
+        this.show();
+
+        if (this.wsClient && this.wsClient.hasSession()) {
+            this.wsClient.send({
+                type: 'activity_start',
+                activity: activity,
+                difficulty: this.difficulty
+            });
+        }
+        console.log(`[BREADCRUMB][CHAT] Activity chat started: ${activity} (${this.difficulty})`);
+    }
+
+    /**
+     * Tell the helper what just happened in the activity (e.g. 'wrong_answer'), so it can respond
+     * @param {string} event - Event type
+     * @param {object} context - Event context
+     */
+    sendActivityEvent(event, context) {
+        if (!this.activity || !this.wsClient || !this.wsClient.hasSession()) {
+            return;
+        }
+
+        console.log(`[BREADCRUMB][CHAT] Sending activity_event: ${event}`);
+        this.wsClient.send({
+            type: 'activity_event',
+            activity: this.activity,
+            difficulty: this.difficulty,
+            event: event,
+            context: context
+        });
+    }
+
+    /**
+     * Close the chat at the end of the activity
+     * @param {Object|null} results - { score, total }, sent to the helper if given
+     */
+    endActivity(results = null) {
+        if (!this.activity) {
+            return;
+        }
+
+        this.interruptReply();
+        if (results && this.wsClient && this.wsClient.hasSession()) {
+            this.wsClient.send({
+                type: 'activity_end',
+                activity: this.activity,
+                score: results.score,
+                total: results.total
+            });
+        }
+        this.activity = null;
+        this.difficulty = null;
+        this.hide();
+        if (this.element.parentElement) {
+            this.element.parentElement.classList.remove('with-chat');
+        }
+    }
+
+    getContext() {
+        return {
+            activity: this.activity,
+            difficulty: this.difficulty
+        };
+    }
+}
+
+ChatPanel.OFFLINE_MESSAGE = "I'm currently offline. Please make sure the backend is running to chat with me!";
+ChatPanel.MAX_CANCELLED_STREAMS = 20;    // Older cancelled replies have long stopped arriving
+
+// What each kind of chat shows, and what it sends. `type` is the message type the student's
+// messages are sent as (and the reply_type of replies streamed to them); `read` returns the text
+// to show for a server message, or null if it belongs elsewhere.
+ChatPanel.CHANNELS = {
+    main: {
+        type: 'chat',
+        read: message => (message.type === 'chat' && message.sender === 'agent' ? message.message : null)
+    },
+    activity: {
+        type: 'activity_chat',
+        read: message => {
+            if (message.type === 'activity_chat' && message.sender === 'agent') {
+                return message.message;
+            }
+            if (message.type === 'activity_feedback') {
+                return message.feedback;
+            }
+            return null;
+        }
+    },
+    hint: {
+        type: null,
+        read: message => (message.type === 'activity_hint' || message.type === 'hint' ? `💡 ${message.hint}` : null)
+    }
+};
+
+// Export for use in other modules
+window.ChatPanel = ChatPanel;
+window.ActivityChatPanel = ActivityChatPanel;
@@ -0,0 +1,657 @@
+/**
+ * Mock Backend
+ * In-page stand-in for the tutoring backend, so the app can be run end to end without it
+ *
+ * Installing it wraps window.fetch and window.WebSocket: requests to its base URL are answered
+ * here, everything else goes to the real network. It implements the REST endpoints APIClient
+ * calls and the WebSocket chat protocol (handshake, acks and envelopes, see WebSocketClient), with
+ * scripted tutor replies instead of a language model. Chat replies are streamed a word at a time to
+ * clients that support it, like a model's output.
+ * Students, sessions and progress are kept in localStorage, so sessions survive a reload.
+ *
+ * Select it with the "mock" profile (?profile=mock, or the dev panel).
+ */
+
+class MockBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - API URL answered here (WebSocket URLs use the same host)
+     * @param {string|null} options.storageKey - localStorage key for the backend's data (null keeps it in memory)
+     * @param {number} options.latency - Delay before each response and tutor reply (ms)
+     * @param {Array<number>} options.protocolVersions - WebSocket protocol versions accepted in the handshake
+     * @param {number} options.streamDelay - Delay between the pieces of a streamed reply (ms)
+     */
+    constructor({
+        baseURL = MockBackend.BASE_URL,
+        storageKey = MockBackend.STORAGE_KEY,
+        latency = MockBackend.LATENCY,
+        protocolVersions = MockBackend.PROTOCOL_VERSIONS,
+        streamDelay = MockBackend.STREAM_DELAY
+    } = {}) {
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.wsBaseURL = this.baseURL.replace(/^http/, 'ws');
+        this.storageKey = storageKey;
+        this.latency = latency;
+        this.protocolVersions = protocolVersions;
+        this.streamDelay = streamDelay;
+        this.handledMessages = new Set();
+        this.online = true;
+        this.sockets = [];
+        this.originalFetch = null;
+        this.originalWebSocket = null;
+        this.data = this.load();
+    }
+
+    /**
+     * Answer requests to the mock backend in this page
+     */
+    install() {
+        if (this.originalFetch) {
+            return;
+        }
+
+        this.originalFetch = window.fetch;
+        this.originalWebSocket = window.WebSocket;
+        const backend = this;
+
+        window.fetch = (url, options) => String(url).startsWith(this.baseURL) ?
+            this.fetch(String(url), options) : this.originalFetch.call(window, url, options);
+
+        window.WebSocket = function MockWebSocket(url, protocols) {
+            if (!String(url).startsWith(backend.wsBaseURL)) {
+                return new backend.originalWebSocket(url, protocols);
+            }
+            return backend.connect(String(url));
+        };
+        Object.assign(window.WebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+
+        console.log(`[BREADCRUMB][MOCK] Mock backend answering at ${this.baseURL}`);
+    }
+
+    /**
+     * Restore the real fetch and WebSocket
+     */
+    uninstall() {
+        if (!this.originalFetch) {
+            return;
+        }
+
+        this.sockets.forEach(socket => socket.close());
+        window.fetch = this.originalFetch;
+        window.WebSocket = this.originalWebSocket;
+        this.originalFetch = null;
+        this.originalWebSocket = null;
+    }
+
+    /**
+     * Take the backend down or bring it back (to try the app's offline handling)
+     * Going offline drops open WebSocket connections.
+     */
+    setOnline(online) {
+        this.online = online;
+        if (!online) {
+            this.sockets.slice().forEach(socket => socket.drop());
+        }
+        console.log(`[BREADCRUMB][MOCK] Mock backend is ${online ? 'online' : 'offline'}`);
+    }
+
+    /**
+     * Answer a fetch() to the mock backend
+     * @returns {Promise<Object>} A Response-like object ({ ok, status, statusText, json, text })
+     */
+    async fetch(url, options = {}) {
+        await this.wait(options.signal);
+        if (!this.online) {
+            throw new TypeError('Failed to fetch');
+        }
+
+        const path = url.slice(this.baseURL.length).split('?')[0];
+        let body = {};
+        try {
+            body = options.body ? JSON.parse(options.body) : {};
+        } catch (error) {
+            return MockBackend.response(400, { detail: 'Request body is not JSON' });
+        }
+
+        const { status, data } = this.handleRequest((options.method || 'GET').toUpperCase(), path, body);
+        return MockBackend.response(status, data);
+    }
+
+    /**
+     * Handle a REST request
+     * @returns {{status: number, data: Object}}
+     */
+    handleRequest(method, path, body) {
+        const route = `${method} ${path}`;
+        console.log('[BREADCRUMB][MOCK]', route);
+
+        switch (route) {
+        case 'GET /health':
+            return { status: 200, data: { status: 'healthy', service: 'mock-backend' } };
+        case 'POST /api/session/init':
+            return this.initSession(body);
+        case 'POST /api/session/end':
+            return this.withSession(body, session => {
+                session.endedAt = new Date().toISOString();
+                this.save();
+                return { status: 200, data: { status: 'ended', session_id: session.id } };
+            });
+        case 'POST /api/activity/start':
+            return this.withSession(body, session => {
+                session.activity = body.activity_type;
+                this.save();
+                return {
+                    status: 200,
+                    data: {
+                        status: 'started',
+                        activity_type: body.activity_type,
+                        helper_greeting: MockBackend.pick(MockBackend.REPLIES.activity_start)
+                    }
+                };
+            });
+        case 'POST /api/activity/end':
+            return this.withSession(body, session => this.endActivity(session, body));
+        default:
+            return { status: 404, data: { detail: `Not found: ${route}` } };
+        }
+    }
+
+    /**
+     * Start a session, creating the student on their first visit
+     */
+    initSession({ username, module_id: moduleId = 'r003.1' }) {
+        if (!username) {
+            return { status: 422, data: { detail: 'username is required' } };
+        }
+
+        const key = username.toLowerCase();
+        const isReturning = !!this.data.students[key];
+        if (!isReturning) {
+            this.data.students[key] = { id: MockBackend.createId(), username, progress: {} };
+        }
+        const student = this.data.students[key];
+        const progress = student.progress[moduleId] || {};
+
+        const session = {
+            id: MockBackend.createId(),
+            studentKey: key,
+            moduleId,
+            activity: null,
+            startedAt: new Date().toISOString(),
+            endedAt: null
+        };
+        this.data.sessions[session.id] = session;
+        this.save();
+
+        const greetings = isReturning ? MockBackend.REPLIES.greeting_returning : MockBackend.REPLIES.greeting;
+        return {
+            status: 200,
+            data: {
+                session_id: session.id,
+                student_id: student.id,
+                student_name: student.username,
+                is_returning_student: isReturning,
+                progress,
+                tutor_greeting: MockBackend.pick(greetings).replace('{name}', student.username),
+                available_activities: MockBackend.ACTIVITIES.filter((activity, index) =>
+                    index === 0 || (progress[activity] && progress[activity].unlocked))
+            }
+        };
+    }
+
+    /**
+     * Record an activity's results in the student's progress
+     * A result sent again with the same idempotency key gets the first response and isn't counted twice.
+     */
+    endActivity(session, body) {
+        if (body.idempotency_key && this.data.results[body.idempotency_key]) {
+            return { status: 200, data: this.data.results[body.idempotency_key] };
+        }
+
+        const { activity_type: activityType, results = {}, tuning_settings: settings = {} } = body;
+        const student = this.data.students[session.studentKey];
+        const progress = student.progress[session.moduleId] = student.progress[session.moduleId] || {};
+        const exercise = progress[activityType] = progress[activityType] ||
+            { unlocked: true, attempts: 0, best_score: null, recent_score: null, difficulties: {} };
+
+        const difficulty = String(settings.difficulty || 'default');
+        const score = {
+            score: results.score,
+            total: results.total,
+            percentage: results.total > 0 ? Math.round(results.score / results.total * 100) : 0,
+            difficulty,
+            date: body.occurred_at || new Date().toISOString()
+        };
+        const stats = exercise.difficulties[difficulty] =
+            exercise.difficulties[difficulty] || { attempts: 0, best_score: null, recent_score: null };
+        [exercise, stats].forEach(target => {
+            target.attempts++;
+            target.recent_score = score;
+            if (!target.best_score || score.percentage > target.best_score.percentage) {
+                target.best_score = score;
+            }
+        });
+
+        const unlocked = [];
+        const next = MockBackend.ACTIVITIES[MockBackend.ACTIVITIES.indexOf(activityType) + 1];
+        if (next && score.percentage >= MockBackend.UNLOCK_PERCENTAGE && !(progress[next] && progress[next].unlocked)) {
+            progress[next] = { unlocked: true, attempts: 0, best_score: null, recent_score: null, difficulties: {} };
+            unlocked.push(next);
+        }
+
+        const missed = (results.item_results || []).filter(item => !item.correct).map(item => item.item)
+            .filter(Boolean);
+        const response = {
+            feedback: MockBackend.pick(score.percentage >= MockBackend.UNLOCK_PERCENTAGE ?
+                MockBackend.REPLIES.feedback_good : MockBackend.REPLIES.feedback_practice),
+            unlocked_activities: unlocked,
+            next_recommendation: {
+                activity_type: unlocked[0] || activityType,
+                skill: 'vocabulary',
+                vocabulary_focus: [...new Set(missed)].slice(0, 3)
+            }
+        };
+        if (body.idempotency_key) {
+            this.data.results[body.idempotency_key] = response;
+        }
+        session.activity = null;
+        this.save();
+        return { status: 200, data: response };
+    }
+
+    /**
+     * Run a handler for the request's session, or answer 404 if there is no such open session
+     */
+    withSession(body, handler) {
+        const session = this.data.sessions[body.session_id];
+        if (!session || session.endedAt) {
+            return { status: 404, data: { detail: 'Session not found' } };
+        }
+        return handler(session);
+    }
+
+    /**
+     * Open a WebSocket connection to the mock backend
+     * @returns {MockSocket}
+     */
+    connect(url) {
+        const sessionId = url.slice(this.wsBaseURL.length).replace(/^\/ws\//, '');
+        const socket = new MockSocket(this, sessionId);
+        this.sockets.push(socket);
+
+        setTimeout(() => {
+            if (!this.online || !this.data.sessions[sessionId]) {
+                socket.drop();
+                return;
+            }
+            socket.open();
+        }, this.latency);
+        return socket;
+    }
+
+    /**
+     * Handle an envelope a client sent over its WebSocket
+     * The first must be a hello with a supported protocol version. Pings get a pong; every other
+     * message is acked, and answered unless its id has been seen before (a copy resent after a reconnect).
+     * Replies on a socket are sent one at a time, in the order of the messages they answer.
+     */
+    handleSocketMessage(socket, envelope) {
+        const protocol = Math.max(...this.protocolVersions);
+
+        if (envelope.type === 'hello') {
+            if (!this.protocolVersions.includes(envelope.protocol)) {
+                socket.deliver(MockBackend.envelope(protocol, 'protocol_error', {
+                    message: `Chat protocol v${envelope.protocol} is not supported by this server`,
+                    supported_versions: this.protocolVersions
+                }));
+                socket.close(4001);
+                return;
+            }
+            socket.protocol = envelope.protocol;
+            socket.capabilities = envelope.payload.capabilities || [];
+            socket.deliver(MockBackend.envelope(socket.protocol, 'welcome', { session_id: socket.sessionId }));
+            return;
+        }
+        if (!socket.protocol) {
+            socket.deliver(MockBackend.envelope(protocol, 'protocol_error', { message: 'Expected hello first' }));
+            socket.close(4001);
+            return;
+        }
+
+        if (envelope.type === 'ping') {
+            socket.deliver(MockBackend.envelope(socket.protocol, 'pong', {}, envelope.id));
+            return;
+        }
+
+        socket.deliver(MockBackend.envelope(socket.protocol, 'ack', {}, envelope.id));
+        if (this.handledMessages.has(envelope.id)) {
+            return;
+        }
+        this.handledMessages.add(envelope.id);
+
+        const reply = this.replyTo(socket, { ...envelope.payload, type: envelope.type });
+        if (reply) {
+            socket.replies = socket.replies.then(() => this.sendReply(socket, reply, envelope.id));
+        }
+    }
+
+    /**
+     * Send a reply after the latency
+     * Chat replies to a client that supports streaming start with a typing notice and come a word
+     * at a time (chat_delta), then whole, unless the client cancels them first.
+     */
+    async sendReply(socket, reply, correlationId) {
+        const { type, ...payload } = reply;
+        const send = (messageType, messagePayload) =>
+            socket.deliver(MockBackend.envelope(socket.protocol, messageType, messagePayload, correlationId));
+
+        if (!MockBackend.STREAMED_TYPES.includes(type) || !socket.capabilities.includes('streaming')) {
+            await MockBackend.pause(this.latency);
+            send(type, payload);
+            return;
+        }
+
+        const streamId = MockBackend.createId();
+        const stopped = () => socket.readyState !== MockSocket.OPEN || socket.cancelled.has(streamId);
+        send('typing', { stream_id: streamId, reply_type: type });
+        await MockBackend.pause(this.latency);
+        for (const delta of payload.message.match(/\S+\s*/g) || []) {
+            if (stopped()) {
+                return;
+            }
+            send('chat_delta', { stream_id: streamId, reply_type: type, delta });
+            await MockBackend.pause(this.streamDelay);
+        }
+        if (!stopped()) {
+            send(type, { ...payload, stream_id: streamId });
+        }
+    }
+
+    /**
+     * Pick the scripted reply to a client message
+     * @returns {Object|null} { type, ...payload }, or null if the message needs no reply
+     */
+    replyTo(socket, message) {
+        const replies = MockBackend.REPLIES;
+        let reply = null;
+
+        switch (message.type) {
+        case 'chat':
+            reply = { type: 'chat', sender: 'agent', message: MockBackend.pick(replies.chat) };
+            break;
+        case 'activity_start':
+            socket.activity = message.activity;
+            reply = { type: 'activity_chat', sender: 'agent', message: MockBackend.pick(replies.activity_start) };
+            break;
+        case 'activity_chat':
+            reply = /hint|help|stuck/i.test(message.message || '') ?
+                { type: 'activity_hint', hint: MockBackend.pick(replies.hint) } :
+                { type: 'activity_chat', sender: 'agent', message: MockBackend.pick(replies.activity_chat) };
+            break;
+        case 'activity_event':
+            if (message.event === 'wrong_answer') {
+                reply = { type: 'activity_hint', hint: MockBackend.pick(replies.hint) };
+            } else if (message.event === 'correct_answer') {
+                reply = { type: 'activity_feedback', feedback: MockBackend.pick(replies.correct) };
+            } else if (message.event === 'activity_complete') {
+                reply = { type: 'activity_feedback', feedback: MockBackend.pick(replies.feedback_good) };
+            }
+            break;
+        case 'activity_end':
+            socket.activity = null;
+            reply = {
+                type: 'activity_feedback',
+                feedback: MockBackend.pick(message.total > 0 && message.score / message.total >= 0.8 ?
+                    replies.feedback_good : replies.feedback_practice)
+            };
+            break;
+        case 'hint_request':
+        case 'game_event':
+            reply = { type: 'hint', hint: MockBackend.pick(replies.hint) };
+            break;
+        case 'exercise_complete':
+            reply = { type: 'chat', sender: 'agent', message: MockBackend.pick(replies.feedback_good) };
+            break;
+        case 'cancel':
+            socket.cancelled.add(message.stream_id);
+            break;
+        default:
+            reply = { type: 'error', error: `Unknown message type: ${message.type}` };
+        }
+        return reply;
+    }
+
+    /**
+     * Forget a closed socket
+     */
+    removeSocket(socket) {
+        this.sockets = this.sockets.filter(s => s !== socket);
+    }
+
+    /**
+     * Wait for the latency, failing like fetch if the request is aborted first
+     */
+    wait(signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                resolve();
+            }, this.latency);
+            if (signal) {
+                if (signal.aborted) {
+                    abort();
+                }
+                signal.addEventListener('abort', abort);
+            }
+        });
+    }
+
+    /**
+     * Read the backend's data from storage
+     */
+    load() {
+        const empty = { students: {}, sessions: {}, results: {} };
+        if (!this.storageKey) {
+            return empty;
+        }
+        try {
+            return { ...empty, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    /**
+     * Write the backend's data to storage
+     */
+    save() {
+        if (this.storageKey) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        }
+    }
+
+    /**
+     * Delete every student, session and result
+     */
+    reset() {
+        this.data = { students: {}, sessions: {}, results: {} };
+        this.save();
+    }
+
+    /**
+     * Build a Response-like object
+     */
+    static response(status, data) {
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: MockBackend.STATUS_TEXT[status] || '',
+            json: async () => JSON.parse(JSON.stringify(data)),
+            text: async () => JSON.stringify(data)
+        };
+    }
+
+    /**
+     * Wrap a server message in a protocol envelope
+     */
+    static envelope(protocol, type, payload, correlationId = null) {
+        const envelope = { protocol, id: MockBackend.createId(), type, timestamp: new Date().toISOString(), payload };
+        if (correlationId) {
+            envelope.correlation_id = correlationId;
+        }
+        return envelope;
+    }
+
+    /**
+     * Wait for the given time (no time at all, not even a timer tick, for 0)
+     */
+    static pause(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Pick one of several scripted replies
+     */
+    static pick(replies) {
+        return replies[Math.floor(Math.random() * replies.length)];
+    }
+
+    /**
+     * Create a UUID (session ids must be UUIDs, see InputValidator.validateSessionId)
+     */
+    static createId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.floor(Math.random() * 16);
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+    }
+}
+
+/**
+ * A WebSocket connection to the mock backend (the parts of the WebSocket API the app uses)
+ */
+class MockSocket {
+    constructor(backend, sessionId) {
+        this.backend = backend;
+        this.sessionId = sessionId;
+        this.activity = null;
+        this.protocol = null;      // Set by the handshake
+        this.capabilities = [];    // Optional features the client supports, from the handshake
+        this.replies = Promise.resolve();   // Replies still being sent, in order
+        this.cancelled = new Set();         // Streamed replies the client cancelled
+        this.readyState = MockSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+    }
+
+    /**
+     * Finish connecting
+     */
+    open() {
+        this.readyState = MockSocket.OPEN;
+        if (this.onopen) {
+            this.onopen({ type: 'open' });
+        }
+    }
+
+    /**
+     * Send a message to the backend (it arrives asynchronously, as over a network)
+     */
+    send(data) {
+        if (this.readyState !== MockSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        const envelope = JSON.parse(data);
+        setTimeout(() => {
+            if (this.readyState === MockSocket.OPEN) {
+                this.backend.handleSocketMessage(this, envelope);
+            }
+        }, 0);
+    }
+
+    /**
+     * Pass a message from the backend to the client
+     */
+    deliver(message) {
+        if (this.readyState !== MockSocket.OPEN || !this.onmessage) {
+            return;
+        }
+        this.onmessage({ type: 'message', data: JSON.stringify(message) });
+    }
+
+    /**
+     * Close the connection (from the client side)
+     */
+    close(code = 1000) {
+        if (this.readyState === MockSocket.CLOSED) {
+            return;
+        }
+        this.readyState = MockSocket.CLOSED;
+        this.backend.removeSocket(this);
+        setTimeout(() => {
+            if (this.onclose) {
+                this.onclose({ type: 'close', code, wasClean: code === 1000 });
+            }
+        }, 0);
+    }
+
+    /**
+     * Lose the connection (the backend went away or refused it)
+     */
+    drop() {
+        if (this.readyState === MockSocket.CLOSED) {
+            return;
+        }
+        if (this.onerror) {
+            this.onerror({ type: 'error' });
+        }
+        this.close(1006);
+    }
+}
+
+MockSocket.CONNECTING = 0;
+MockSocket.OPEN = 1;
+MockSocket.CLOSED = 3;
+
+MockBackend.BASE_URL = 'http://mock-backend.invalid';   // .invalid never resolves, so nothing real is reached
+MockBackend.STORAGE_KEY = 'mockBackendData';
+MockBackend.LATENCY = 150;
+MockBackend.PROTOCOL_VERSIONS = [1];
+MockBackend.STREAM_DELAY = 60;
+MockBackend.STREAMED_TYPES = ['chat', 'activity_chat'];
+MockBackend.UNLOCK_PERCENTAGE = 80;
+MockBackend.ACTIVITIES = ['multiple_choice', 'fill_in_the_blank', 'spelling', 'bubble_pop', 'fluent_reading'];
+MockBackend.STATUS_TEXT = { 200: 'OK', 400: 'Bad Request', 404: 'Not Found', 422: 'Unprocessable Entity' };
+
+// Scripted tutor replies, one picked at random
+MockBackend.REPLIES = {
+    greeting: ['Hi {name}! I\'m your reading tutor. Let\'s start with some vocabulary.'],
+    greeting_returning: ['Welcome back, {name}! Ready to pick up where you left off?'],
+    chat: [
+        'That\'s a great question! Try one of the activities and I\'ll help as you go.',
+        'I\'m here to help. Which word would you like to practice?'
+    ],
+    activity_start: ['Let\'s do this! Ask me if you get stuck.', 'Good luck! I\'m right here if you need a hint.'],
+    activity_chat: ['Take your time and read the sentence again.', 'You\'re doing well. Keep going!'],
+    hint: ['Look at the first letter of the word.', 'Think about what the sentence is describing.'],
+    correct: ['Correct! Nice work.', 'That\'s right!'],
+    feedback_good: ['Great job! You really know these words.'],
+    feedback_practice: ['Good effort! A little more practice and you\'ll have these words down.']
+};
+
+// Export for use in other modules
+window.MockBackend = MockBackend;
+window.MockSocket = MockSocket;
@@ -0,0 +1,252 @@
+/**
+ * Runtime Configuration
+ * Where the backend is, read by both APIClient and WebSocketClient
+ *
+ * Settings are taken from the first of these that sets them:
+ * 1. URL parameters: ?profile=<name>, ?api=<url>, ?ws=<url>
+ * 2. The dev panel override (kept in localStorage)
+ * 3. web/config.json
+ * 4. The built-in profiles below, a copy of config.json used when it can't be fetched (file://)
+ *
+ * A profile is { description, apiBaseURL, wsBaseURL, backendEnabled, mock }. An empty apiBaseURL means
+ * the page's own server; without a wsBaseURL, the WebSocket URL is derived from apiBaseURL (as it
+ * is when only the API URL is overridden). A mock profile is answered by MockBackend in the page.
+ */
+
+class RuntimeConfig {
+    /**
+     * @param {Object} options
+     * @param {string} options.configPath - URL of the config file, relative to the page
+     * @param {string} options.storageKey - localStorage key for the dev panel override
+     */
+    constructor({ configPath = 'config.json', storageKey = RuntimeConfig.STORAGE_KEY } = {}) {
+        this.configPath = configPath;
+        this.storageKey = storageKey;
+        this.current = null;
+    }
+
+    /**
+     * Read the config file and work out the settings for this page
+     * @returns {Promise<Object>} Resolved settings (see resolve)
+     */
+    async load() {
+        let fileConfig = null;
+        try {
+            const response = await fetch(this.configPath);
+            if (response.ok) {
+                fileConfig = await response.json();
+            } else {
+                console.warn(`${this.configPath} could not be loaded (HTTP ${response.status}); ` +
+                    'using built-in profiles');
+            }
+        } catch (error) {
+            console.warn(`${this.configPath} could not be loaded; using built-in profiles:`, error.message);
+        }
+
+        this.current = RuntimeConfig.resolve({
+            fileConfig,
+            search: window.location.search,
+            override: this.getOverride(),
+            origin: window.location.origin
+        });
+        this.current.warnings.forEach(warning => console.warn('[BREADCRUMB][CONFIG]', warning));
+        console.log(`[BREADCRUMB][CONFIG] Profile "${this.current.profile}" (${this.current.source}):`,
+            this.current.apiBaseURL, this.current.wsBaseURL);
+        return this.current;
+    }
+
+    /**
+     * Get the dev panel override
+     * @returns {Object|null} { profile, apiBaseURL, wsBaseURL }, any of which may be missing
+     */
+    getOverride() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save a dev panel override (takes effect on the next load)
+     */
+    setOverride(override) {
+        localStorage.setItem(this.storageKey, JSON.stringify(override));
+    }
+
+    /**
+     * Remove the dev panel override
+     */
+    clearOverride() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Check the configured backend, to explain why the app is offline
+     * Problems are { type, message }; 'unreachable' is normal when no backend is running, while
+     * 'not_backend' and 'ws_mismatch' mean the configuration points at the wrong server.
+     * @param {boolean} backendAvailable - The health check already passed (only the URLs are compared)
+     * @returns {Promise<Array<Object>>} Problems found (empty if none)
+     */
+    async checkBackend(backendAvailable = false) {
+        const config = this.current;
+        if (!config || !config.backendEnabled) {
+            return [];
+        }
+
+        const problems = RuntimeConfig.findMismatches(config);
+        if (backendAvailable) {
+            return problems;
+        }
+
+        const healthURL = `${config.apiBaseURL}/health`;
+        let response;
+        try {
+            response = await fetch(healthURL);
+        } catch (error) {
+            problems.push({
+                type: 'unreachable',
+                message: `No backend is answering at ${config.apiBaseURL}. Progress is kept on this device until it is.`
+            });
+            return problems;
+        }
+
+        const health = response.ok ? await response.json().catch(() => null) : null;
+        if (!health) {
+            const pageServer = RuntimeConfig.getOrigin(config.apiBaseURL) === window.location.origin ?
+                ' That is the server this page came from, not the backend.' : '';
+            problems.push({
+                type: 'not_backend',
+                message: `The backend URL ${config.apiBaseURL} answered, but not as the backend ` +
+                    `(${healthURL}: HTTP ${response.status}).${pageServer} The backend runs on port 8001 by ` +
+                    'default; set web/config.json or add ?api=<backend URL> to the address.'
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Work out the settings from the config file, URL parameters and dev panel override
+     * @param {Object} sources
+     * @param {Object|null} sources.fileConfig - Parsed config.json ({ profile, profiles })
+     * @param {string} sources.search - The page's query string
+     * @param {Object|null} sources.override - Dev panel override
+     * @param {string} sources.origin - The page's origin, for profiles that use the page's own server
+     * @returns {{profile, description, apiBaseURL, wsBaseURL, backendEnabled, mock, source, profiles, warnings}}
+     */
+    static resolve({ fileConfig = null, search = '', override = null, origin = '' }) {
+        const params = new URLSearchParams(search);
+        const profiles = { ...RuntimeConfig.PROFILES, ...((fileConfig && fileConfig.profiles) || {}) };
+        const warnings = [];
+        override = override || {};
+
+        // Each source can pick a profile and set either URL; the earliest in this list wins
+        const sources = [
+            { name: 'URL', profile: params.get('profile'), apiBaseURL: params.get('api'), wsBaseURL: params.get('ws') },
+            { name: 'dev override', ...override },
+            { name: fileConfig ? 'config.json' : 'built-in', profile: fileConfig && fileConfig.profile }
+        ];
+        const pick = field => sources.find(source => source[field] !== null && source[field] !== undefined);
+
+        let profileSource = pick('profile');
+        let profileName = profileSource ? profileSource.profile : RuntimeConfig.DEFAULT_PROFILE;
+        if (!profiles[profileName]) {
+            warnings.push(`Unknown profile "${profileName}"; using "${RuntimeConfig.DEFAULT_PROFILE}"`);
+            profileName = RuntimeConfig.DEFAULT_PROFILE;
+            profileSource = null;
+        }
+        const profile = profiles[profileName];
+
+        const apiSource = pick('apiBaseURL');
+        const wsSource = pick('wsBaseURL');
+        let apiBaseURL = apiSource ? apiSource.apiBaseURL : profile.apiBaseURL;
+        // A different API server brings its own WebSocket URL unless one is given too
+        let wsBaseURL = wsSource ? wsSource.wsBaseURL : apiSource ? null : profile.wsBaseURL;
+        let backendEnabled = profile.backendEnabled !== false;
+
+        if (backendEnabled && !apiBaseURL) {
+            if (origin.startsWith('http')) {
+                apiBaseURL = origin;
+            } else {
+                warnings.push(`Profile "${profileName}" uses the page's own server, but this page wasn't served ` +
+                    'over http; running offline');
+                backendEnabled = false;
+            }
+        }
+        if (backendEnabled) {
+            apiBaseURL = apiBaseURL.replace(/\/+$/, '');
+            wsBaseURL = (wsBaseURL || apiBaseURL.replace(/^http/, 'ws')).replace(/\/+$/, '');
+        }
+
+        const usedSources = [profileSource, apiSource, wsSource].filter(Boolean).map(source => source.name);
+        return {
+            profile: profileName,
+            description: profile.description || '',
+            apiBaseURL: backendEnabled ? apiBaseURL : null,
+            wsBaseURL: backendEnabled ? wsBaseURL : null,
+            backendEnabled,
+            mock: backendEnabled && !!profile.mock,
+            source: [...new Set(usedSources)].join(', ') || 'built-in',
+            profiles: Object.keys(profiles),
+            warnings
+        };
+    }
+
+    /**
+     * Find settings that can't both be right (e.g. API and WebSocket on different servers)
+     * @returns {Array<Object>} Problems ({ type, message })
+     */
+    static findMismatches(config) {
+        const problems = [];
+        const apiServer = RuntimeConfig.getOrigin(config.apiBaseURL).replace(/^http/, '');
+        const wsServer = RuntimeConfig.getOrigin(config.wsBaseURL).replace(/^ws/, '');
+        if (apiServer !== wsServer) {
+            problems.push({
+                type: 'ws_mismatch',
+                message: `The API (${config.apiBaseURL}) and chat WebSocket (${config.wsBaseURL}) point at ` +
+                    'different servers; the tutor chat will not connect to the same backend.'
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Get the scheme, host and port of a URL ('' if it isn't one)
+     */
+    static getOrigin(url) {
+        const match = /^([a-z]+:\/\/[^/?#]+)/i.exec(url || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+}
+
+RuntimeConfig.STORAGE_KEY = 'runtimeConfigOverride';
+RuntimeConfig.DEFAULT_PROFILE = 'local';
+
+// Built-in copy of web/config.json
+RuntimeConfig.PROFILES = {
+    local: {
+        description: 'Backend running on this computer',
+        apiBaseURL: 'http://localhost:8001',
+        wsBaseURL: 'ws://localhost:8001',
+        backendEnabled: true
+    },
+    staging: {
+        description: 'Backend served from the same server as the page (e.g. behind a reverse proxy)',
+        apiBaseURL: '',
+        backendEnabled: true
+    },
+    offline: {
+        description: 'No backend: progress stays on this device',
+        backendEnabled: false
+    },
+    mock: {
+        description: 'Mock backend in the page, with scripted tutor replies (no server needed)',
+        apiBaseURL: 'http://mock-backend.invalid',
+        wsBaseURL: 'ws://mock-backend.invalid',
+        backendEnabled: true,
+        mock: true
+    }
+};
+
+// Export for use in other modules
+window.RuntimeConfig = RuntimeConfig;
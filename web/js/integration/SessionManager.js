@@ -1,16 +1,45 @@
 /**
  * Session Manager
  * Manages session lifecycle and coordinates between frontend and backend
+ *
+ * A backend session ends when the student switches profile or has been idle for IDLE_TIMEOUT; the
+ * app starts a new one when they come back. The session is also kept in sessionStorage, so a page
+ * reload picks it up again instead of starting another.
  */
 
 class SessionManager {
-    constructor(apiClient, scoreManager) {
+    /**
+     * @param {APIClient} apiClient - REST client for the backend
+     * @param {ScoreManager} scoreManager - Local progress store
+     * @param {ProficiencyModel} proficiencyModel - Word-level estimates used for offline feedback and recommendations
+     */
+    constructor(apiClient, scoreManager, proficiencyModel = null) {
         this.apiClient = apiClient;
         this.scoreManager = scoreManager;
+        this.proficiencyModel = proficiencyModel;
         this.sessionId = null;
         this.studentId = null;
         this.backendAvailable = false;
+        this.backendEnabled = true;  // False when the runtime config has no backend (nothing to sync to)
         this.sessionData = null;
+        this.lastActivityAt = Date.now();
+        this.activitySavedAt = 0;
+        this.idleTimer = null;
+        this.expired = false;      // The session timed out; start a new one when the student is back
+        this.inactive = false;     // Another tab has this student open; don't record here
+        this.sessionHandlers = [];
+
+        // Other tabs of the app; only the oldest sends the shared outbox
+        this.tabCoordinator = new TabCoordinator();
+        this.tabCoordinator.addHandler(event => this._handleTabEvent(event));
+
+        // Results that couldn't be sent, replayed when the backend is back (see _replay)
+        this.syncQueue = new SyncQueue({
+            send: entry => this._replay(entry),
+            afterFlush: () => this._endReplaySessions(),
+            canFlush: () => this.backendEnabled && this.tabCoordinator.isLeader()
+        });
+        this.replaySessions = {};
     }
 
     /**
@@ -29,6 +58,12 @@ class SessionManager {
             console.warn('Backend not available, running in offline mode:', error);
             this.backendAvailable = false;
         }
+
+        this.tabCoordinator.start();
+        if (this.backendEnabled) {
+            this.syncQueue.start();
+        }
+        this.idleTimer = setInterval(() => this.checkIdle(), SessionManager.IDLE_CHECK_INTERVAL);
     }
 
     /**
@@ -40,11 +75,15 @@ class SessionManager {
         if (!this.scoreManager.validateUsername(username)) {
             throw new Error('Invalid username: must contain only letters and numbers');
         }
+        this.expired = false;
+        this.inactive = false;
+        this.lastActivityAt = Date.now();
 
         if (!this.backendAvailable) {
             console.log('Backend unavailable, using localStorage only');
             // Set user in ScoreManager (creates if new)
             this.scoreManager.setUser(username);
+            this.tabCoordinator.claim(username);
             return {
                 offline: true,
                 studentId: username,
@@ -52,9 +91,14 @@ class SessionManager {
             };
         }
 
+        const resumed = this._resumeSession(username);
+        if (resumed) {
+            return resumed;
+        }
+
         try {
-            // Initialize session with backend using username
-            const response = await this.apiClient.initSession(username);
+            // Initialize session with backend using username and the active module
+            const response = await this.apiClient.initSession(username, this.scoreManager.getCurrentModuleId());
             
             this.sessionId = response.session_id;
             this.studentId = response.student_id;
@@ -68,7 +112,13 @@ class SessionManager {
             });
 
             // Set user in ScoreManager and merge backend progress
-            this.scoreManager.setUser(username, response.progress);
+            this.scoreManager.setUser(username);
+            const changes = this.scoreManager.mergeBackendProgress(response.progress, {
+                unsynced: this.getUnsyncedAttempts(username)
+            });
+            console.log(`[BREADCRUMB][SYNC] Merged backend progress: ${changes.length} difference(s)`);
+            this._saveSession();
+            this.tabCoordinator.claim(username, this.sessionId);
 
             return {
                 offline: false,
@@ -84,6 +134,7 @@ class SessionManager {
             console.error('Failed to create backend session:', error);
             // Fall back to localStorage
             this.scoreManager.setUser(username);
+            this.tabCoordinator.claim(username);
             return {
                 offline: true,
                 error: error.message,
@@ -93,6 +144,46 @@ class SessionManager {
         }
     }
 
+    /**
+     * Pick up the session this tab had before a reload
+     * Only a session for the same student and module that hasn't been idle too long is resumed;
+     * any other saved session is ended.
+     * @returns {Object|null} createSession result, or null to start a new session
+     */
+    _resumeSession(username) {
+        const saved = this._loadSavedSession();
+        if (!saved) {
+            return null;
+        }
+
+        const idle = Date.now() - saved.lastActivityAt;
+        if (saved.username !== username || saved.moduleId !== this.scoreManager.getCurrentModuleId() ||
+            idle >= SessionManager.IDLE_TIMEOUT) {
+            this._clearSavedSession();
+            this.apiClient.endSession(saved.sessionId).catch(error => {
+                console.warn('Failed to end previous session:', error);
+            });
+            return null;
+        }
+
+        this.sessionId = saved.sessionId;
+        this.studentId = saved.studentId;
+        this.sessionData = saved.sessionData;
+        this.scoreManager.setUser(username);
+        this._saveSession();
+        this.tabCoordinator.claim(username, this.sessionId);
+        console.log('Session resumed after reload:', this.sessionId);
+
+        return {
+            offline: false,
+            resumed: true,
+            sessionId: this.sessionId,
+            studentId: this.studentId,
+            username: username,
+            progress: this.sessionData && this.sessionData.progress
+        };
+    }
+
     /**
      * End current session
      */
@@ -109,7 +200,130 @@ class SessionManager {
         } finally {
             this.sessionId = null;
             this.sessionData = null;
+            this._clearSavedSession();
+        }
+    }
+
+    /**
+     * End the session and sign the student out of this tab
+     */
+    async signOut() {
+        await this.endSession();
+        this.tabCoordinator.release();
+        this.scoreManager.logout();
+        this.expired = false;
+        this.inactive = false;
+    }
+
+    /**
+     * Note that the student did something, so the session doesn't time out
+     */
+    touch(now = Date.now()) {
+        this.lastActivityAt = now;
+        if (this.sessionId && now - this.activitySavedAt >= SessionManager.SAVE_ACTIVITY_INTERVAL) {
+            this._saveSession();
+        }
+    }
+
+    /**
+     * End the backend session once the student has been idle for IDLE_TIMEOUT
+     * The student stays signed in; `expired` tells the app to start a new session when they're back.
+     * @returns {Promise<boolean>} True if the session was ended
+     */
+    async checkIdle(now = Date.now()) {
+        if (!this.sessionId || now - this.lastActivityAt < SessionManager.IDLE_TIMEOUT) {
+            return false;
+        }
+
+        console.log(`[BREADCRUMB][SESSION] Ending session ${this.sessionId} after inactivity`);
+        await this.endSession();
+        this.expired = true;
+        this.notifySessionHandlers({ type: 'expired' });
+        return true;
+    }
+
+    /**
+     * Stop working on the student when another tab opens them
+     * A duplicated tab resumes this tab's session, so the session is only ended if the other tab
+     * started its own.
+     */
+    _handleTabEvent(event) {
+        if (event.type !== 'released') {
+            return;
+        }
+
+        if (this.sessionId && this.sessionId !== event.claimedSessionId) {
+            this.endSession();
+        } else {
+            this.sessionId = null;
+            this.sessionData = null;
+            this._clearSavedSession();
         }
+        this.inactive = true;
+        this.notifySessionHandlers(event);
+    }
+
+    /**
+     * Keep this tab's session so a reload can resume it
+     */
+    _saveSession() {
+        this.activitySavedAt = this.lastActivityAt;
+        sessionStorage.setItem(SessionManager.SESSION_STORAGE_KEY, JSON.stringify({
+            sessionId: this.sessionId,
+            studentId: this.studentId,
+            username: this.scoreManager.getCurrentUsername(),
+            moduleId: this.scoreManager.getCurrentModuleId(),
+            sessionData: this.sessionData,
+            lastActivityAt: this.lastActivityAt
+        }));
+    }
+
+    /**
+     * Read the session saved by _saveSession
+     * @returns {Object|null}
+     */
+    _loadSavedSession() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(SessionManager.SESSION_STORAGE_KEY));
+            return saved && saved.sessionId ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Forget the saved session
+     */
+    _clearSavedSession() {
+        sessionStorage.removeItem(SessionManager.SESSION_STORAGE_KEY);
+    }
+
+    /**
+     * Add a session handler, called with { type: 'expired' } when an idle session ends and with
+     * { type: 'released', username } when another tab opens this tab's student
+     */
+    addSessionHandler(handler) {
+        this.sessionHandlers.push(handler);
+    }
+
+    /**
+     * Remove a session handler
+     */
+    removeSessionHandler(handler) {
+        this.sessionHandlers = this.sessionHandlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Notify all session handlers
+     */
+    notifySessionHandlers(event) {
+        this.sessionHandlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error('Error in session handler:', error);
+            }
+        });
     }
 
     /**
@@ -134,25 +348,39 @@ class SessionManager {
     }
 
     /**
-     * End an activity and record results
+     * End an activity and send its results to the backend
+     * The caller records the score locally first (App.recordAttempt), so it is only recorded once.
+     * Results that can't be sent are queued and sent when the backend is reachable again; results the
+     * backend refuses (a non-retryable APIError) are not queued and the error is thrown.
      * @param {string} activityType - Type of activity
      * @param {object} results - Activity results
      * @param {object} tuningSettings - Settings used
      */
     async endActivity(activityType, results, tuningSettings) {
-        // Always record to localStorage
-        this.scoreManager.recordScore(
-            activityType,
-            tuningSettings.difficulty,
-            results.score,
-            results.total
-        );
+        if (this.inactive) {
+            throw new Error('This student is open in another tab; results are recorded there');
+        }
+        this.touch();
+
+        const event = {
+            id: SyncQueue.createId(),
+            type: 'activity_end',
+            username: this.scoreManager.getCurrentUsername(),
+            moduleId: this.scoreManager.getCurrentModuleId(),
+            payload: { activityType, results, tuningSettings }
+        };
 
         if (!this.backendAvailable || !this.sessionId) {
+            // Without a backend there is nothing to send it to later
+            if (this.backendEnabled) {
+                this.syncQueue.enqueue(event);
+            }
+            const unlocked = this._checkLocalUnlocks(activityType, results, tuningSettings);
             return {
                 offline: true,
                 feedback: this._generateLocalFeedback(results),
-                unlocked: this._checkLocalUnlocks(activityType, results, tuningSettings)
+                nextRecommendation: this._getLocalRecommendation(),
+                unlocked: unlocked
             };
         }
 
@@ -161,17 +389,16 @@ class SessionManager {
                 this.sessionId,
                 activityType,
                 results,
-                tuningSettings
+                tuningSettings,
+                event.id
             );
             
             console.log('Activity ended:', activityType, response);
             
             // Update local unlock state based on backend response
-            if (response.unlocked_activities && response.unlocked_activities.length > 0) {
-                response.unlocked_activities.forEach(exercise => {
-                    this.scoreManager.toggleExerciseLock(exercise);
-                });
-            }
+            (response.unlocked_activities || []).forEach(exercise => {
+                this.scoreManager.unlockExercise(exercise);
+            });
 
             return {
                 offline: false,
@@ -181,15 +408,120 @@ class SessionManager {
             };
         } catch (error) {
             console.error('Failed to end activity:', error);
+            // A refused or invalid request would be refused again on replay
+            if (!error.retryable) {
+                throw error;
+            }
+            this.syncQueue.enqueue(event);
+            const unlocked = this._checkLocalUnlocks(activityType, results, tuningSettings);
             return {
                 offline: true,
                 error: error.message,
                 feedback: this._generateLocalFeedback(results),
-                unlocked: this._checkLocalUnlocks(activityType, results, tuningSettings)
+                nextRecommendation: this._getLocalRecommendation(),
+                unlocked: unlocked
             };
         }
     }
 
+    /**
+     * Send a queued event to the backend (the SyncQueue sender)
+     * Events are sent in a session for their own student and module: the live session if it
+     * matches, or else one opened for the replay and closed afterwards.
+     * @param {Object} entry - Outbox entry
+     */
+    async _replay(entry) {
+        if (entry.type !== 'activity_end') {
+            throw new Error(`Unknown sync event type: ${entry.type}`);
+        }
+        if (!this.apiClient || !this.apiClient.baseURL) {
+            throw new NetworkError('No backend configured');
+        }
+
+        const { activityType, results, tuningSettings } = entry.payload;
+        const sessionId = await this._getReplaySession(entry.username, entry.moduleId);
+        const response = await this.apiClient.endActivity(
+            sessionId, activityType, results, tuningSettings, entry.id, entry.createdAt
+        );
+
+        // Unlocks only apply if the event's student and module are the ones loaded
+        if (entry.username === this.scoreManager.getCurrentUsername() &&
+            entry.moduleId === this.scoreManager.getCurrentModuleId()) {
+            (response.unlocked_activities || []).forEach(exercise => {
+                this.scoreManager.unlockExercise(exercise);
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Get a session to replay a student's events in
+     */
+    async _getReplaySession(username, moduleId) {
+        if (this.sessionId && username === this.scoreManager.getCurrentUsername() &&
+            moduleId === this.scoreManager.getCurrentModuleId()) {
+            return this.sessionId;
+        }
+
+        const key = `${username}|${moduleId}`;
+        if (!this.replaySessions[key]) {
+            const response = await this.apiClient.initSession(username, moduleId);
+            this.replaySessions[key] = response.session_id;
+        }
+        return this.replaySessions[key];
+    }
+
+    /**
+     * Close the sessions opened to replay queued events
+     */
+    async _endReplaySessions() {
+        const sessionIds = Object.values(this.replaySessions);
+        this.replaySessions = {};
+        for (const sessionId of sessionIds) {
+            try {
+                await this.apiClient.endSession(sessionId);
+            } catch (error) {
+                console.warn('Failed to end replay session:', sessionId, error);
+            }
+        }
+    }
+
+    /**
+     * Count the results for a student that are still in the outbox
+     * The backend's attempt counts don't include them yet (see ProgressMerge).
+     * @returns {Object} { [exerciseType]: { difficulty_N: count } }
+     */
+    getUnsyncedAttempts(username, moduleId = this.scoreManager.getCurrentModuleId()) {
+        const outbox = this.syncQueue.load();
+        const unsynced = {};
+        outbox.pending.concat(outbox.failed)
+            .filter(entry => entry.type === 'activity_end' && entry.username === username &&
+                entry.moduleId === moduleId)
+            .forEach(entry => {
+                const { activityType, tuningSettings } = entry.payload;
+                const difficultyKey = `difficulty_${(tuningSettings || {}).difficulty}`;
+                const counts = unsynced[activityType] = unsynced[activityType] || {};
+                counts[difficultyKey] = (counts[difficultyKey] || 0) + 1;
+            });
+        return unsynced;
+    }
+
+    /**
+     * Show what merging this session's backend progress into the local data would change now
+     * Nothing is saved (dev panel dry run).
+     * @returns {Array<Object>|null} Differences (see ProgressMerge.mergeExercises), or null without a
+     *     backend session
+     */
+    previewBackendMerge() {
+        if (!this.sessionData || !this.sessionData.progress) {
+            return null;
+        }
+        return this.scoreManager.mergeBackendProgress(this.sessionData.progress, {
+            unsynced: this.getUnsyncedAttempts(this.scoreManager.getCurrentUsername()),
+            dryRun: true
+        });
+    }
+
     /**
      * Get session info
      */
@@ -225,9 +557,22 @@ class SessionManager {
     }
 
     /**
-     * Get default tuning for offline mode
+     * Get default tuning for offline mode, focused on the words the proficiency model says are weakest
      */
     _getDefaultTuning(activityType) {
+        const tuning = this._getDefaultTuningFor(activityType);
+        const skill = this.proficiencyModel ? ProficiencyModel.EXERCISE_SKILLS[activityType] : null;
+        if (skill) {
+            const focus = this.proficiencyModel.getWeakestWords(skill);
+            tuning.vocabulary_focus = focus.length > 0 ? focus : null;
+        }
+        return tuning;
+    }
+
+    /**
+     * Get the fixed default tuning for an activity
+     */
+    _getDefaultTuningFor(activityType) {
         const defaults = {
             'multiple_choice': {
                 activity_type: activityType,
@@ -290,58 +635,41 @@ class SessionManager {
 
     /**
      * Check local unlocks
+     * Applies the module's unlock rules, the same way ScoreManager does when the score is recorded.
+     * @returns {Array<string>} Exercises that were newly unlocked
      */
     _checkLocalUnlocks(activityType, results, tuningSettings) {
         const percentage = (results.score / results.total * 100);
-        const unlocked = [];
-
-        // Check if should unlock next exercise
-        if (percentage >= 80) {
-            const isHard = this._isHardDifficulty(activityType, tuningSettings.difficulty);
-            if (isHard) {
-                const nextExercise = this._getNextExercise(activityType);
-                if (nextExercise && !this.scoreManager.isExerciseUnlocked(nextExercise)) {
-                    this.scoreManager.toggleExerciseLock(nextExercise);
-                    unlocked.push(nextExercise);
-                }
-            }
-        }
-
-        return unlocked;
+        return this.scoreManager.checkUnlockConditions(activityType, tuningSettings.difficulty, percentage);
     }
 
     /**
-     * Check if difficulty is "hard"
+     * Recommend the next activity from the proficiency model, in the backend's next_recommendation shape
      */
-    _isHardDifficulty(activityType, difficulty) {
-        if (activityType === 'multiple_choice') {
-            return difficulty === '5';
-        } else if (activityType === 'fill_in_the_blank') {
-            return difficulty === 'moderate';
-        } else {
-            return difficulty === 'hard';
+    _getLocalRecommendation() {
+        if (!this.proficiencyModel) {
+            return null;
         }
-    }
 
-    /**
-     * Get next exercise in sequence
-     */
-    _getNextExercise(currentActivity) {
-        const sequence = [
-            'multiple_choice',
-            'fill_in_the_blank',
-            'spelling',
-            'bubble_pop',
-            'fluent_reading'
-        ];
-        
-        const currentIndex = sequence.indexOf(currentActivity);
-        if (currentIndex !== -1 && currentIndex < sequence.length - 1) {
-            return sequence[currentIndex + 1];
+        const statuses = this.scoreManager.getExerciseStatuses();
+        const unlocked = Object.keys(statuses).filter(exerciseType => statuses[exerciseType].unlocked);
+        const recommendation = this.proficiencyModel.getRecommendation(unlocked);
+        if (!recommendation) {
+            return null;
         }
-        return null;
+
+        return {
+            activity_type: recommendation.activity,
+            skill: recommendation.skill,
+            vocabulary_focus: recommendation.focusWords
+        };
     }
 }
 
+SessionManager.SESSION_STORAGE_KEY = 'learningModuleSession';
+SessionManager.IDLE_TIMEOUT = 30 * 60 * 1000;
+SessionManager.IDLE_CHECK_INTERVAL = 60 * 1000;
+SessionManager.SAVE_ACTIVITY_INTERVAL = 15 * 1000;   // Activity is saved for resume at most this often
+
 // Export for use in other modules
 window.SessionManager = SessionManager;
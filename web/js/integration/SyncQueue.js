@@ -0,0 +1,313 @@
+/**
+ * Sync Queue
+ * Persistent outbox of backend events that couldn't be sent, replayed in order once the backend
+ * can be reached again
+ *
+ * Entries are kept in localStorage, so they survive reloads. Each entry's id doubles as its
+ * idempotency key: the backend can use it to ignore an event it has already received (e.g. when a
+ * request timed out after the server had processed it).
+ *
+ * Connection failures are retried indefinitely with exponential backoff. Events the backend
+ * rejects are retried MAX_ATTEMPTS times and then set aside as failed, so one bad event doesn't
+ * hold up the rest; failed events can be put back with retryFailed().
+ */
+
+class SyncQueue {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - async (entry) => response; throws if the event wasn't delivered
+     * @param {Function} options.afterFlush - async () => void, called after each flush (e.g. to clean up)
+     * @param {Function} options.canFlush - () => boolean; false leaves the outbox to someone else for now
+     *     (the outbox is shared by every tab, and only one tab should send it)
+     * @param {string} options.storageKey - localStorage key for the outbox
+     */
+    constructor({ send, afterFlush = null, canFlush = null, storageKey = SyncQueue.STORAGE_KEY }) {
+        this.send = send;
+        this.afterFlush = afterFlush;
+        this.canFlush = canFlush;
+        this.storageKey = storageKey;
+        this.flushing = false;
+        this.retryTimer = null;
+        this.lastError = null;
+        this.lastSyncedAt = null;
+        this.statusHandlers = [];
+        this.handleOnline = () => this.flush({ force: true });
+    }
+
+    /**
+     * Flush now and whenever the browser comes back online
+     */
+    start() {
+        window.addEventListener('online', this.handleOnline);
+        this.flush();
+    }
+
+    /**
+     * Stop retrying (entries stay in the outbox)
+     */
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    /**
+     * Read the outbox from storage
+     * @returns {{pending: Array, failed: Array}}
+     */
+    load() {
+        try {
+            const outbox = JSON.parse(localStorage.getItem(this.storageKey));
+            if (outbox && Array.isArray(outbox.pending) && Array.isArray(outbox.failed)) {
+                return outbox;
+            }
+        } catch (error) {
+            console.warn('Sync outbox could not be read, starting a new one:', error);
+        }
+        return { pending: [], failed: [] };
+    }
+
+    /**
+     * Write the outbox to storage
+     */
+    save(outbox) {
+        localStorage.setItem(this.storageKey, JSON.stringify(outbox));
+    }
+
+    /**
+     * Add an event to the outbox
+     * @param {Object} event
+     * @param {string} event.type - Event type (the sender decides what to do with it)
+     * @param {Object} event.payload - Event data
+     * @param {string} event.username - Student the event belongs to
+     * @param {string} event.moduleId - Module the event belongs to
+     * @param {string} event.id - Idempotency key (created if not given)
+     * @returns {Object} The queued entry
+     */
+    enqueue({ type, payload, username = null, moduleId = null, id = null }, now = Date.now()) {
+        const entry = {
+            id: id || SyncQueue.createId(now),
+            type,
+            username,
+            moduleId,
+            payload,
+            createdAt: new Date(now).toISOString(),
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null
+        };
+
+        const outbox = this.load();
+        outbox.pending.push(entry);
+        if (outbox.pending.length > SyncQueue.MAX_PENDING) {
+            const dropped = outbox.pending.splice(0, outbox.pending.length - SyncQueue.MAX_PENDING);
+            console.warn(`Sync outbox is full; dropped ${dropped.length} oldest event(s)`);
+        }
+        this.save(outbox);
+
+        console.log('[BREADCRUMB][SYNC] Queued', type, 'event', entry.id);
+        this.scheduleRetry();
+        this.notifyHandlers();
+        return entry;
+    }
+
+    /**
+     * Send the pending events that are due, oldest first
+     * Stops at the first connection failure, since the events after it would fail the same way.
+     * @param {Object} options - { force: send even events that are still backing off }
+     * @returns {Promise<{sent: number, remaining: number}>}
+     */
+    async flush({ force = false } = {}, now = Date.now()) {
+        if (this.flushing) {
+            return { sent: 0, remaining: this.load().pending.length };
+        }
+        if (this.canFlush && !this.canFlush()) {
+            this.scheduleRetry(SyncQueue.WAIT_DELAY);
+            return { sent: 0, remaining: this.load().pending.length };
+        }
+
+        this.flushing = true;
+        this.notifyHandlers();
+        let sent = 0;
+
+        try {
+            for (const entry of this.load().pending) {
+                if (!force && entry.nextAttemptAt > now) {
+                    break;
+                }
+                // Skip events another tab has sent since this flush started
+                if (!this.load().pending.some(pending => pending.id === entry.id)) {
+                    continue;
+                }
+
+                try {
+                    await this.send(entry);
+                    this.remove(entry.id);
+                    this.lastError = null;
+                    this.lastSyncedAt = new Date().toISOString();
+                    sent++;
+                } catch (error) {
+                    this.recordFailure(entry, error, now);
+                    if (SyncQueue.isConnectionError(error)) {
+                        break;
+                    }
+                }
+            }
+
+            if (this.afterFlush) {
+                await this.afterFlush();
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        if (sent > 0) {
+            console.log(`[BREADCRUMB][SYNC] Sent ${sent} queued event(s)`);
+        }
+        this.scheduleRetry();
+        this.notifyHandlers();
+        return { sent, remaining: this.load().pending.length };
+    }
+
+    /**
+     * Remove a delivered event from the outbox
+     */
+    remove(id) {
+        const outbox = this.load();
+        outbox.pending = outbox.pending.filter(entry => entry.id !== id);
+        this.save(outbox);
+    }
+
+    /**
+     * Back off after a failed send, or set the event aside once the backend has rejected it too often
+     */
+    recordFailure(entry, error, now) {
+        const outbox = this.load();
+        const stored = outbox.pending.find(pending => pending.id === entry.id);
+        if (!stored) {
+            return;
+        }
+
+        stored.attempts++;
+        stored.lastError = error.message;
+        stored.nextAttemptAt = now + SyncQueue.getBackoff(stored.attempts);
+        this.lastError = error.message;
+
+        if (!SyncQueue.isConnectionError(error) && stored.attempts >= SyncQueue.MAX_ATTEMPTS) {
+            outbox.pending = outbox.pending.filter(pending => pending.id !== entry.id);
+            outbox.failed.push(stored);
+            console.error(`[BREADCRUMB][SYNC] Gave up on ${stored.type} event ${stored.id}:`, error.message);
+        }
+        this.save(outbox);
+    }
+
+    /**
+     * Put failed events back in the queue and try again
+     */
+    retryFailed() {
+        const outbox = this.load();
+        outbox.failed.forEach(entry => {
+            entry.attempts = 0;
+            entry.nextAttemptAt = 0;
+        });
+        outbox.pending = outbox.failed.concat(outbox.pending);
+        outbox.failed = [];
+        this.save(outbox);
+        return this.flush({ force: true });
+    }
+
+    /**
+     * Set a timer for the next event that is backing off
+     * @param {number} minDelay - Wait at least this long (ms)
+     */
+    scheduleRetry(minDelay = SyncQueue.MIN_DELAY) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        const pending = this.load().pending;
+        if (pending.length === 0) {
+            return;
+        }
+
+        const delay = Math.max(pending[0].nextAttemptAt - Date.now(), minDelay);
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Get the outbox status for the sync indicator
+     * @returns {{pending: number, failed: number, syncing: boolean, lastError: string|null,
+     *     lastSyncedAt: string|null, nextAttemptAt: number|null}}
+     */
+    getStatus() {
+        const outbox = this.load();
+        return {
+            pending: outbox.pending.length,
+            failed: outbox.failed.length,
+            syncing: this.flushing,
+            lastError: this.lastError,
+            lastSyncedAt: this.lastSyncedAt,
+            nextAttemptAt: outbox.pending.length > 0 ? outbox.pending[0].nextAttemptAt : null
+        };
+    }
+
+    /**
+     * Add a status handler, called with getStatus() whenever the outbox changes
+     */
+    addStatusHandler(handler) {
+        this.statusHandlers.push(handler);
+    }
+
+    /**
+     * Remove a status handler
+     */
+    removeStatusHandler(handler) {
+        this.statusHandlers = this.statusHandlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Notify all status handlers
+     */
+    notifyHandlers() {
+        const status = this.getStatus();
+        this.statusHandlers.forEach(handler => {
+            try {
+                handler(status);
+            } catch (error) {
+                console.error('Error in sync status handler:', error);
+            }
+        });
+    }
+
+    /**
+     * Delay before the given attempt (1-based): doubles each time, up to MAX_DELAY
+     */
+    static getBackoff(attempts) {
+        return Math.min(SyncQueue.BASE_DELAY * Math.pow(2, attempts - 1), SyncQueue.MAX_DELAY);
+    }
+
+    /**
+     * Check whether an error means the backend couldn't be reached or didn't answer in time
+     * (APIClient's network and timeout errors)
+     */
+    static isConnectionError(error) {
+        return !!error && (error.category === 'network' || error.category === 'timeout');
+    }
+
+    /**
+     * Create a unique event id
+     */
+    static createId(now = Date.now()) {
+        return `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+SyncQueue.STORAGE_KEY = 'learningModuleOutbox';
+SyncQueue.BASE_DELAY = 5 * 1000;
+SyncQueue.MAX_DELAY = 10 * 60 * 1000;
+SyncQueue.MIN_DELAY = 1000;
+SyncQueue.WAIT_DELAY = 15 * 1000;  // How often a tab that can't flush checks again
+SyncQueue.MAX_ATTEMPTS = 8;      // Rejections before an event is set aside
+SyncQueue.MAX_PENDING = 500;     // Oldest events are dropped past this
+
+// Export for use in other modules
+window.SyncQueue = SyncQueue;
@@ -0,0 +1,196 @@
+/**
+ * Tab Coordinator
+ * Keeps browser tabs of the app from working on the same student at once
+ *
+ * Tabs talk over a BroadcastChannel. Each tab announces itself and sends a heartbeat, so every tab
+ * knows which others are open and which student each has open. When a tab opens a student, it
+ * claims them: a tab that already had that student releases them and stops recording, so results
+ * are not recorded twice or overwritten by a stale copy.
+ *
+ * The oldest open tab is the leader; only the leader sends the shared sync outbox.
+ * Without BroadcastChannel, every tab works alone and leads itself.
+ */
+
+class TabCoordinator {
+    /**
+     * @param {Object} options
+     * @param {string} options.channelName - BroadcastChannel name
+     * @param {Function} options.createChannel - (name) => channel with postMessage/onmessage/close
+     *     (defaults to BroadcastChannel; tests pass a fake)
+     */
+    constructor({ channelName = TabCoordinator.CHANNEL_NAME, createChannel = null } = {}) {
+        this.channelName = channelName;
+        this.createChannel = createChannel ||
+            (typeof BroadcastChannel === 'function' ? name => new BroadcastChannel(name) : null);
+        this.channel = null;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.startedAt = Date.now();
+        this.username = null;
+        this.sessionId = null;
+        this.tabs = {};
+        this.heartbeatTimer = null;
+        this.handlers = [];
+        this.handleUnload = () => this.stop();
+    }
+
+    /**
+     * Join the channel and announce this tab
+     */
+    start() {
+        if (this.channel || !this.createChannel) {
+            return;
+        }
+
+        this.channel = this.createChannel(this.channelName);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+        this.post('hello');
+        this.heartbeatTimer = setInterval(() => this.post('heartbeat'), TabCoordinator.HEARTBEAT_INTERVAL);
+        window.addEventListener('pagehide', this.handleUnload);
+    }
+
+    /**
+     * Leave the channel (other tabs forget this one straight away)
+     */
+    stop() {
+        if (!this.channel) {
+            return;
+        }
+
+        this.post('bye');
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.channel.close();
+        this.channel = null;
+        window.removeEventListener('pagehide', this.handleUnload);
+    }
+
+    /**
+     * Open a student in this tab; any other tab with the student open releases them
+     * @param {string} username - Student opened here
+     * @param {string|null} sessionId - Backend session this tab uses for them
+     */
+    claim(username, sessionId = null) {
+        this.username = username;
+        this.sessionId = sessionId;
+        this.post('claim');
+    }
+
+    /**
+     * Close the student in this tab
+     */
+    release() {
+        this.username = null;
+        this.sessionId = null;
+        this.post('heartbeat');
+    }
+
+    /**
+     * Check whether this tab is the oldest one open
+     */
+    isLeader(now = Date.now()) {
+        return this.getOtherTabs(now).every(tab =>
+            tab.startedAt > this.startedAt || (tab.startedAt === this.startedAt && tab.tabId > this.tabId));
+    }
+
+    /**
+     * Get the other open tabs (ones not heard from within TAB_TIMEOUT are forgotten)
+     * @returns {Array<{tabId, startedAt, username, lastSeen}>}
+     */
+    getOtherTabs(now = Date.now()) {
+        Object.values(this.tabs).forEach(tab => {
+            if (now - tab.lastSeen > TabCoordinator.TAB_TIMEOUT) {
+                delete this.tabs[tab.tabId];
+            }
+        });
+        return Object.values(this.tabs);
+    }
+
+    /**
+     * Send a message about this tab to the others
+     */
+    post(type) {
+        if (!this.channel) {
+            return;
+        }
+        this.channel.postMessage({
+            type,
+            tabId: this.tabId,
+            startedAt: this.startedAt,
+            username: this.username,
+            sessionId: this.sessionId
+        });
+    }
+
+    /**
+     * Handle a message from another tab
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) {
+            return;
+        }
+
+        if (message.type === 'bye') {
+            delete this.tabs[message.tabId];
+            return;
+        }
+
+        this.tabs[message.tabId] = {
+            tabId: message.tabId,
+            startedAt: message.startedAt,
+            username: message.username,
+            lastSeen: Date.now()
+        };
+
+        if (message.type === 'hello') {
+            // Let the new tab know about this one without waiting for the next heartbeat
+            this.post('heartbeat');
+        } else if (message.type === 'claim' && message.username && message.username === this.username) {
+            const username = this.username;
+            const sessionId = this.sessionId;
+            this.username = null;
+            this.sessionId = null;
+            console.log(`[BREADCRUMB][TABS] ${username} was opened in another tab`);
+            this.notifyHandlers({
+                type: 'released',
+                username,
+                sessionId,
+                claimedSessionId: message.sessionId
+            });
+        }
+    }
+
+    /**
+     * Add a handler, called with { type: 'released', username, sessionId, claimedSessionId } when
+     * another tab takes over this tab's student
+     */
+    addHandler(handler) {
+        this.handlers.push(handler);
+    }
+
+    /**
+     * Remove a handler
+     */
+    removeHandler(handler) {
+        this.handlers = this.handlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Notify all handlers
+     */
+    notifyHandlers(event) {
+        this.handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error('Error in tab handler:', error);
+            }
+        });
+    }
+}
+
+TabCoordinator.CHANNEL_NAME = 'learningModuleTabs';
+TabCoordinator.HEARTBEAT_INTERVAL = 5000;
+TabCoordinator.TAB_TIMEOUT = 15000;    // A tab that misses three heartbeats has closed or crashed
+
+// Export for use in other modules
+window.TabCoordinator = TabCoordinator;
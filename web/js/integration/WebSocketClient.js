@@ -1,17 +1,51 @@
 /**
  * WebSocket Client for Real-time Chat Communication
  * Handles bidirectional messaging with the backend agent
+ *
+ * Every message travels in an envelope: { protocol, id, type, timestamp, payload }, plus a
+ * correlation_id on server messages that answer a client message. After connecting, the client
+ * sends a hello with its protocol version; the server answers welcome, or protocol_error if it
+ * can't speak that version, in which case the client stops and reports why.
+ *
+ * The server acks each client message by its id. Messages sent before the handshake, while
+ * reconnecting, or not acked before the connection dropped are kept in memory and sent once the
+ * connection is back, so activity events aren't lost (the server ignores an id it has seen).
+ * Handlers receive the unwrapped message: { type, ...payload, id, correlation_id }.
+ *
+ * The hello also lists the optional features the client supports (CAPABILITIES). With 'streaming',
+ * the server may answer a chat message with typing, then chat_delta pieces ({ stream_id, reply_type,
+ * delta }), then the whole reply carrying the same stream_id; cancelReply() asks it to stop early.
+ *
+ * A dropped connection is retried with exponential backoff and jitter, and straight away when the
+ * browser comes back online or the page becomes visible again. Pings detect a connection that
+ * looks open but no longer reaches the server. Once the retries run out, handlers get
+ * { type: 'connection', status: 'failed' } and the chat offers a Reconnect button (reconnect()).
  */
 
 class WebSocketClient {
-    constructor(baseURL = 'ws://localhost:8000') {
+    /**
+     * @param {string|null} baseURL - WebSocket server URL (see RuntimeConfig); null when there is no backend
+     */
+    constructor(baseURL = RuntimeConfig.PROFILES.local.wsBaseURL) {
         this.baseURL = baseURL;
         this.ws = null;
         this.sessionId = null;
         this.connected = false;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 3;
+        this.maxReconnectAttempts = WebSocketClient.MAX_RECONNECT_ATTEMPTS;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
         this.messageHandlers = [];
+        this.buffer = [];             // Envelopes waiting for the connection
+        this.unacked = new Map();     // Envelopes sent but not acked yet, by id
+        this.handshakeTimer = null;
+        this.protocolError = null;    // Why the server was rejected (no reconnecting after this)
+        this.handleWake = () => {
+            if (document.visibilityState !== 'hidden') {
+                this.checkConnection();
+            }
+        };
     }
 
     /**
@@ -19,12 +53,30 @@ class WebSocketClient {
      * @param {string} sessionId - Session ID for this connection
      */
     connect(sessionId) {
-        if (this.connected) {
+        if (this.connected || this.ws) {
             console.log('WebSocket already connected');
             return;
         }
+        if (!this.baseURL) {
+            console.log('No WebSocket server configured; chat is unavailable');
+            return;
+        }
+        if (this.protocolError) {
+            console.warn('Not connecting to an incompatible chat server:', this.protocolError);
+            return;
+        }
 
+        if (sessionId !== this.sessionId) {
+            // Messages for another session must not be sent in this one
+            this.buffer = [];
+            this.unacked.clear();
+            this.reconnectAttempts = 0;
+        }
         this.sessionId = sessionId;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        window.addEventListener('online', this.handleWake);
+        document.addEventListener('visibilitychange', this.handleWake);
         const wsURL = `${this.baseURL}/ws/${sessionId}`;
         
         console.log('Connecting to WebSocket:', wsURL);
@@ -33,23 +85,31 @@ class WebSocketClient {
             this.ws = new WebSocket(wsURL);
             
             this.ws.onopen = () => {
-                console.log('✅ WebSocket connected');
-                this.connected = true;
-                this.reconnectAttempts = 0;
-                this.notifyHandlers({
-                    type: 'connection',
-                    status: 'connected'
-                });
+                console.log('WebSocket open, sending hello');
+                this.transmit(WebSocketClient.createEnvelope('hello', {
+                    session_id: this.sessionId,
+                    supported_versions: [WebSocketClient.PROTOCOL_VERSION],
+                    capabilities: WebSocketClient.CAPABILITIES
+                }), false);
+                // A slow or half-open connection isn't a verdict on the protocol, so retry it
+                this.handshakeTimer = setTimeout(() => {
+                    this.dropConnection('No answer to the handshake');
+                }, WebSocketClient.HANDSHAKE_TIMEOUT);
             };
 
             this.ws.onmessage = (event) => {
+                let message;
                 try {
-                    const message = JSON.parse(event.data);
-                    console.log('📨 WebSocket message received:', message);
-                    this.notifyHandlers(message);
+                    message = JSON.parse(event.data);
                 } catch (error) {
                     console.error('Failed to parse WebSocket message:', error);
+                    return;
                 }
+                console.log('📨 WebSocket message received:', message);
+                // Any message shows the connection is alive
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
+                this.handleEnvelope(message);
             };
 
             this.ws.onerror = (error) => {
@@ -60,42 +120,267 @@ class WebSocketClient {
                 });
             };
 
-            this.ws.onclose = () => {
-                console.log('WebSocket disconnected');
-                this.connected = false;
-                this.notifyHandlers({
-                    type: 'connection',
-                    status: 'disconnected'
-                });
-                
-                // Attempt to reconnect
-                if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                    this.reconnectAttempts++;
-                    console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-                    setTimeout(() => {
-                        this.connect(this.sessionId);
-                    }, 2000 * this.reconnectAttempts);
-                }
-            };
+            this.ws.onclose = () => this.handleClose();
         } catch (error) {
             console.error('Failed to create WebSocket connection:', error);
+            this.ws = null;
             this.notifyHandlers({
                 type: 'error',
                 error: 'Failed to create WebSocket connection'
             });
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Clean up after the connection closed, and reconnect unless the session is over
+     */
+    handleClose() {
+        console.log('WebSocket disconnected');
+        if (this.ws) {
+            this.ws.onopen = this.ws.onmessage = this.ws.onerror = this.ws.onclose = null;
+            this.ws = null;
+        }
+        this.connected = false;
+        this.stopTimers();
+        this.notifyHandlers({
+            type: 'connection',
+            status: 'disconnected'
+        });
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Try the connection again after a backoff delay, or report that retrying has stopped
+     */
+    scheduleReconnect() {
+        if (!this.sessionId || this.protocolError || this.reconnectTimer) {
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.warn(`[BREADCRUMB][WEBSOCKET] Gave up reconnecting after ${this.reconnectAttempts} attempt(s)`);
+            this.notifyHandlers({
+                type: 'connection',
+                status: 'failed'
+            });
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = WebSocketClient.getReconnectDelay(this.reconnectAttempts);
+        console.log(`Attempting to reconnect in ${delay}ms ` +
+            `(${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+        this.notifyHandlers({
+            type: 'connection',
+            status: 'reconnecting',
+            attempt: this.reconnectAttempts,
+            delay
+        });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.sessionId) {
+                this.connect(this.sessionId);
+            }
+        }, delay);
+    }
+
+    /**
+     * Reconnect now, starting the retries over (the chat's Reconnect button)
+     */
+    reconnect() {
+        if (!this.sessionId || this.ws) {
+            return;
+        }
+        this.reconnectAttempts = 0;
+        this.connect(this.sessionId);
+    }
+
+    /**
+     * Reconnect if the connection is down, or ping it if it looks up
+     * Called when the browser comes back online or the page is shown again, since either can
+     * follow a network change that left the connection dead.
+     */
+    checkConnection() {
+        if (!this.sessionId || this.protocolError) {
+            return;
+        }
+        if (this.connected) {
+            this.ping();
+        } else if (!this.ws) {
+            this.reconnect();
+        }
+    }
+
+    /**
+     * Ping the server; if nothing arrives within HEARTBEAT_TIMEOUT, the connection is dead
+     */
+    ping() {
+        if (!this.connected || this.pongTimer) {
+            return;
+        }
+        this.transmit(WebSocketClient.createEnvelope('ping'), false);
+        this.pongTimer = setTimeout(() => {
+            this.dropConnection('No answer to ping');
+        }, WebSocketClient.HEARTBEAT_TIMEOUT);
+    }
+
+    /**
+     * Give up on a connection that stopped answering, and reconnect
+     * @param {string} reason - For the console
+     */
+    dropConnection(reason) {
+        console.warn(`[BREADCRUMB][WEBSOCKET] ${reason}; dropping the connection`);
+        const ws = this.ws;
+        this.handleClose();
+        if (ws) {
+            ws.close();
+        }
+    }
+
+    /**
+     * Stop the handshake and heartbeat timers
+     */
+    stopTimers() {
+        clearTimeout(this.handshakeTimer);
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+        this.handshakeTimer = null;
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+    }
+
+    /**
+     * Point the client at another chat server; an earlier server's rejection doesn't apply to it
+     * @param {string} baseURL - WebSocket server URL
+     */
+    setBaseURL(baseURL) {
+        if (baseURL !== this.baseURL) {
+            this.protocolError = null;
         }
+        this.baseURL = baseURL;
     }
 
     /**
      * Disconnect from WebSocket server
+     * The next session checks the server's protocol version again.
      */
     disconnect() {
+        this.sessionId = null;
+        this.protocolError = null;
+        this.buffer = [];
+        this.unacked.clear();
+        this.reconnectAttempts = 0;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopTimers();
+        window.removeEventListener('online', this.handleWake);
+        document.removeEventListener('visibilitychange', this.handleWake);
         if (this.ws) {
-            this.ws.close();
+            const ws = this.ws;
+            ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+            ws.close();
             this.ws = null;
+        }
+        if (this.connected) {
             this.connected = false;
-            this.sessionId = null;
+            this.notifyHandlers({
+                type: 'connection',
+                status: 'disconnected'
+            });
+        }
+    }
+
+    /**
+     * Handle a message from the server
+     * @param {Object} envelope - { protocol, id, type, timestamp, payload, correlation_id }
+     */
+    handleEnvelope(envelope) {
+        // Checked before the version, so the server's own explanation is shown
+        if (envelope.type === 'protocol_error') {
+            const payload = envelope.payload || {};
+            const reason = payload.message || 'The chat server rejected this app\'s protocol version';
+            const supported = payload.supported_versions ?
+                ` (it supports: ${payload.supported_versions.join(', ')})` : '';
+            this.rejectServer(`${reason}${supported}. ` +
+                `This app uses chat protocol v${WebSocketClient.PROTOCOL_VERSION}.`);
+            return;
+        }
+        if (envelope.protocol !== WebSocketClient.PROTOCOL_VERSION) {
+            this.rejectServer(envelope.protocol === undefined ?
+                'The chat server sent a message without a protocol version; it may be an older backend.' :
+                `The chat server uses protocol v${envelope.protocol}, but this app needs ` +
+                `v${WebSocketClient.PROTOCOL_VERSION}. Update the app or the backend so they match.`);
+            return;
+        }
+
+        switch (envelope.type) {
+        case 'welcome':
+            this.completeHandshake();
+            break;
+        case 'ack':
+            this.unacked.delete(envelope.correlation_id);
+            break;
+        case 'pong':
+            break;
+        default:
+            this.notifyHandlers({
+                ...(envelope.payload || {}),
+                type: envelope.type,
+                id: envelope.id,
+                correlation_id: envelope.correlation_id || null
+            });
+        }
+    }
+
+    /**
+     * Start using the connection once the server has accepted the protocol version
+     */
+    completeHandshake() {
+        clearTimeout(this.handshakeTimer);
+        console.log('✅ WebSocket connected');
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.heartbeatTimer = setInterval(() => this.ping(), WebSocketClient.HEARTBEAT_INTERVAL);
+
+        // Messages that may not have arrived go first, in the order they were sent
+        const waiting = [...this.unacked.values(), ...this.buffer];
+        this.unacked.clear();
+        this.buffer = [];
+        waiting.forEach(envelope => this.transmit(envelope));
+        if (waiting.length > 0) {
+            console.log(`[BREADCRUMB][WEBSOCKET] Sent ${waiting.length} buffered message(s)`);
+        }
+
+        this.notifyHandlers({
+            type: 'connection',
+            status: 'connected'
+        });
+    }
+
+    /**
+     * Stop using a server that can't speak this client's protocol
+     * @param {string} message - Why, for the student and the console
+     */
+    rejectServer(message) {
+        this.stopTimers();
+        console.error('[BREADCRUMB][WEBSOCKET] Incompatible chat server:', message);
+        this.protocolError = message;
+        this.connected = false;
+        this.buffer = [];
+        this.unacked.clear();
+        if (this.ws) {
+            this.ws.close();
         }
+        this.notifyHandlers({
+            type: 'error',
+            error: message
+        });
+        this.notifyHandlers({
+            type: 'connection',
+            status: 'incompatible',
+            error: message
+        });
     }
 
     /**
@@ -161,6 +446,17 @@ class WebSocketClient {
         });
     }
 
+    /**
+     * Ask the server to stop a streamed reply (the student sent another message before it finished)
+     * @param {string} streamId - stream_id of the reply's typing and chat_delta messages
+     */
+    cancelReply(streamId) {
+        return this.send({
+            type: 'cancel',
+            stream_id: streamId
+        });
+    }
+
     /**
      * Send a game event (legacy)
      * @param {string} event - Event type (e.g., 'wrong_answer')
@@ -186,25 +482,69 @@ class WebSocketClient {
     }
 
     /**
-     * Send a message to the server
-     * @param {object} data - Message data
+     * Send a message to the server, or keep it until the connection is ready
+     * @param {object} data - Message data ({ type, ...payload })
+     * @returns {string|null} The message id, or null if it can't be sent in this session
      */
     send(data) {
-        if (!this.connected || !this.ws) {
-            console.warn('WebSocket not connected, cannot send message');
-            return false;
+        if (!this.sessionId || this.protocolError) {
+            console.warn('WebSocket has no usable connection for this session, cannot send message');
+            return null;
         }
 
+        const { type, ...payload } = data;
+        const envelope = WebSocketClient.createEnvelope(type, payload);
+        if (!this.connected) {
+            this.hold(envelope);
+            console.log('[BREADCRUMB][WEBSOCKET] Not connected; buffered', type);
+            return envelope.id;
+        }
+        this.transmit(envelope);
+        return envelope.id;
+    }
+
+    /**
+     * Write an envelope to the socket
+     * @param {Object} envelope - Message envelope
+     * @param {boolean} expectAck - Keep it until the server acks it (all but the handshake)
+     */
+    transmit(envelope, expectAck = true) {
+        if (expectAck) {
+            this.unacked.set(envelope.id, envelope);
+            if (this.unacked.size > WebSocketClient.MAX_BUFFER) {
+                this.unacked.delete(this.unacked.keys().next().value);
+            }
+        }
         try {
-            this.ws.send(JSON.stringify(data));
-            console.log('📤 WebSocket message sent:', data);
-            return true;
+            this.ws.send(JSON.stringify(envelope));
+            console.log('📤 WebSocket message sent:', envelope);
         } catch (error) {
             console.error('Failed to send WebSocket message:', error);
-            return false;
+            if (expectAck) {
+                this.unacked.delete(envelope.id);
+                this.hold(envelope);
+            }
         }
     }
 
+    /**
+     * Keep an envelope until the connection is ready, dropping the oldest past MAX_BUFFER
+     */
+    hold(envelope) {
+        this.buffer.push(envelope);
+        if (this.buffer.length > WebSocketClient.MAX_BUFFER) {
+            this.buffer.shift();
+            console.warn('WebSocket send buffer is full; dropped the oldest message');
+        }
+    }
+
+    /**
+     * Count the messages not yet acked by the server (buffered or in flight)
+     */
+    getPendingCount() {
+        return this.buffer.length + this.unacked.size;
+    }
+
     /**
      * Add a message handler
      * @param {function} handler - Function to handle incoming messages
@@ -244,7 +584,49 @@ class WebSocketClient {
     isConnected() {
         return this.connected;
     }
+
+    /**
+     * Check whether messages can be sent in this session (now, or once reconnected)
+     */
+    hasSession() {
+        return !!this.sessionId && !this.protocolError;
+    }
+
+    /**
+     * Delay before the given reconnect attempt (1-based): doubles each time up to MAX_RECONNECT_DELAY,
+     * then a random part of it is taken off, so clients that lost the same server don't all
+     * come back at once
+     */
+    static getReconnectDelay(attempt, random = Math.random()) {
+        const delay = Math.min(WebSocketClient.BASE_RECONNECT_DELAY * Math.pow(2, attempt - 1),
+            WebSocketClient.MAX_RECONNECT_DELAY);
+        return Math.round(delay * (1 - WebSocketClient.RECONNECT_JITTER * random));
+    }
+
+    /**
+     * Wrap a message in a protocol envelope
+     */
+    static createEnvelope(type, payload = {}) {
+        return {
+            protocol: WebSocketClient.PROTOCOL_VERSION,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            type,
+            timestamp: new Date().toISOString(),
+            payload
+        };
+    }
 }
 
+WebSocketClient.PROTOCOL_VERSION = 1;
+WebSocketClient.CAPABILITIES = ['streaming'];
+WebSocketClient.HANDSHAKE_TIMEOUT = 5000;
+WebSocketClient.MAX_BUFFER = 100;       // Messages kept while disconnected
+WebSocketClient.BASE_RECONNECT_DELAY = 1000;
+WebSocketClient.MAX_RECONNECT_DELAY = 30 * 1000;
+WebSocketClient.RECONNECT_JITTER = 0.5;    // Up to half of each delay is taken off at random
+WebSocketClient.MAX_RECONNECT_ATTEMPTS = 8;
+WebSocketClient.HEARTBEAT_INTERVAL = 25 * 1000;
+WebSocketClient.HEARTBEAT_TIMEOUT = 10 * 1000;
+
 // Export for use in other modules
 window.WebSocketClient = WebSocketClient;
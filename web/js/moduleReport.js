@@ -0,0 +1,235 @@
+/**
+ * Module Report Module - Summary of a student's work on a curriculum module
+ *
+ * Gathers the best score on each exercise (ScoreManager), how often each vocabulary word was
+ * answered correctly (ReviewScheduler cards) and the Fluent Reading speeds completed, and renders
+ * them as HTML for the completion screen or as a standalone page a parent or teacher can keep.
+ */
+
+class ModuleReport {
+    /**
+     * @param {Object} options
+     * @param {ScoreManager} options.scoreManager - Scores and student info
+     * @param {CurriculumManager} options.curriculumManager - Module title, exercises and vocabulary
+     * @param {ReviewScheduler} options.reviewScheduler - Per-word answer counts
+     * @param {Object} options.exerciseNames - Display names by exercise type
+     * @param {Function} options.describeDifficulty - (exerciseType, difficulty) => label
+     */
+    constructor({ scoreManager, curriculumManager, reviewScheduler, exerciseNames = {}, describeDifficulty = null }) {
+        this.scoreManager = scoreManager;
+        this.curriculumManager = curriculumManager;
+        this.reviewScheduler = reviewScheduler;
+        this.exerciseNames = exerciseNames;
+        this.describeDifficulty = describeDifficulty || ((exerciseType, difficulty) => difficulty);
+    }
+
+    /**
+     * Collect the report data for the current module
+     * @returns {Object} { student, module, completedAt, mastery, exercises, words, reading }
+     */
+    build() {
+        const moduleId = this.curriculumManager.getCurrentModuleId();
+        const exerciseTypes = this.curriculumManager.getExerciseTypes();
+        const module = this.curriculumManager.getAvailableModules().find(m => m.id === moduleId) || {
+            id: moduleId,
+            title: moduleId,
+            exercises: exerciseTypes,
+            optionalExercises: exerciseTypes.filter(type => this.curriculumManager.isOptionalExercise(type)),
+            unlockRules: this.curriculumManager.getUnlockRules()
+        };
+
+        return {
+            student: this.scoreManager.getUserInfo() || { name: '', studentId: '' },
+            module: { id: module.id, title: module.title },
+            completedAt: this.scoreManager.getModuleCompletedAt(moduleId),
+            mastery: this.scoreManager.getModuleMastery(moduleId, module.exercises, module.optionalExercises,
+                module.unlockRules),
+            exercises: module.exercises.map(exerciseType =>
+                this.getExerciseSummary(exerciseType, module.optionalExercises.includes(exerciseType))
+            ),
+            words: this.getWordAccuracy(),
+            reading: this.getReadingSpeeds()
+        };
+    }
+
+    /**
+     * Summarize the best result on one exercise
+     */
+    getExerciseSummary(exerciseType, optional) {
+        const bestScore = this.scoreManager.getBestScoreForExercise(exerciseType);
+        const summary = {
+            type: exerciseType,
+            name: this.exerciseNames[exerciseType] || exerciseType,
+            optional,
+            best: null
+        };
+
+        if (bestScore) {
+            summary.best = {
+                difficulty: this.describeDifficulty(exerciseType, bestScore.difficulty),
+                score: bestScore.highest.score,
+                total: bestScore.highest.total,
+                percentage: bestScore.highest.percentage,
+                date: bestScore.highest.date
+            };
+            summary.attempts = bestScore.attempts;
+        }
+        return summary;
+    }
+
+    /**
+     * Get how often each vocabulary word was answered correctly, across all exercises
+     * Words the student hasn't been asked have no accuracy.
+     */
+    getWordAccuracy() {
+        return this.curriculumManager.getVocabulary().map(item => {
+            const card = this.reviewScheduler ? this.reviewScheduler.getCard(item.word) : null;
+            const attempts = card ? card.correct + card.incorrect : 0;
+            return {
+                word: item.word,
+                correct: card ? card.correct : 0,
+                attempts,
+                accuracy: attempts > 0 ? Math.round(card.correct / attempts * 100) : null
+            };
+        });
+    }
+
+    /**
+     * Get the Fluent Reading speeds attempted (scores are recorded by speed), fastest first
+     * @returns {Array<{wpm: number, completion: number, attempts: number}>}
+     */
+    getReadingSpeeds() {
+        const scores = this.scoreManager.getExerciseScores('fluent_reading') || {};
+        return Object.entries(scores)
+            .map(([difficultyKey, difficultyScores]) => ({
+                wpm: parseInt(difficultyKey.replace('difficulty_', ''), 10),
+                completion: difficultyScores.highest.percentage,
+                attempts: difficultyScores.attempts
+            }))
+            .filter(speed => !isNaN(speed.wpm) && speed.attempts > 0)
+            .sort((a, b) => b.wpm - a.wpm);
+    }
+
+    /**
+     * Render the report body as HTML
+     * @param {Object} report - From build()
+     */
+    renderHtml(report) {
+        const escape = ModuleReport.escapeHtml;
+        const formatDate = date => date ? new Date(date).toLocaleDateString() : '—';
+
+        const exerciseRows = report.exercises.map(exercise => {
+            const optional = exercise.optional ? ' <span class="report-optional">(optional)</span>' : '';
+            const best = exercise.best;
+            return `
+            <tr>
+                <td>${escape(exercise.name)}${optional}</td>
+                <td>${best ? escape(String(best.difficulty)) : '—'}</td>
+                <td>${best ? `${best.score}/${best.total} (${best.percentage}%)` : 'Not attempted'}</td>
+                <td>${exercise.attempts || 0}</td>
+                <td>${best ? formatDate(best.date) : '—'}</td>
+            </tr>`;
+        }).join('');
+
+        const wordRows = report.words.map(word => `
+            <tr>
+                <td>${escape(word.word)}</td>
+                <td>${word.attempts > 0 ? `${word.correct}/${word.attempts}` : '—'}</td>
+                <td>${word.accuracy === null ? 'Not practiced' : `${word.accuracy}%`}</td>
+            </tr>`).join('');
+
+        const readingRows = report.reading.map(speed => `
+            <tr>
+                <td>${speed.wpm} WPM</td>
+                <td>${speed.completion}%</td>
+                <td>${speed.attempts}</td>
+            </tr>`).join('');
+
+        const student = [report.student.name, report.student.studentId ? `ID ${report.student.studentId}` : '']
+            .filter(Boolean).join(' · ');
+
+        return `
+            <div class="report-header">
+                <h2>🏆 ${escape(report.module.title)}</h2>
+                <p class="report-student">${escape(student)}</p>
+                <p class="report-summary">
+                    ${report.completedAt ? `Completed ${formatDate(report.completedAt)} · ` : ''}
+                    ${Math.round(report.mastery * 100)}% mastered
+                </p>
+            </div>
+
+            <h3>Best Scores</h3>
+            <table class="report-table">
+                <thead><tr><th>Activity</th><th>Level</th><th>Best</th><th>Attempts</th><th>Date</th></tr></thead>
+                <tbody>${exerciseRows}</tbody>
+            </table>
+
+            <h3>Fluent Reading</h3>
+            ${report.reading.length > 0 ? `
+            <table class="report-table">
+                <thead><tr><th>Speed</th><th>Best completion</th><th>Attempts</th></tr></thead>
+                <tbody>${readingRows}</tbody>
+            </table>` : '<p>No reading sessions yet.</p>'}
+
+            <h3>Words</h3>
+            <table class="report-table">
+                <thead><tr><th>Word</th><th>Correct</th><th>Accuracy</th></tr></thead>
+                <tbody>${wordRows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the report as a standalone HTML page (styles inlined, so it opens anywhere)
+     * @param {Object} report - From build()
+     */
+    toDocument(report) {
+        const title = `${report.module.title} - ${report.student.name || 'Student'} report`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${ModuleReport.escapeHtml(title)}</title>
+<style>${ModuleReport.DOCUMENT_STYLES}</style>
+</head>
+<body>
+<div class="module-report">${this.renderHtml(report)}</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Get a file name for the downloaded report
+     */
+    getFileName(report) {
+        const safe = text => String(text || '').replace(/[^a-zA-Z0-9.-]+/g, '_');
+        return `${safe(report.module.id)}-${safe(report.student.name) || 'student'}-report.html`;
+    }
+
+    /**
+     * Escape text for insertion into HTML (works without a DOM, for the standalone page)
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+ModuleReport.DOCUMENT_STYLES = `
+body { font-family: Arial, sans-serif; color: #333; margin: 2em; }
+h2 { color: #003366; margin-bottom: 0.2em; }
+h3 { color: #003366; border-bottom: 2px solid #003366; padding-bottom: 0.2em; margin-top: 1.5em; }
+.report-student, .report-summary { margin: 0.2em 0; }
+.report-optional { color: #6c757d; font-size: 0.85em; }
+.report-table { border-collapse: collapse; width: 100%; }
+.report-table th, .report-table td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+.report-table th { background: #f0f4f8; }
+tr { page-break-inside: avoid; }
+`;
+
+// Export for use in other modules
+window.ModuleReport = ModuleReport;
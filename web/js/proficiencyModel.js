@@ -0,0 +1,223 @@
+/**
+ * Proficiency Model Module - Bayesian estimate of how well a student knows each word
+ *
+ * Each word has a Beta(alpha, beta) distribution per skill, starting from a uniform prior. A right
+ * answer adds to alpha and a wrong one to beta, so the posterior mean alpha / (alpha + beta) is the
+ * estimated chance the student gets the word right, and it firms up as evidence comes in.
+ *
+ * Skills:
+ *   recognition - picking the word from its definition (multiple choice)
+ *   spelling    - producing or checking the spelling (spelling, bubble pop, fluent reading misspellings)
+ *   context     - using the word in a sentence (fill in the blank, fluent reading)
+ *
+ * Estimates are stored per module in the ScoreManager user data (modules[id].proficiency), so they
+ * work without the backend.
+ */
+
+class ProficiencyModel {
+    /**
+     * @param {ScoreManager} scoreManager - Owns the user data the estimates are saved in
+     */
+    constructor(scoreManager) {
+        this.scoreManager = scoreManager;
+    }
+
+    /**
+     * Get the stored estimates for the current module, creating the map if needed
+     */
+    getState() {
+        const progress = this.scoreManager.getModuleProgress();
+        if (!progress) {
+            return null;
+        }
+
+        if (!progress.proficiency) {
+            progress.proficiency = {};
+        }
+        return progress.proficiency;
+    }
+
+    /**
+     * Work out which skill an answer is evidence for
+     * @param {string} exerciseType - Exercise the answer came from
+     * @param {Object} answer - Answer record (may name its own `skill`)
+     */
+    getSkillForAnswer(exerciseType, answer) {
+        if (answer.skill && ProficiencyModel.SKILLS.includes(answer.skill)) {
+            return answer.skill;
+        }
+        return ProficiencyModel.EXERCISE_SKILLS[exerciseType] || null;
+    }
+
+    /**
+     * Update the estimates from an exercise's answer log and save
+     * @param {string} exerciseType - Exercise the answers came from
+     * @param {Array} answers - Answer records with `word` and `isCorrect`
+     * @returns {number} How many answers were used
+     */
+    update(exerciseType, answers) {
+        const state = this.getState();
+        if (!state) {
+            return 0;
+        }
+
+        let used = 0;
+        (answers || []).forEach(answer => {
+            const skill = answer ? this.getSkillForAnswer(exerciseType, answer) : null;
+            if (!skill || !answer.word) {
+                return;
+            }
+
+            const key = String(answer.word).trim().toLowerCase();
+            const word = state[key] || (state[key] = {});
+            const belief = word[skill] || (word[skill] = { ...ProficiencyModel.PRIOR });
+
+            if (answer.isCorrect) {
+                belief.alpha++;
+            } else {
+                belief.beta++;
+            }
+            used++;
+        });
+
+        if (used > 0) {
+            this.scoreManager.saveUserData();
+        }
+        return used;
+    }
+
+    /**
+     * Get the estimate for one word and skill
+     * @returns {{mean: number, sd: number, evidence: number}} Posterior mean, its standard
+     *   deviation, and how many answers it is based on
+     */
+    getEstimate(word, skill) {
+        const state = this.getState() || {};
+        const entry = state[String(word).trim().toLowerCase()];
+        const { alpha, beta } = (entry && entry[skill]) || ProficiencyModel.PRIOR;
+        const total = alpha + beta;
+
+        return {
+            mean: alpha / total,
+            sd: Math.sqrt(alpha * beta / (total * total * (total + 1))),
+            evidence: total - ProficiencyModel.PRIOR.alpha - ProficiencyModel.PRIOR.beta
+        };
+    }
+
+    /**
+     * Get the words the student has been tested on, in any skill
+     */
+    getTestedWords() {
+        return Object.keys(this.getState() || {});
+    }
+
+    /**
+     * Get the estimate for one word with the evidence from every skill pooled together
+     * @returns {{mean: number, sd: number, evidence: number}}
+     */
+    getWordEstimate(word) {
+        const state = this.getState() || {};
+        const entry = state[String(word).trim().toLowerCase()] || {};
+        let { alpha, beta } = ProficiencyModel.PRIOR;
+        Object.values(entry).forEach(belief => {
+            alpha += belief.alpha - ProficiencyModel.PRIOR.alpha;
+            beta += belief.beta - ProficiencyModel.PRIOR.beta;
+        });
+        const total = alpha + beta;
+
+        return {
+            mean: alpha / total,
+            sd: Math.sqrt(alpha * beta / (total * total * (total + 1))),
+            evidence: total - ProficiencyModel.PRIOR.alpha - ProficiencyModel.PRIOR.beta
+        };
+    }
+
+    /**
+     * Summarize a skill over the words the student has been tested on
+     * @param {string} skill - Skill name
+     * @returns {{mean: number, words: number}} Mean posterior over the tested words, and how many there are
+     */
+    getSkillSummary(skill) {
+        const state = this.getState() || {};
+        const words = Object.keys(state).filter(word => state[word][skill]);
+        if (words.length === 0) {
+            const { alpha, beta } = ProficiencyModel.PRIOR;
+            return { mean: alpha / (alpha + beta), words: 0 };
+        }
+
+        const total = words.reduce((sum, word) => sum + this.getEstimate(word, skill).mean, 0);
+        return { mean: total / words.length, words: words.length };
+    }
+
+    /**
+     * Check whether a skill counts as mastered: enough words tested and a high enough mean estimate
+     * @param {string} skill - Skill name
+     * @param {number} threshold - Mean estimate needed (0-1)
+     */
+    isSkillMastered(skill, threshold = ProficiencyModel.MASTERY_THRESHOLD) {
+        const summary = this.getSkillSummary(skill);
+        return summary.words >= ProficiencyModel.MIN_TESTED_WORDS && summary.mean >= threshold;
+    }
+
+    /**
+     * Get the words the student is weakest on for a skill: missed at least once and not yet mastered
+     * @param {string} skill - Skill name
+     * @param {number} count - How many words to return
+     */
+    getWeakestWords(skill, count = 3) {
+        const state = this.getState() || {};
+        return Object.keys(state)
+            .filter(word => state[word][skill] && state[word][skill].beta > ProficiencyModel.PRIOR.beta)
+            .map(word => ({ word, ...this.getEstimate(word, skill) }))
+            .filter(estimate => estimate.mean < ProficiencyModel.MASTERY_THRESHOLD)
+            .sort((a, b) => a.mean - b.mean || b.evidence - a.evidence)
+            .slice(0, count)
+            .map(estimate => estimate.word);
+    }
+
+    /**
+     * Recommend what to practice next: the exercise whose skill has the lowest estimate
+     * (an untested skill counts at the prior mean)
+     * @param {Array<string>} exerciseTypes - Exercises to choose from (e.g. the unlocked ones)
+     * @returns {{activity: string, skill: string, focusWords: Array<string>}|null}
+     */
+    getRecommendation(exerciseTypes) {
+        const candidates = exerciseTypes
+            .filter(exerciseType => ProficiencyModel.EXERCISE_SKILLS[exerciseType])
+            .map(exerciseType => {
+                const skill = ProficiencyModel.EXERCISE_SKILLS[exerciseType];
+                return { activity: exerciseType, skill, ...this.getSkillSummary(skill) };
+            });
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const best = candidates.reduce((lowest, candidate) => candidate.mean < lowest.mean ? candidate : lowest);
+
+        return {
+            activity: best.activity,
+            skill: best.skill,
+            focusWords: this.getWeakestWords(best.skill)
+        };
+    }
+}
+
+ProficiencyModel.SKILLS = ['recognition', 'spelling', 'context'];
+
+// Skill each exercise's answers are evidence for (an answer's own `skill` field overrides this)
+ProficiencyModel.EXERCISE_SKILLS = {
+    multiple_choice: 'recognition',
+    fill_in_the_blank: 'context',
+    spelling: 'spelling',
+    bubble_pop: 'spelling',
+    fluent_reading: 'context'
+};
+
+// Uniform Beta(1, 1) prior: an untested word is a coin flip
+ProficiencyModel.PRIOR = { alpha: 1, beta: 1 };
+
+ProficiencyModel.MASTERY_THRESHOLD = 0.8;
+ProficiencyModel.MIN_TESTED_WORDS = 5;
+
+// Export for use in other modules
+window.ProficiencyModel = ProficiencyModel;
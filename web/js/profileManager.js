@@ -0,0 +1,205 @@
+/**
+ * Profile Manager Module - The student profiles stored on this device
+ *
+ * Classrooms share tablets, so several students' progress is kept side by side in localStorage,
+ * one ScoreManager record per username. The profile manager lists those records for the profile
+ * picker, deletes them, and keeps each profile's avatar and optional picture password
+ * (userData.profile).
+ *
+ * A picture password is a short sequence of pictures, simple enough for an 8-year-old. It stops
+ * classmates opening each other's profiles by accident; it is stored in plain text and is not
+ * meant to protect against anyone who can open the browser's storage.
+ */
+
+class ProfileManager {
+    /**
+     * @param {ScoreManager} scoreManager - Owns the stored records and the current student
+     */
+    constructor(scoreManager) {
+        this.scoreManager = scoreManager;
+    }
+
+    /**
+     * List every profile stored on this device, most recently played first
+     * Records are read as stored (not migrated); ones that can't be parsed are left out.
+     * @returns {Array<Object>} Profile summaries (see summarize)
+     */
+    getProfiles() {
+        const prefix = this.scoreManager.storageKeyPrefix;
+        const profiles = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(prefix)) {
+                continue;
+            }
+
+            try {
+                profiles.push(this.summarize(key.slice(prefix.length), JSON.parse(localStorage.getItem(key))));
+            } catch (error) {
+                console.warn(`Skipping unreadable profile ${key}`);
+            }
+        }
+        return profiles.sort((a, b) => (b.lastPlayedAt || '').localeCompare(a.lastPlayedAt || '') ||
+            a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get one stored profile
+     * @returns {Object|null} Profile summary, or null if the student has no saved data
+     */
+    getProfile(username) {
+        return this.getProfiles().find(profile => profile.username === username) || null;
+    }
+
+    /**
+     * Summarize a stored record for the profile picker
+     * @returns {{username, name, avatar, initials, color, lastPlayedAt, hasPicturePassword}}
+     */
+    summarize(username, data) {
+        const profile = (data && data.profile) || {};
+        const name = (data && data.name) || username;
+        return {
+            username,
+            name,
+            avatar: profile.avatar || null,
+            initials: ProfileManager.getInitials(name),
+            color: ProfileManager.getColor(name),
+            lastPlayedAt: (data && (data.lastPlayedAt || data.createdAt)) || null,
+            hasPicturePassword: Array.isArray(profile.picturePassword) && profile.picturePassword.length > 0
+        };
+    }
+
+    /**
+     * Delete a profile and any backups of its unreadable data
+     * Signs the student out first if they are the current student.
+     * @returns {boolean} True if there was a profile to delete
+     */
+    deleteProfile(username) {
+        const storageKey = this.scoreManager.storageKeyPrefix + username;
+        const existed = localStorage.getItem(storageKey) !== null;
+
+        if (this.scoreManager.getCurrentUsername() === username) {
+            this.scoreManager.logout();
+        }
+        localStorage.removeItem(storageKey);
+        this.scoreManager.getDataBackups(username).forEach(backup => localStorage.removeItem(backup.key));
+
+        console.log(`[BREADCRUMB][PROFILE] Deleted profile: ${username}`);
+        return existed;
+    }
+
+    /**
+     * Update the current student's avatar and/or picture password
+     * @param {Object} changes
+     * @param {string|null} changes.avatar - One of ProfileManager.AVATARS, or null for initials
+     * @param {Array<string>|null} changes.picturePassword - Picture ids (see PICTURES), or null to remove it
+     * @throws {Error} If there is no current student, or the avatar or password isn't valid
+     */
+    updateProfile(changes) {
+        const userData = this.scoreManager.userData;
+        if (!userData) {
+            throw new Error('No student is signed in');
+        }
+
+        const profile = { ...ProfileManager.EMPTY_PROFILE, ...userData.profile };
+        if (changes.avatar !== undefined) {
+            if (changes.avatar !== null && !ProfileManager.AVATARS.includes(changes.avatar)) {
+                throw new Error('Unknown avatar');
+            }
+            profile.avatar = changes.avatar;
+        }
+        if (changes.picturePassword !== undefined) {
+            if (changes.picturePassword !== null && !ProfileManager.isValidPicturePassword(changes.picturePassword)) {
+                throw new Error(`A picture password is ${ProfileManager.PICTURE_PASSWORD_LENGTH} pictures`);
+            }
+            profile.picturePassword = changes.picturePassword && [...changes.picturePassword];
+        }
+
+        userData.profile = profile;
+        this.scoreManager.saveUserData();
+        return profile;
+    }
+
+    /**
+     * Check a picture password for a stored profile
+     * @param {string} username - Profile to open
+     * @param {Array<string>} attempt - Picture ids, in the order they were tapped
+     * @returns {boolean} True if it matches, or if the profile has no picture password
+     */
+    checkPicturePassword(username, attempt) {
+        const stored = localStorage.getItem(this.scoreManager.storageKeyPrefix + username);
+        if (!stored) {
+            return false;
+        }
+
+        let password;
+        try {
+            const profile = JSON.parse(stored).profile;
+            password = profile && profile.picturePassword;
+        } catch (error) {
+            return false;
+        }
+
+        if (!Array.isArray(password) || password.length === 0) {
+            return true;
+        }
+        return Array.isArray(attempt) && attempt.length === password.length &&
+            attempt.every((pictureId, index) => pictureId === password[index]);
+    }
+
+    /**
+     * Check that a picture password is the right length and uses known pictures
+     */
+    static isValidPicturePassword(sequence) {
+        const ids = ProfileManager.PICTURES.map(picture => picture.id);
+        return Array.isArray(sequence) && sequence.length === ProfileManager.PICTURE_PASSWORD_LENGTH &&
+            sequence.every(pictureId => ids.includes(pictureId));
+    }
+
+    /**
+     * Get up to two initials for a username (capital letters mark word starts, e.g. "JaneDoe" -> "JD")
+     */
+    static getInitials(name) {
+        const text = String(name || '?');
+        const capitals = text.match(/[A-Z]/g) || [];
+        return capitals.length >= 2 ? capitals.slice(0, 2).join('') : text.charAt(0).toUpperCase();
+    }
+
+    /**
+     * Pick a stable background color for a profile without an avatar
+     */
+    static getColor(name) {
+        let hash = 0;
+        for (const char of String(name || '')) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+        }
+        return ProfileManager.COLORS[hash % ProfileManager.COLORS.length];
+    }
+}
+
+ProfileManager.EMPTY_PROFILE = {
+    avatar: null,
+    picturePassword: null
+};
+
+ProfileManager.AVATARS = ['🦜', '🐙', '🦈', '🐢', '🐬', '🦀', '🐳', '🦑'];
+
+ProfileManager.COLORS = ['#1976D2', '#7B1FA2', '#2E7D32', '#E64A19', '#00838F', '#C2185B'];
+
+// Pictures a picture password is made from
+ProfileManager.PICTURES = [
+    { id: 'parrot', emoji: '🦜', label: 'Parrot' },
+    { id: 'anchor', emoji: '⚓', label: 'Anchor' },
+    { id: 'octopus', emoji: '🐙', label: 'Octopus' },
+    { id: 'shark', emoji: '🦈', label: 'Shark' },
+    { id: 'island', emoji: '🏝️', label: 'Island' },
+    { id: 'treasure', emoji: '💰', label: 'Treasure' },
+    { id: 'map', emoji: '🗺️', label: 'Map' },
+    { id: 'turtle', emoji: '🐢', label: 'Turtle' },
+    { id: 'star', emoji: '⭐', label: 'Star' }
+];
+
+ProfileManager.PICTURE_PASSWORD_LENGTH = 3;
+
+// Export for use in other modules
+window.ProfileManager = ProfileManager;
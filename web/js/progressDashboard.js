@@ -0,0 +1,344 @@
+/**
+ * Progress Dashboard Module - Charts of a student's progress on the current module
+ *
+ * Four charts, drawn with CanvasRenderer so they work offline without a chart library:
+ *   - score over time, one line per exercise (AttemptLog)
+ *   - accuracy at each difficulty setting (AttemptLog)
+ *   - Fluent Reading words per minute over time (AttemptLog)
+ *   - strongest and weakest words (ProficiencyModel, every skill pooled)
+ */
+
+class ProgressDashboard {
+    /**
+     * @param {Object} options
+     * @param {AttemptLog} options.attemptLog - Attempt history
+     * @param {ProficiencyModel} options.proficiencyModel - Per-word estimates
+     * @param {Object} options.exerciseNames - Display names by exercise type
+     * @param {Function} options.describeDifficulty - (exerciseType, difficulty) => label
+     */
+    constructor({ attemptLog, proficiencyModel, exerciseNames = {}, describeDifficulty = null }) {
+        this.attemptLog = attemptLog;
+        this.proficiencyModel = proficiencyModel;
+        this.exerciseNames = exerciseNames;
+        this.describeDifficulty = describeDifficulty || ((exerciseType, difficulty) => difficulty);
+        this.renderers = {};
+    }
+
+    /**
+     * Get the totals shown above the charts
+     * @returns {{attempts: number, practiceSeconds: number, lastPracticed: string|null}}
+     */
+    getSummary() {
+        const attempts = this.attemptLog.getAttempts();
+        return {
+            attempts: attempts.length,
+            practiceSeconds: this.attemptLog.getPracticeTime(),
+            lastPracticed: attempts.length > 0 ? attempts[attempts.length - 1].completedAt : null
+        };
+    }
+
+    /**
+     * Get each exercise's scores over time
+     * Fluent Reading has its own chart (getReadingTrend), so it isn't included.
+     * @returns {Array<{exerciseType: string, label: string, color: string, points: Array<{time, value}>}>}
+     */
+    getScoreSeries() {
+        return Object.keys(ProgressDashboard.EXERCISE_COLORS)
+            .filter(exerciseType => exerciseType !== 'fluent_reading')
+            .map(exerciseType => ({
+                exerciseType,
+                label: this.exerciseNames[exerciseType] || exerciseType,
+                color: ProgressDashboard.EXERCISE_COLORS[exerciseType],
+                points: this.attemptLog.getScoreHistory(exerciseType).map(point => ({
+                    time: Date.parse(point.date),
+                    value: point.percentage
+                }))
+            }))
+            .filter(series => series.points.length > 0);
+    }
+
+    /**
+     * Get the share of items answered correctly at each exercise's difficulty settings
+     * Fluent Reading is left out: its scores are recorded by speed (see getReadingTrend).
+     * @returns {Array<{exerciseType, difficulty, label, correct, total, accuracy}>}
+     */
+    getAccuracyByDifficulty() {
+        const groups = {};
+        this.attemptLog.getAttempts()
+            .filter(attempt => attempt.exerciseType !== 'fluent_reading' && attempt.total > 0)
+            .forEach(attempt => {
+                const key = `${attempt.exerciseType}|${attempt.difficulty}`;
+                const group = groups[key] || (groups[key] = {
+                    exerciseType: attempt.exerciseType,
+                    difficulty: attempt.difficulty,
+                    correct: 0,
+                    total: 0
+                });
+                group.correct += attempt.score;
+                group.total += attempt.total;
+            });
+
+        const order = Object.keys(ProgressDashboard.EXERCISE_COLORS);
+        return Object.values(groups)
+            .map(group => ({
+                ...group,
+                label: this.describeDifficulty(group.exerciseType, group.difficulty),
+                accuracy: Math.round(group.correct / group.total * 100)
+            }))
+            .sort((a, b) => order.indexOf(a.exerciseType) - order.indexOf(b.exerciseType) ||
+                String(a.difficulty).localeCompare(String(b.difficulty)));
+    }
+
+    /**
+     * Get the words per minute of each Fluent Reading session over time
+     * Uses the measured rate where the session recorded one, and the chosen speed otherwise.
+     * @returns {Array<{time: number, value: number, completion: number}>}
+     */
+    getReadingTrend() {
+        return this.attemptLog.getAttempts({ exerciseType: 'fluent_reading' })
+            .map(attempt => {
+                const measured = attempt.metrics && attempt.metrics.averageWPM;
+                return {
+                    time: Date.parse(attempt.completedAt),
+                    value: measured > 0 ? measured : Number(attempt.difficulty),
+                    completion: attempt.percentage
+                };
+            })
+            .filter(point => point.value > 0);
+    }
+
+    /**
+     * Get the strongest and weakest words (a word is only in one list)
+     * @param {number} count - Words per list
+     * @returns {{strongest: Array<{word, mean, evidence}>, weakest: Array<{word, mean, evidence}>}}
+     */
+    getWordStrengths(count = 5) {
+        const ranked = this.proficiencyModel.getTestedWords()
+            .map(word => ({ word, ...this.proficiencyModel.getWordEstimate(word) }))
+            .filter(estimate => estimate.evidence >= ProgressDashboard.MIN_WORD_EVIDENCE)
+            .sort((a, b) => b.mean - a.mean || b.evidence - a.evidence);
+
+        const strongest = ranked.slice(0, Math.min(count, Math.ceil(ranked.length / 2)));
+        const weakest = ranked.slice(strongest.length).reverse().slice(0, count);
+        return { strongest, weakest };
+    }
+
+    /**
+     * Draw every chart into its canvas
+     * @param {Object} canvases - { score, accuracy, reading, words } canvas elements
+     */
+    render(canvases) {
+        this.drawLineChart(this.getRenderer('score', canvases.score), {
+            series: this.getScoreSeries(),
+            max: 100,
+            formatValue: value => `${value}%`,
+            emptyText: 'Finish an activity to see your scores here'
+        });
+
+        this.drawBarChart(this.getRenderer('accuracy', canvases.accuracy), {
+            bars: this.getAccuracyByDifficulty().map(group => ({
+                label: `${this.exerciseNames[group.exerciseType] || group.exerciseType}: ${group.label}`,
+                value: group.accuracy,
+                color: ProgressDashboard.EXERCISE_COLORS[group.exerciseType]
+            })),
+            max: 100,
+            labelWidth: 170,
+            formatValue: value => `${value}%`,
+            emptyText: 'No answers yet'
+        });
+
+        const reading = this.getReadingTrend();
+        this.drawLineChart(this.getRenderer('reading', canvases.reading), {
+            series: reading.length > 0 ? [{
+                label: 'Words per minute',
+                color: ProgressDashboard.EXERCISE_COLORS.fluent_reading,
+                points: reading
+            }] : [],
+            max: Math.max(...reading.map(point => point.value), 100) * 1.2,
+            formatValue: value => `${Math.round(value)}`,
+            emptyText: 'No Fluent Reading sessions yet'
+        });
+
+        const { strongest, weakest } = this.getWordStrengths();
+        this.drawBarChart(this.getRenderer('words', canvases.words), {
+            bars: strongest.map(estimate => ({
+                label: estimate.word,
+                value: Math.round(estimate.mean * 100),
+                color: '#4CAF50'
+            })).concat(weakest.map(estimate => ({
+                label: estimate.word,
+                value: Math.round(estimate.mean * 100),
+                color: '#E57373'
+            }))),
+            max: 100,
+            labelWidth: 100,
+            formatValue: value => `${value}%`,
+            emptyText: 'Practice a few words to see your strongest and weakest'
+        });
+    }
+
+    /**
+     * Get the renderer for a chart, creating it the first time
+     */
+    getRenderer(name, canvas) {
+        if (!this.renderers[name] || this.renderers[name].canvas !== canvas) {
+            this.renderers[name] = new CanvasRenderer(canvas, {
+                width: ProgressDashboard.CHART_WIDTH,
+                height: ProgressDashboard.CHART_HEIGHT,
+                autoResize: false
+            });
+        }
+        return this.renderers[name];
+    }
+
+    /**
+     * Get the plot area inside a chart's margins
+     */
+    getPlotArea(renderer, margins = ProgressDashboard.MARGINS) {
+        return {
+            left: margins.left,
+            top: margins.top,
+            right: renderer.width - margins.right,
+            bottom: renderer.height - margins.bottom,
+            width: renderer.width - margins.left - margins.right,
+            height: renderer.height - margins.top - margins.bottom
+        };
+    }
+
+    /**
+     * Clear a chart and, if there's nothing to show, say so
+     * @returns {boolean} True if the chart is empty
+     */
+    startChart(renderer, isEmpty, emptyText) {
+        renderer.clear(ProgressDashboard.COLORS.background);
+        if (isEmpty) {
+            renderer.drawText(emptyText, renderer.width / 2, renderer.height / 2, {
+                font: '14px Arial',
+                color: ProgressDashboard.COLORS.muted,
+                align: 'center',
+                baseline: 'middle'
+            });
+        }
+        return isEmpty;
+    }
+
+    /**
+     * Draw horizontal grid lines with value labels on the left
+     */
+    drawValueGrid(renderer, plot, max, formatValue) {
+        for (let step = 0; step <= 4; step++) {
+            const value = max * step / 4;
+            const y = plot.bottom - plot.height * step / 4;
+            renderer.drawLine(plot.left, y, plot.right, y, {
+                color: step === 0 ? ProgressDashboard.COLORS.axis : ProgressDashboard.COLORS.grid
+            });
+            renderer.drawText(formatValue(value), plot.left - 6, y, {
+                font: '11px Arial',
+                color: ProgressDashboard.COLORS.muted,
+                align: 'right',
+                baseline: 'middle'
+            });
+        }
+    }
+
+    /**
+     * Draw a line chart over time
+     * @param {CanvasRenderer} renderer - Chart canvas
+     * @param {Object} chart - { series: [{label, color, points: [{time, value}]}], max, formatValue, emptyText }
+     */
+    drawLineChart(renderer, { series, max, formatValue, emptyText }) {
+        if (this.startChart(renderer, series.length === 0, emptyText)) {
+            return;
+        }
+
+        const plot = this.getPlotArea(renderer);
+        this.drawValueGrid(renderer, plot, max, formatValue);
+
+        const times = [].concat(...series.map(line => line.points.map(point => point.time)));
+        const first = Math.min(...times);
+        const last = Math.max(...times);
+        const xFor = time => last === first ? plot.left + plot.width / 2 :
+            plot.left + (time - first) / (last - first) * plot.width;
+        const yFor = value => plot.bottom - Math.min(value, max) / max * plot.height;
+
+        series.forEach(line => {
+            line.points.forEach((point, index) => {
+                const x = xFor(point.time);
+                const y = yFor(point.value);
+                if (index > 0) {
+                    const previous = line.points[index - 1];
+                    renderer.drawLine(xFor(previous.time), yFor(previous.value), x, y, { color: line.color, width: 2 });
+                }
+                renderer.drawCircle(x, y, 3, { fillColor: line.color, strokeColor: null });
+            });
+        });
+
+        // Date range under the axis, legend along the bottom
+        const labelOptions = { font: '11px Arial', color: ProgressDashboard.COLORS.muted, baseline: 'top' };
+        renderer.drawText(new Date(first).toLocaleDateString(), plot.left, plot.bottom + 4, labelOptions);
+        if (last !== first) {
+            renderer.drawText(new Date(last).toLocaleDateString(), plot.right, plot.bottom + 4,
+                { ...labelOptions, align: 'right' });
+        }
+
+        let legendX = plot.left;
+        series.forEach(line => {
+            renderer.drawRect(legendX, renderer.height - 14, 10, 10, { fillColor: line.color, strokeColor: null });
+            renderer.drawText(line.label, legendX + 14, renderer.height - 15, labelOptions);
+            legendX += 24 + renderer.measureText(line.label, labelOptions.font).width;
+        });
+    }
+
+    /**
+     * Draw a horizontal bar chart, labels on the left and values after each bar
+     * @param {CanvasRenderer} renderer - Chart canvas
+     * @param {Object} chart - { bars: [{label, value, color}], max, labelWidth, formatValue, emptyText }
+     */
+    drawBarChart(renderer, { bars, max, labelWidth, formatValue, emptyText }) {
+        if (this.startChart(renderer, bars.length === 0, emptyText)) {
+            return;
+        }
+
+        const plot = this.getPlotArea(renderer, { ...ProgressDashboard.BAR_MARGINS, left: labelWidth });
+        const rowHeight = Math.min(plot.height / bars.length, ProgressDashboard.MAX_BAR_ROW);
+        const textOptions = { font: '11px Arial', color: ProgressDashboard.COLORS.text, baseline: 'middle' };
+
+        bars.forEach((bar, index) => {
+            const y = plot.top + index * rowHeight;
+            const length = Math.min(bar.value, max) / max * plot.width;
+            renderer.drawRect(plot.left, y + rowHeight * 0.15, length, rowHeight * 0.7,
+                { fillColor: bar.color, strokeColor: null });
+            renderer.drawText(bar.label, plot.left - 6, y + rowHeight / 2,
+                { ...textOptions, align: 'right', maxWidth: labelWidth - 10 });
+            renderer.drawText(formatValue(bar.value), plot.left + length + 4, y + rowHeight / 2, textOptions);
+        });
+    }
+}
+
+ProgressDashboard.CHART_WIDTH = 440;
+ProgressDashboard.CHART_HEIGHT = 260;
+ProgressDashboard.MARGINS = { left: 44, right: 16, top: 16, bottom: 40 };
+ProgressDashboard.BAR_MARGINS = { right: 40, top: 10, bottom: 10 };
+ProgressDashboard.MAX_BAR_ROW = 28;
+
+// Answers a word needs before it is ranked among the strongest or weakest
+ProgressDashboard.MIN_WORD_EVIDENCE = 2;
+
+ProgressDashboard.EXERCISE_COLORS = {
+    multiple_choice: '#1976D2',
+    fill_in_the_blank: '#7B1FA2',
+    spelling: '#2E7D32',
+    bubble_pop: '#E64A19',
+    fluent_reading: '#F9A825'
+};
+
+ProgressDashboard.COLORS = {
+    background: '#ffffff',
+    axis: '#495057',
+    grid: '#e9ecef',
+    text: '#333333',
+    muted: '#6c757d'
+};
+
+// Export for use in other modules
+window.ProgressDashboard = ProgressDashboard;
@@ -0,0 +1,213 @@
+/**
+ * Progress Merge Module - Combines two copies of a module's exercise progress
+ *
+ * Used when the backend sends a student's progress at sign-in, and when a progress file is
+ * combined with the data on this device. Neither copy overwrites the other; each exercise and
+ * difficulty is resolved field by field:
+ * - unlocked: unlocked in either copy
+ * - highest: the higher percentage (the local copy on a tie)
+ * - recent: whichever was played later
+ * - attempts: the backend's count already includes every result this device has sent, so the
+ *   merged count is the other copy's count plus the results still waiting to be sent, or the
+ *   local count if that is higher
+ *
+ * Every difference is returned, including the ones where the local copy is kept, so the dev panel
+ * can show what a merge would change before it is made.
+ */
+
+class ProgressMerge {
+    /**
+     * Convert progress from /api/session/init to the local exercise format
+     *
+     * Backends that keep per-difficulty stats send them in `difficulties`; older ones send only the
+     * exercise's best score and total attempts, so the per-difficulty counts are left null and
+     * mergeExercises reconciles the total instead.
+     * @param {Object} backendProgress - { [exerciseType]: { unlocked, attempts, best_score, recent_score,
+     *     difficulties: { [difficulty]: { attempts, best_score, recent_score } } } }
+     * @returns {Object} { [exerciseType]: { unlocked, attempts, scores: { difficulty_N: { highest, recent,
+     *     attempts } } } }
+     */
+    static fromBackend(backendProgress) {
+        const exercises = {};
+
+        Object.entries(backendProgress || {}).forEach(([exerciseType, progress]) => {
+            const scores = {};
+            const scoresAt = difficulty => {
+                const key = `difficulty_${difficulty}`;
+                scores[key] = scores[key] || { ...ProgressMerge.emptyScores(), attempts: null };
+                return scores[key];
+            };
+
+            Object.entries(progress.difficulties || {}).forEach(([difficulty, stats]) => {
+                const target = scoresAt(difficulty);
+                target.highest = ProgressMerge.fromBackendScore(stats.best_score);
+                target.recent = ProgressMerge.fromBackendScore(stats.recent_score);
+                target.attempts = stats.attempts || 0;
+            });
+
+            if (!progress.difficulties) {
+                const best = progress.best_score;
+                const recent = progress.recent_score;
+                if (best && best.score > 0) {
+                    scoresAt(best.difficulty).highest = ProgressMerge.fromBackendScore(best);
+                }
+                if (recent) {
+                    scoresAt(recent.difficulty).recent = ProgressMerge.fromBackendScore(recent);
+                }
+            }
+
+            exercises[exerciseType] = {
+                unlocked: !!progress.unlocked,
+                attempts: progress.attempts || 0,
+                scores
+            };
+        });
+
+        return exercises;
+    }
+
+    /**
+     * Convert one backend score ({ score, total, percentage, difficulty, date }) to a local score
+     * A score without a date is kept undated rather than stamped with the time of the merge.
+     */
+    static fromBackendScore(score) {
+        if (!score) {
+            return ProgressMerge.emptyScores().recent;
+        }
+        return {
+            score: score.score || 0,
+            total: score.total || 0,
+            percentage: score.percentage || 0,
+            date: score.date || score.timestamp || null
+        };
+    }
+
+    /**
+     * Merge another copy of a module's exercises into the local copy
+     * Exercise types the local copy doesn't have (not part of the module) are ignored.
+     * @param {Object} local - { [exerciseType]: { unlocked, scores } }; changed in place unless dryRun
+     * @param {Object} other - The same shape, e.g. from fromBackend or a progress file
+     * @param {Object} options
+     * @param {Object} options.unsynced - { [exerciseType]: { difficulty_N: count } } results the other
+     *     copy hasn't received yet (see SessionManager.getUnsyncedAttempts)
+     * @param {boolean} options.dryRun - Only work out the differences
+     * @returns {Array<Object>} { exerciseType, difficulty, field, local, other, merged, source } for each
+     *     field the copies disagree on; source is 'other' if the merge changes the local value
+     */
+    static mergeExercises(local, other, { unsynced = {}, dryRun = false } = {}) {
+        const changes = [];
+
+        Object.entries(other || {}).forEach(([exerciseType, theirs]) => {
+            if (!local[exerciseType]) {
+                return;
+            }
+
+            const target = dryRun ? JSON.parse(JSON.stringify(local[exerciseType])) : local[exerciseType];
+            const pending = unsynced[exerciseType] || {};
+            const note = (difficultyKey, field, before, otherValue, merged) => {
+                if (ProgressMerge.same(before, otherValue)) {
+                    return;
+                }
+                changes.push({
+                    exerciseType,
+                    difficulty: difficultyKey ? difficultyKey.replace('difficulty_', '') : null,
+                    field,
+                    local: before,
+                    other: otherValue,
+                    merged,
+                    source: ProgressMerge.same(before, merged) ? 'local' : 'other'
+                });
+            };
+
+            const unlocked = !!target.unlocked || !!theirs.unlocked;
+            note(null, 'unlocked', !!target.unlocked, !!theirs.unlocked, unlocked);
+            target.unlocked = unlocked;
+
+            target.scores = target.scores || {};
+            Object.entries(theirs.scores || {}).forEach(([difficultyKey, scores]) => {
+                const current = target.scores[difficultyKey] || ProgressMerge.emptyScores();
+                const merged = { ...current };
+
+                if (scores.highest.percentage > current.highest.percentage) {
+                    merged.highest = scores.highest;
+                }
+                if (ProgressMerge.isLater(scores.recent.date, current.recent.date)) {
+                    merged.recent = scores.recent;
+                }
+                if (scores.attempts !== null && scores.attempts !== undefined) {
+                    merged.attempts = Math.max(current.attempts, scores.attempts + (pending[difficultyKey] || 0));
+                }
+
+                note(difficultyKey, 'highest', current.highest, scores.highest, merged.highest);
+                note(difficultyKey, 'recent', current.recent, scores.recent, merged.recent);
+                if (scores.attempts !== null && scores.attempts !== undefined) {
+                    note(difficultyKey, 'attempts', current.attempts, scores.attempts, merged.attempts);
+                }
+                target.scores[difficultyKey] = merged;
+            });
+
+            // Only a total from the backend: attempts made elsewhere go to its best difficulty
+            const counts = Object.values(theirs.scores || {}).map(scores => scores.attempts);
+            const bestKey = ProgressMerge.getBestDifficulty(theirs.scores);
+            if (counts.every(count => count === null) && theirs.attempts && bestKey) {
+                const total = scores => Object.values(scores).reduce((sum, entry) => sum + entry.attempts, 0);
+                const pendingTotal = Object.values(pending).reduce((sum, count) => sum + count, 0);
+                const localTotal = total(target.scores);
+                const extra = theirs.attempts + pendingTotal - localTotal;
+                if (extra > 0) {
+                    target.scores[bestKey].attempts += extra;
+                }
+                note(null, 'attempts', localTotal, theirs.attempts, localTotal + Math.max(extra, 0));
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get the difficulty key with the highest best score
+     */
+    static getBestDifficulty(scores) {
+        const entries = Object.entries(scores || {}).filter(([, entry]) => entry.highest.percentage > 0);
+        if (entries.length === 0) {
+            return null;
+        }
+        return entries.reduce((best, entry) => entry[1].highest.percentage > best[1].highest.percentage ?
+            entry : best)[0];
+    }
+
+    /**
+     * Scores for a difficulty that hasn't been played
+     */
+    static emptyScores() {
+        return {
+            highest: { score: 0, total: 0, percentage: 0, date: null },
+            recent: { score: 0, total: 0, percentage: 0, date: null },
+            attempts: 0
+        };
+    }
+
+    /**
+     * Compare two field values (scores are compared by content)
+     */
+    static same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Check whether ISO timestamp a is later than b (a missing timestamp is never later)
+     */
+    static isLater(a, b) {
+        return !!a && (!b || a > b);
+    }
+
+    /**
+     * Get the earliest of some ISO timestamps, ignoring missing ones
+     */
+    static earliest(...timestamps) {
+        return timestamps.filter(Boolean).sort()[0] || null;
+    }
+}
+
+// Export for use in other modules
+window.ProgressMerge = ProgressMerge;
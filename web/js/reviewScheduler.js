@@ -0,0 +1,147 @@
+/**
+ * Review Scheduler Module - Spaced repetition of vocabulary words (Leitner boxes)
+ *
+ * Every word a student answers gets a card with a box number. A wrong answer sends the word back
+ * to box 1, which is due again straight away; a right answer on a due word moves it up a box, and
+ * each box waits longer before the word is due again. CurriculumManager multiplies its selection
+ * weights by getWeight(), so missed words come back sooner and mastered words fade out.
+ *
+ * Cards are stored per module in the ScoreManager user data (modules[id].review).
+ */
+
+class ReviewScheduler {
+    /**
+     * @param {ScoreManager} scoreManager - Owns the user data the cards are saved in
+     */
+    constructor(scoreManager) {
+        this.scoreManager = scoreManager;
+    }
+
+    /**
+     * Normalize a word to its card key
+     */
+    getKey(word) {
+        return String(word).trim().toLowerCase();
+    }
+
+    /**
+     * Get the card for a word, or null if the student hasn't answered it yet
+     */
+    getCard(word) {
+        const cards = this.scoreManager.getReviewState();
+        return cards ? cards[this.getKey(word)] || null : null;
+    }
+
+    /**
+     * Check whether a card is due for review
+     */
+    isDue(card, now = Date.now()) {
+        return card.due <= now;
+    }
+
+    /**
+     * Update a word's card after an answer (does not save)
+     * Right answers only promote a word that is due, so answering it again in the same round
+     * (bubble pop shows the same word many times) doesn't skip boxes.
+     * @returns {Object|null} The updated card, or null if there's no user to store it for
+     */
+    recordAnswer(word, isCorrect, now = Date.now()) {
+        const cards = this.scoreManager.getReviewState();
+        if (!cards || !word) {
+            return null;
+        }
+
+        // A new word starts in box 1, due now
+        const key = this.getKey(word);
+        const card = cards[key] || { box: 1, due: now, correct: 0, incorrect: 0 };
+
+        if (!isCorrect) {
+            card.box = 1;
+            card.incorrect++;
+            card.due = now + ReviewScheduler.BOXES[0].interval;
+        } else {
+            card.correct++;
+            if (this.isDue(card, now)) {
+                card.box = Math.min(card.box + 1, ReviewScheduler.BOXES.length);
+                card.due = now + ReviewScheduler.BOXES[card.box - 1].interval;
+            }
+        }
+
+        card.lastSeen = now;
+        cards[key] = card;
+        return card;
+    }
+
+    /**
+     * Feed an exercise's answers into the schedule and save
+     * @param {Array} answers - Answer records with `word` and `isCorrect`
+     * @returns {number} How many answers were scheduled
+     */
+    recordAnswers(answers, now = Date.now()) {
+        let recorded = 0;
+        (answers || []).forEach(answer => {
+            if (answer && answer.word && this.recordAnswer(answer.word, !!answer.isCorrect, now)) {
+                recorded++;
+            }
+        });
+
+        if (recorded > 0) {
+            this.scoreManager.saveUserData();
+        }
+        return recorded;
+    }
+
+    /**
+     * Check whether a word was missed and is waiting to be asked again
+     */
+    wasMissed(word, now = Date.now()) {
+        const card = this.getCard(word);
+        return !!card && card.box === 1 && card.incorrect > 0 && this.isDue(card, now);
+    }
+
+    /**
+     * Get the selection weight multiplier for a word
+     * Unseen words weigh 1; due words weigh more the lower their box; words that aren't due yet
+     * weigh less, and words in the top box fade out almost entirely.
+     */
+    getWeight(word, now = Date.now()) {
+        const card = this.getCard(word);
+        if (!card) {
+            return 1;
+        }
+
+        if (this.isDue(card, now)) {
+            return ReviewScheduler.BOXES[card.box - 1].dueWeight;
+        }
+        return card.box >= ReviewScheduler.BOXES.length
+            ? ReviewScheduler.MASTERED_WEIGHT
+            : ReviewScheduler.NOT_DUE_WEIGHT;
+    }
+
+    /**
+     * Get the words due for review, lowest box first
+     */
+    getDueWords(now = Date.now()) {
+        const cards = this.scoreManager.getReviewState() || {};
+        return Object.keys(cards)
+            .filter(key => this.isDue(cards[key], now))
+            .sort((a, b) => cards[a].box - cards[b].box || cards[a].due - cards[b].due);
+    }
+}
+
+ReviewScheduler.DAY = 24 * 60 * 60 * 1000;
+
+// Leitner boxes: how long a word waits after reaching the box, and its selection weight once due
+ReviewScheduler.BOXES = [
+    { interval: 0, dueWeight: 4 },
+    { interval: ReviewScheduler.DAY, dueWeight: 3 },
+    { interval: 3 * ReviewScheduler.DAY, dueWeight: 2 },
+    { interval: 7 * ReviewScheduler.DAY, dueWeight: 1.5 },
+    { interval: 21 * ReviewScheduler.DAY, dueWeight: 1 }
+];
+
+ReviewScheduler.NOT_DUE_WEIGHT = 0.25;
+ReviewScheduler.MASTERED_WEIGHT = 0.1;
+
+// Export for use in other modules
+window.ReviewScheduler = ReviewScheduler;
@@ -5,38 +5,231 @@
 class ScoreManager {
     constructor() {
         this.storageKeyPrefix = 'learningModuleData_';
+        this.backupKeyPrefix = 'learningModuleBackup_';
         this.currentUsername = null;
         this.userData = null;
+        this.currentModuleId = ScoreManager.DEFAULT_MODULE_ID;
+        this.moduleExerciseTypes = ScoreManager.DEFAULT_EXERCISES;
+        this.unlockRules = null;
+        this.proficiencyModel = null;
     }
 
     /**
-     * Validate username (alphanumeric only)
+     * Validate username (alphanumeric, 3-50 characters), by the same rule APIClient checks before sending it
      */
     validateUsername(username) {
-        return username && /^[a-zA-Z0-9]+$/.test(username);
+        return this.getUsernameError(username) === null;
+    }
+
+    /**
+     * Get why a username is refused, for the student, or null if it is valid
+     */
+    getUsernameError(username) {
+        const validation = InputValidator.validateUsername(username);
+        if (!validation.isValid) {
+            return validation.error;
+        }
+        return validation.value === username ? null : 'Username must contain only letters and numbers';
     }
 
     /**
      * Load user data from localStorage for a specific username
+     * Older records are upgraded to the current storage version (see StorageMigrations) and saved
+     * back. A record that can't be read is copied to a backup key and treated as missing.
      */
     loadUserData(username) {
         if (!username) return null;
         
         const storageKey = this.storageKeyPrefix + username;
         const stored = localStorage.getItem(storageKey);
-        if (stored) {
-            return JSON.parse(stored);
+        if (!stored) {
+            return null;
+        }
+
+        try {
+            const { data, fromVersion, migrated } = StorageMigrations.migrate(JSON.parse(stored));
+            if (migrated) {
+                localStorage.setItem(storageKey, JSON.stringify(data));
+                console.log(`Upgraded saved data for ${username} from version ${fromVersion}`);
+            }
+            return data;
+        } catch (error) {
+            console.error(`Saved data for ${username} could not be read:`, error);
+            this.backupUnreadableData(username, stored, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a copy of saved data that couldn't be read, so it can be recovered by hand
+     * The same data is only backed up once, however many times it fails to load.
+     * @returns {string} The backup's storage key
+     */
+    backupUnreadableData(username, stored, reason) {
+        const existing = this.getDataBackups(username).find(backup => backup.data === stored);
+        if (existing) {
+            return existing.key;
         }
-        return null;
+
+        const key = `${this.backupKeyPrefix}${username}_${Date.now()}`;
+        localStorage.setItem(key, JSON.stringify({
+            username,
+            reason,
+            savedAt: new Date().toISOString(),
+            data: stored
+        }));
+        console.warn(`Saved data for ${username} was backed up to ${key}`);
+        return key;
     }
 
     /**
-     * Save user data to localStorage
+     * Get the backups of unreadable data kept for a user, oldest first
+     * @returns {Array<{key: string, reason: string, savedAt: string, data: string}>}
+     */
+    getDataBackups(username) {
+        const prefix = `${this.backupKeyPrefix}${username}_`;
+        const backups = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                try {
+                    backups.push({ key, ...JSON.parse(localStorage.getItem(key)) });
+                } catch (error) {
+                    console.warn(`Skipping unreadable backup ${key}`);
+                }
+            }
+        }
+        return backups.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Set the curriculum module that scores are recorded against
+     * @param {string} moduleId - Module id from the curriculum index
+     * @param {Array<string>} exerciseTypes - Exercises the module declares, in unlock order
+     * @param {UnlockRules} unlockRules - The module's unlock rules (defaults to the standard rules for exerciseTypes)
+     */
+    setModule(moduleId, exerciseTypes = ScoreManager.DEFAULT_EXERCISES, unlockRules = null) {
+        this.currentModuleId = moduleId;
+        this.moduleExerciseTypes = exerciseTypes;
+        this.unlockRules = unlockRules;
+
+        if (this.userData) {
+            this.ensureModuleProgress();
+            this.userData.currentModule = moduleId;
+            this.applyEarnedUnlocks();
+            this.saveUserData();
+        }
+    }
+
+    /**
+     * Re-check the scores already recorded for the current module against its unlock rules
+     * Picks up unlocks earned under older rules, e.g. after an exercise became optional.
+     * @returns {Array<string>} Exercises that were newly unlocked
+     */
+    applyEarnedUnlocks() {
+        const exercises = this.getModuleExercises();
+        if (!exercises) {
+            return [];
+        }
+
+        const unlocked = [];
+        Object.entries(exercises).forEach(([exerciseType, exercise]) => {
+            Object.entries(exercise.scores).forEach(([difficultyKey, difficultyScores]) => {
+                const difficulty = difficultyKey.replace('difficulty_', '');
+                unlocked.push(...this.checkUnlockConditions(exerciseType, difficulty,
+                    difficultyScores.highest.percentage));
+            });
+        });
+        return unlocked;
+    }
+
+    /**
+     * Get the unlock rules for the current module
+     * @returns {UnlockRules}
+     */
+    getUnlockRules() {
+        if (!this.unlockRules) {
+            this.unlockRules = UnlockRules.fromModule({ exercises: this.moduleExerciseTypes });
+        }
+        return this.unlockRules;
+    }
+
+    /**
+     * Get the current module id
+     */
+    getCurrentModuleId() {
+        return this.currentModuleId;
+    }
+
+    /**
+     * Create the progress record for the current module if it doesn't exist yet
+     */
+    ensureModuleProgress() {
+        if (!this.userData.modules) {
+            this.userData.modules = {};
+        }
+
+        let progress = this.userData.modules[this.currentModuleId];
+        if (!progress) {
+            progress = { exercises: {} };
+            this.userData.modules[this.currentModuleId] = progress;
+        }
+
+        // The first exercise of a module starts unlocked
+        this.moduleExerciseTypes.forEach((exerciseType, index) => {
+            if (!progress.exercises[exerciseType]) {
+                progress.exercises[exerciseType] = {
+                    unlocked: index === 0,
+                    scores: {}
+                };
+            }
+        });
+
+        return progress;
+    }
+
+    /**
+     * Get the exercises map for a module (defaults to the current module)
+     */
+    getModuleExercises(moduleId = this.currentModuleId) {
+        const progress = this.getModuleProgress(moduleId);
+        return progress ? progress.exercises : null;
+    }
+
+    /**
+     * Get the whole progress record for a module (defaults to the current module)
+     */
+    getModuleProgress(moduleId = this.currentModuleId) {
+        if (!this.userData || !this.userData.modules || !this.userData.modules[moduleId]) {
+            return null;
+        }
+        return this.userData.modules[moduleId];
+    }
+
+    /**
+     * Get the spaced-repetition cards for a module (see ReviewScheduler), creating the map if needed
+     * @returns {Object|null} Cards keyed by lowercase word, or null without a user or module progress
+     */
+    getReviewState(moduleId = this.currentModuleId) {
+        const progress = this.getModuleProgress(moduleId);
+        if (!progress) {
+            return null;
+        }
+
+        if (!progress.review) {
+            progress.review = {};
+        }
+        return progress.review;
+    }
+
+    /**
+     * Save user data to localStorage, stamped with the current storage version
      */
     saveUserData() {
         if (!this.currentUsername) return;
         
         const storageKey = this.storageKeyPrefix + this.currentUsername;
+        this.userData.version = StorageMigrations.CURRENT_VERSION;
         localStorage.setItem(storageKey, JSON.stringify(this.userData));
     }
 
@@ -49,6 +242,7 @@ class ScoreManager {
 
     /**
      * Set current user and load their data
+     * Opening a profile counts as playing it (lastPlayedAt orders the profile picker).
      */
     setUser(username, backendProgress = null) {
         if (!this.validateUsername(username)) {
@@ -61,6 +255,10 @@ class ScoreManager {
         if (!this.userData) {
             // Create new user data
             this.createUser(username);
+        } else {
+            this.ensureModuleProgress();
+            this.userData.lastPlayedAt = new Date().toISOString();
+            this.saveUserData();
         }
         
         // Merge backend progress if provided
@@ -72,75 +270,44 @@ class ScoreManager {
     }
 
     /**
-     * Merge backend progress with local data
+     * Merge backend progress with the current module's local progress (see ProgressMerge)
+     * @param {Object} backendProgress - Progress from /api/session/init
+     * @param {Object} options
+     * @param {Object} options.unsynced - Results not yet sent to the backend, by exercise and difficulty
+     * @param {boolean} options.dryRun - Only report what the merge would change
+     * @returns {Array<Object>} Differences between the two copies (see ProgressMerge.mergeExercises)
      */
-    mergeBackendProgress(backendProgress) {
-        if (!this.userData) return;
-        
-        // Update unlock states from backend
-        for (const [exerciseType, progressData] of Object.entries(backendProgress)) {
-            if (this.userData.exercises[exerciseType]) {
-                this.userData.exercises[exerciseType].unlocked = progressData.unlocked;
-                
-                // Update scores if backend has better data
-                if (progressData.best_score && progressData.best_score.score > 0) {
-                    const difficultyKey = `difficulty_${progressData.best_score.difficulty}`;
-                    
-                    if (!this.userData.exercises[exerciseType].scores[difficultyKey]) {
-                        this.userData.exercises[exerciseType].scores[difficultyKey] = {
-                            highest: { score: 0, total: 0, percentage: 0, date: null },
-                            recent: { score: 0, total: 0, percentage: 0, date: null },
-                            attempts: 0
-                        };
-                    }
-                    
-                    // Backend data takes precedence
-                    const backendScore = progressData.best_score;
-                    this.userData.exercises[exerciseType].scores[difficultyKey].highest = {
-                        score: backendScore.score,
-                        total: backendScore.total,
-                        percentage: backendScore.percentage,
-                        date: new Date().toISOString()
-                    };
-                    this.userData.exercises[exerciseType].scores[difficultyKey].attempts = progressData.attempts;
-                }
-            }
+    mergeBackendProgress(backendProgress, { unsynced = {}, dryRun = false } = {}) {
+        const exercises = this.getModuleExercises();
+        if (!exercises) {
+            return [];
         }
         
-        this.saveUserData();
+        const changes = ProgressMerge.mergeExercises(exercises, ProgressMerge.fromBackend(backendProgress),
+            { unsynced, dryRun });
+        if (!dryRun) {
+            this.saveUserData();
+        }
+        return changes;
     }
 
     /**
      * Create a new user
      */
     createUser(username) {
+        const now = new Date().toISOString();
         this.userData = {
+            version: StorageMigrations.CURRENT_VERSION,
             name: username,
             studentId: username,  // Username is the student ID
-            createdAt: new Date().toISOString(),
-            exercises: {
-                multiple_choice: {
-                    unlocked: true,
-                    scores: {}
-                },
-                fill_in_the_blank: {
-                    unlocked: false,
-                    scores: {}
-                },
-                spelling: {
-                    unlocked: false,
-                    scores: {}
-                },
-                bubble_pop: {
-                    unlocked: false,
-                    scores: {}
-                },
-                fluent_reading: {
-                    unlocked: false,  // Fluent Reading is locked initially
-                    scores: {}
-                }
-            }
+            createdAt: now,
+            lastPlayedAt: now,
+            profile: { avatar: null, picturePassword: null },
+            currentModule: this.currentModuleId,
+            modules: {},
+            attempts: []
         };
+        this.ensureModuleProgress();
         this.saveUserData();
         return this.userData;
     }
@@ -158,12 +325,18 @@ class ScoreManager {
 
     /**
      * Record a score for an exercise
+     * @returns {Array<string>} Exercises this score unlocked
      */
     recordScore(exerciseType, difficulty, score, total) {
-        if (!this.userData) return;
+        const exercises = this.getModuleExercises();
+        if (!exercises) {
+            return [];
+        }
 
-        const exercise = this.userData.exercises[exerciseType];
-        if (!exercise) return;
+        const exercise = exercises[exerciseType];
+        if (!exercise) {
+            return [];
+        }
 
         const difficultyKey = `difficulty_${difficulty}`;
         
@@ -200,61 +373,79 @@ class ScoreManager {
         exercise.scores[difficultyKey].attempts++;
 
         // Check if we should unlock the next exercise
-        this.checkUnlockConditions(exerciseType, difficulty, percentage);
+        const unlocked = this.checkUnlockConditions(exerciseType, difficulty, percentage);
 
         this.saveUserData();
+        return unlocked;
     }
 
     /**
-     * Check if we should unlock the next exercise
+     * Use a ProficiencyModel for the unlock rules' skill_mastery rule
+     * @param {ProficiencyModel|null} proficiencyModel
+     */
+    setProficiencyModel(proficiencyModel) {
+        this.proficiencyModel = proficiencyModel;
+    }
+
+    /**
+     * Unlock the exercises a result earns under the module's unlock rules
+     * @returns {Array<string>} Exercises that were newly unlocked
      */
     checkUnlockConditions(exerciseType, difficulty, percentage) {
-        // Only unlock next exercise if:
-        // 1. Score is 80% or higher
-        // 2. Difficulty is "hard" (5 for multiple choice, "moderate" for fill-in-blank, "hard" for others)
-        const isHardDifficulty = 
-            (exerciseType === 'multiple_choice' && difficulty === '5') ||
-            (exerciseType === 'fill_in_the_blank' && difficulty === 'moderate') ||
-            (exerciseType === 'spelling' && difficulty === 'hard') ||
-            (exerciseType === 'bubble_pop' && difficulty === 'hard');
-        
-        if (percentage >= 80 && isHardDifficulty) {
-            const exerciseOrder = [
-                'multiple_choice',
-                'fill_in_the_blank',
-                'spelling',
-                'bubble_pop',
-                'fluent_reading'  // Fluent Reading is unlocked after Bubble Pop
-            ];
-            
-            const currentIndex = exerciseOrder.indexOf(exerciseType);
-            if (currentIndex !== -1 && currentIndex < exerciseOrder.length - 1) {
-                const nextExercise = exerciseOrder[currentIndex + 1];
-                if (this.userData.exercises[nextExercise]) {
-                    this.userData.exercises[nextExercise].unlocked = true;
-                }
-            }
+        return this.getUnlockRules()
+            .getExercisesToUnlock(exerciseType, difficulty, percentage, this.isSkillMastered(exerciseType))
+            .filter(nextExercise => this.unlockExercise(nextExercise));
+    }
+
+    /**
+     * Check whether the proficiency model says the skill an exercise practices is mastered
+     */
+    isSkillMastered(exerciseType) {
+        if (!this.proficiencyModel) {
+            return false;
         }
+
+        const skill = ProficiencyModel.EXERCISE_SKILLS[exerciseType];
+        return !!skill && this.proficiencyModel.isSkillMastered(skill);
+    }
+
+    /**
+     * Unlock an exercise (does nothing if it is already unlocked)
+     * @returns {boolean} True if the exercise was locked before
+     */
+    unlockExercise(exerciseType) {
+        const exercises = this.getModuleExercises();
+        if (!exercises || !exercises[exerciseType] || exercises[exerciseType].unlocked) {
+            return false;
+        }
+
+        exercises[exerciseType].unlocked = true;
+        this.saveUserData();
+        return true;
     }
 
     /**
      * Get scores for an exercise
      */
-    getExerciseScores(exerciseType) {
-        if (!this.userData || !this.userData.exercises[exerciseType]) {
+    getExerciseScores(exerciseType, moduleId = this.currentModuleId) {
+        const exercises = this.getModuleExercises(moduleId);
+        if (!exercises || !exercises[exerciseType]) {
             return null;
         }
-        return this.userData.exercises[exerciseType].scores;
+        return exercises[exerciseType].scores;
     }
 
     /**
      * Get all exercise statuses
      */
     getExerciseStatuses() {
-        if (!this.userData) return {};
+        const exercises = this.getModuleExercises();
+        if (!exercises) {
+            return {};
+        }
         
         const statuses = {};
-        for (const [key, exercise] of Object.entries(this.userData.exercises)) {
+        for (const [key, exercise] of Object.entries(exercises)) {
             statuses[key] = {
                 unlocked: exercise.unlocked,
                 hasScores: Object.keys(exercise.scores).length > 0,
@@ -268,10 +459,11 @@ class ScoreManager {
      * Check if an exercise is unlocked
      */
     isExerciseUnlocked(exerciseType) {
-        if (!this.userData || !this.userData.exercises[exerciseType]) {
+        const exercises = this.getModuleExercises();
+        if (!exercises || !exercises[exerciseType]) {
             return false;
         }
-        return this.userData.exercises[exerciseType].unlocked;
+        return exercises[exerciseType].unlocked;
     }
 
     /**
@@ -305,23 +497,27 @@ class ScoreManager {
      * Toggle lock status for an exercise (dev mode only)
      */
     toggleExerciseLock(exerciseType) {
-        if (!this.userData || !this.userData.exercises[exerciseType]) {
+        const exercises = this.getModuleExercises();
+        if (!exercises || !exercises[exerciseType]) {
             return false;
         }
         
-        this.userData.exercises[exerciseType].unlocked = !this.userData.exercises[exerciseType].unlocked;
+        exercises[exerciseType].unlocked = !exercises[exerciseType].unlocked;
         this.saveUserData();
-        return this.userData.exercises[exerciseType].unlocked;
+        return exercises[exerciseType].unlocked;
     }
 
     /**
      * Unlock all exercises (dev mode only)
      */
     unlockAllExercises() {
-        if (!this.userData) return;
+        const exercises = this.getModuleExercises();
+        if (!exercises) {
+            return;
+        }
         
-        Object.keys(this.userData.exercises).forEach(exerciseType => {
-            this.userData.exercises[exerciseType].unlocked = true;
+        Object.keys(exercises).forEach(exerciseType => {
+            exercises[exerciseType].unlocked = true;
         });
         
         this.saveUserData();
@@ -330,8 +526,8 @@ class ScoreManager {
     /**
      * Get best score across all difficulties for an exercise
      */
-    getBestScoreForExercise(exerciseType) {
-        const scores = this.getExerciseScores(exerciseType);
+    getBestScoreForExercise(exerciseType, moduleId = this.currentModuleId) {
+        const scores = this.getExerciseScores(exerciseType, moduleId);
         if (!scores) return null;
 
         let bestScore = null;
@@ -360,6 +556,282 @@ class ScoreManager {
         };
     }
 
+    /**
+     * Get how well a module has been mastered (0-1): the mean best score over its required exercises,
+     * counting only scores on the difficulty its unlock rules require (easier settings earn nothing).
+     * Per-exercise thresholds are left out on purpose: a dependency's own "mastery" is the bar for
+     * this mean, and partial credit lets the module map show progress before anything is passed.
+     * @param {string} moduleId - Module id
+     * @param {Array<string>} exerciseTypes - Exercises the module declares
+     * @param {Array<string>} optionalExercises - Exercises that don't count towards mastery
+     * @param {UnlockRules} unlockRules - The module's unlock rules (defaults when omitted)
+     */
+    getModuleMastery(moduleId, exerciseTypes, optionalExercises = [], unlockRules = null) {
+        const required = exerciseTypes.filter(exerciseType => !optionalExercises.includes(exerciseType));
+        if (!this.getModuleExercises(moduleId) || required.length === 0) {
+            return 0;
+        }
+        const rules = unlockRules ||
+            UnlockRules.fromModule({ exercises: exerciseTypes, optional_exercises: optionalExercises });
+
+        const total = required.reduce((sum, exerciseType) => {
+            const scores = this.getExerciseScores(exerciseType, moduleId) || {};
+            const best = Object.entries(scores)
+                .filter(([difficultyKey, difficultyScores]) => !!difficultyScores.highest &&
+                    rules.isRequiredDifficulty(exerciseType, difficultyKey.replace('difficulty_', '')))
+                .reduce((highest, [, difficultyScores]) => Math.max(highest, difficultyScores.highest.percentage), 0);
+            return sum + best;
+        }, 0);
+
+        return total / required.length / 100;
+    }
+
+    /**
+     * Get the dependencies of a module the student hasn't mastered yet
+     * @param {Object} module - Module summary from CurriculumManager.getAvailableModules()
+     */
+    getUnmetDependencies(module) {
+        return module.dependencies.filter(dependency =>
+            this.getModuleMastery(dependency.moduleId, dependency.exercises, dependency.optionalExercises,
+                dependency.unlockRules) < dependency.mastery
+        );
+    }
+
+    /**
+     * Get a module's state in the prerequisite graph
+     * @param {Object} module - Module summary from CurriculumManager.getAvailableModules()
+     * @returns {string} 'locked', 'unlocked' or 'completed'
+     */
+    getModuleStatus(module) {
+        if (this.getUnmetDependencies(module).length > 0) {
+            return 'locked';
+        }
+        if (this.isModuleCompleted(module)) {
+            return 'completed';
+        }
+        return 'unlocked';
+    }
+
+    /**
+     * Check whether every required exercise of a module has been passed under its unlock rules
+     * (see UnlockRules.isPassed): the same test that unlocks the exercise after it
+     * @param {Object} module - Module summary from CurriculumManager.getAvailableModules()
+     */
+    isModuleCompleted(module) {
+        const optionalExercises = module.optionalExercises || [];
+        const required = module.exercises.filter(exerciseType => !optionalExercises.includes(exerciseType));
+        const rules = module.unlockRules ||
+            UnlockRules.fromModule({ exercises: module.exercises, optional_exercises: optionalExercises });
+        if (required.length === 0) {
+            return false;
+        }
+
+        return required.every(exerciseType => {
+            // The proficiency model only tracks the current module
+            const mastered = module.id === this.currentModuleId && this.isSkillMastered(exerciseType);
+            const scores = this.getExerciseScores(exerciseType, module.id) || {};
+            return Object.entries(scores).some(([difficultyKey, difficultyScores]) =>
+                !!difficultyScores.highest && rules.isPassed(exerciseType,
+                    difficultyKey.replace('difficulty_', ''), difficultyScores.highest.percentage, mastered)
+            );
+        });
+    }
+
+    /**
+     * Record that the current module has been completed
+     * @returns {boolean} True the first time, so the completion screen is only shown once
+     */
+    markModuleCompleted() {
+        const progress = this.getModuleProgress();
+        if (!progress || progress.completedAt) {
+            return false;
+        }
+
+        progress.completedAt = new Date().toISOString();
+        this.saveUserData();
+        return true;
+    }
+
+    /**
+     * Get when a module was first completed (ISO date), or null
+     */
+    getModuleCompletedAt(moduleId = this.currentModuleId) {
+        const progress = this.getModuleProgress(moduleId);
+        return progress && progress.completedAt ? progress.completedAt : null;
+    }
+
+    /**
+     * Export a student's complete saved data (scores, unlocks, attempt history, review and
+     * proficiency state, profile) as a file that importUserData can read back
+     * @param {string} username - Student to export (defaults to the current student)
+     * @returns {{fileName: string, content: string}}
+     * @throws {Error} If the student has no saved data
+     */
+    exportUserData(username = this.currentUsername) {
+        const data = username === this.currentUsername ? this.userData : this.loadUserData(username);
+        if (!data) {
+            throw new Error(`There is no saved progress for ${username}`);
+        }
+
+        const exportedAt = new Date().toISOString();
+        const file = {
+            format: ScoreManager.EXPORT_FORMAT,
+            exportedAt,
+            username,
+            checksum: ScoreManager.checksum(JSON.stringify(data)),
+            data
+        };
+        return {
+            fileName: `${username}-progress-${exportedAt.slice(0, 10)}.json`,
+            content: JSON.stringify(file, null, 2)
+        };
+    }
+
+    /**
+     * Read and check an exported progress file, upgrading its data to the current storage version
+     * @param {string} content - File contents
+     * @returns {{username: string, exportedAt: string, data: Object}}
+     * @throws {Error} If the file isn't a progress file, is damaged or edited, or is from a newer version
+     */
+    readExportFile(content) {
+        let file;
+        try {
+            file = JSON.parse(content);
+        } catch (error) {
+            throw new Error('This file is not a progress file');
+        }
+
+        if (!file || file.format !== ScoreManager.EXPORT_FORMAT || !file.data) {
+            throw new Error('This file is not a progress file');
+        }
+        if (!this.validateUsername(file.username)) {
+            throw new Error('This progress file has an invalid username');
+        }
+        if (file.checksum !== ScoreManager.checksum(JSON.stringify(file.data))) {
+            throw new Error('This progress file is damaged or has been edited, so it was not loaded');
+        }
+
+        return {
+            username: file.username,
+            exportedAt: file.exportedAt,
+            data: StorageMigrations.migrate(file.data).data
+        };
+    }
+
+    /**
+     * Import an exported progress file
+     * @param {string} content - File contents
+     * @param {string} resolution - If the student already has data on this device: 'merge' to
+     *     combine both (see mergeUserData) or 'replace' to use the file's data
+     * @returns {{username: string, resolution: string}} resolution is 'new' if the student was added
+     * @throws {Error} If the file can't be read (see readExportFile) or the resolution is unknown
+     */
+    importUserData(content, resolution = 'merge') {
+        if (!['merge', 'replace'].includes(resolution)) {
+            throw new Error(`Unknown import resolution: ${resolution}`);
+        }
+
+        const { username, data } = this.readExportFile(content);
+        const existing = username === this.currentUsername && this.userData ?
+            this.userData : this.loadUserData(username);
+        const imported = existing && resolution === 'merge' ? ScoreManager.mergeUserData(existing, data) : data;
+
+        imported.version = StorageMigrations.CURRENT_VERSION;
+        localStorage.setItem(this.storageKeyPrefix + username, JSON.stringify(imported));
+        if (username === this.currentUsername) {
+            this.userData = imported;
+            this.ensureModuleProgress();
+            this.applyEarnedUnlocks();
+            this.saveUserData();
+        }
+
+        console.log(`[BREADCRUMB][IMPORT] Imported progress for ${username} (${existing ? resolution : 'new'})`);
+        return { username, resolution: existing ? resolution : 'new' };
+    }
+
+    /**
+     * Combine two copies of a student's data, e.g. from two devices
+     * Both copies usually share some history (one was imported from the other), so counts can't be
+     * added: attempt logs are joined by attempt id, and per-difficulty attempt counts take the larger.
+     * @param {Object} local - This device's data (its profile and name are kept)
+     * @param {Object} imported - The other copy
+     * @returns {Object} The combined data (neither input is changed)
+     */
+    static mergeUserData(local, imported) {
+        const merged = JSON.parse(JSON.stringify(local));
+        const other = JSON.parse(JSON.stringify(imported));
+
+        merged.modules = merged.modules || {};
+        Object.entries(other.modules || {}).forEach(([moduleId, progress]) => {
+            merged.modules[moduleId] = merged.modules[moduleId] ?
+                ScoreManager.mergeModuleProgress(merged.modules[moduleId], progress) : progress;
+        });
+
+        const attempts = {};
+        [...(merged.attempts || []), ...(other.attempts || [])].forEach(attempt => {
+            attempts[attempt.id] = attempts[attempt.id] || attempt;
+        });
+        merged.attempts = Object.values(attempts).sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+        // Two copies within the limits can together exceed them
+        AttemptLog.prune(merged.attempts);
+
+        // Carry on in the module of whichever copy was played last
+        if (other.currentModule && ProgressMerge.isLater(other.lastPlayedAt, merged.lastPlayedAt)) {
+            merged.currentModule = other.currentModule;
+            merged.lastPlayedAt = other.lastPlayedAt;
+        }
+        merged.createdAt = ProgressMerge.earliest(merged.createdAt, other.createdAt);
+        return merged;
+    }
+
+    /**
+     * Combine two copies of one module's progress (see mergeUserData)
+     */
+    static mergeModuleProgress(local, imported) {
+        const exercises = local.exercises = local.exercises || {};
+        Object.entries(imported.exercises || {}).forEach(([exerciseType, exercise]) => {
+            exercises[exerciseType] = exercises[exerciseType] || exercise;
+        });
+        ProgressMerge.mergeExercises(exercises, imported.exercises || {});
+
+        // Review cards and proficiency beliefs: keep whichever copy saw more answers
+        const answers = card => card.correct + card.incorrect;
+        local.review = local.review || {};
+        Object.entries(imported.review || {}).forEach(([word, card]) => {
+            if (!local.review[word] || answers(card) > answers(local.review[word])) {
+                local.review[word] = card;
+            }
+        });
+
+        const evidence = belief => belief.alpha + belief.beta;
+        local.proficiency = local.proficiency || {};
+        Object.entries(imported.proficiency || {}).forEach(([word, skills]) => {
+            const target = local.proficiency[word] = local.proficiency[word] || {};
+            Object.entries(skills).forEach(([skill, belief]) => {
+                if (!target[skill] || evidence(belief) > evidence(target[skill])) {
+                    target[skill] = belief;
+                }
+            });
+        });
+
+        local.completedAt = ProgressMerge.earliest(local.completedAt, imported.completedAt);
+        return local;
+    }
+
+    /**
+     * Checksum for exported files (32-bit FNV-1a)
+     * Catches files that were damaged or edited by hand; it is not a signature and doesn't stop
+     * deliberate tampering.
+     */
+    static checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `fnv1a32:${hash.toString(16).padStart(8, '0')}`;
+    }
+
     /**
      * Get formatted score display
      */
@@ -384,5 +856,18 @@ class ScoreManager {
     }
 }
 
+// Module selected when a student has no saved module
+ScoreManager.DEFAULT_MODULE_ID = 'r003.1';
+ScoreManager.DEFAULT_EXERCISES = [
+    'multiple_choice',
+    'fill_in_the_blank',
+    'spelling',
+    'bubble_pop',
+    'fluent_reading'
+];
+
+// Identifies exported progress files (see exportUserData)
+ScoreManager.EXPORT_FORMAT = 'learning-module-progress/1';
+
 // Export for use in other modules
 window.ScoreManager = ScoreManager;
@@ -0,0 +1,156 @@
+/**
+ * Storage Migrations Module - Upgrades saved student data to the current storage version
+ *
+ * ScoreManager stamps every record it saves with a `version`. Records saved by older versions of
+ * the app are passed through each migration step newer than their version, in order, when they
+ * are loaded. Records without a version predate versioning and start at 0.
+ *
+ * To change the shape of saved data, add a step to StorageMigrations.STEPS with the next version
+ * number. Steps must not depend on other modules' current constants: a step describes how data
+ * looked when it was written, which later code changes must not alter.
+ */
+
+class StorageMigrations {
+    /**
+     * Upgrade a saved record to the current version
+     * @param {Object} data - Parsed record from localStorage
+     * @returns {{data: Object, fromVersion: number, migrated: boolean}}
+     * @throws {Error} If the record isn't an object, is from a newer version, or a step fails
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Saved data is not an object');
+        }
+
+        const fromVersion = StorageMigrations.getVersion(data);
+        if (fromVersion > StorageMigrations.CURRENT_VERSION) {
+            throw new Error(`Saved data is from a newer version (${fromVersion}) ` +
+                `than this app supports (${StorageMigrations.CURRENT_VERSION})`);
+        }
+
+        let migrated = data;
+        StorageMigrations.STEPS
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                migrated = step.migrate(migrated);
+                migrated.version = step.version;
+                console.log(`Migrated saved data to version ${step.version}: ${step.description}`);
+            });
+
+        return {
+            data: migrated,
+            fromVersion,
+            migrated: fromVersion < StorageMigrations.CURRENT_VERSION
+        };
+    }
+
+    /**
+     * Get a record's storage version (0 if it predates versioning)
+     */
+    static getVersion(data) {
+        return typeof data.version === 'number' ? data.version : 0;
+    }
+
+    /**
+     * Version 1: progress saved before modules were tracked separately kept a single exercises map
+     */
+    static moveExercisesUnderModule(data) {
+        if (data.exercises && !data.modules) {
+            data.modules = { [StorageMigrations.LEGACY_MODULE_ID]: { exercises: data.exercises } };
+            data.currentModule = StorageMigrations.LEGACY_MODULE_ID;
+            delete data.exercises;
+        }
+        if (!data.modules) {
+            data.modules = {};
+        }
+        return data;
+    }
+
+    /**
+     * Version 2: every score is stored under a `difficulty_<setting>` key with highest, recent and
+     * attempts. Bare setting keys get the prefix, and missing fields are filled in.
+     */
+    static normalizeScoreKeys(data) {
+        Object.values(data.modules).forEach(progress => {
+            Object.values((progress && progress.exercises) || {}).forEach(exercise => {
+                if (!exercise || typeof exercise !== 'object') {
+                    return;
+                }
+
+                const scores = {};
+                Object.entries(exercise.scores || {}).forEach(([key, difficultyScores]) => {
+                    const difficultyKey = key.startsWith('difficulty_') ? key : `difficulty_${key}`;
+                    const empty = { score: 0, total: 0, percentage: 0, date: null };
+                    scores[difficultyKey] = {
+                        highest: { ...empty, ...(difficultyScores && difficultyScores.highest) },
+                        recent: { ...empty, ...(difficultyScores && difficultyScores.recent) },
+                        attempts: (difficultyScores && difficultyScores.attempts) || 0
+                    };
+                });
+                exercise.scores = scores;
+                exercise.unlocked = !!exercise.unlocked;
+            });
+        });
+        return data;
+    }
+
+    /**
+     * Version 3: every attempt is logged in `attempts` (see AttemptLog). History from before the
+     * log can't be rebuilt, so it starts empty.
+     */
+    static startAttemptLog(data) {
+        if (!Array.isArray(data.attempts)) {
+            data.attempts = [];
+        }
+        return data;
+    }
+
+    /**
+     * Version 4: several students share a device, so each record carries a profile (avatar and
+     * picture password, both unset) and the time it was last played, taken from the latest
+     * logged attempt or else the creation time
+     */
+    static addProfile(data) {
+        if (!data.profile || typeof data.profile !== 'object') {
+            data.profile = { avatar: null, picturePassword: null };
+        }
+        if (!data.lastPlayedAt) {
+            const attempts = Array.isArray(data.attempts) ? data.attempts : [];
+            const lastAttempt = attempts[attempts.length - 1];
+            data.lastPlayedAt = (lastAttempt && lastAttempt.completedAt) || data.createdAt || null;
+        }
+        return data;
+    }
+}
+
+// The only module there was before progress was kept per module
+StorageMigrations.LEGACY_MODULE_ID = 'r003.1';
+
+// Migration steps, oldest first
+StorageMigrations.STEPS = [
+    {
+        version: 1,
+        description: 'Move single-module progress under modules',
+        migrate: data => StorageMigrations.moveExercisesUnderModule(data)
+    },
+    {
+        version: 2,
+        description: 'Prefix difficulty keys and fill in missing score fields',
+        migrate: data => StorageMigrations.normalizeScoreKeys(data)
+    },
+    {
+        version: 3,
+        description: 'Start the attempt log',
+        migrate: data => StorageMigrations.startAttemptLog(data)
+    },
+    {
+        version: 4,
+        description: 'Add the profile and last played time',
+        migrate: data => StorageMigrations.addProfile(data)
+    }
+];
+
+StorageMigrations.CURRENT_VERSION = StorageMigrations.STEPS[StorageMigrations.STEPS.length - 1].version;
+
+// Export for use in other modules
+window.StorageMigrations = StorageMigrations;
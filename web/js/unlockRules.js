@@ -0,0 +1,168 @@
+/**
+ * Unlock Rules Module - Decides when finishing an exercise unlocks the next one
+ *
+ * Rules come from the module's "unlock_rules" field:
+ *   {
+ *     "order": ["multiple_choice", "fill_in_the_blank", ...],   // defaults to "exercises"
+ *     "threshold": 0.8,                                          // score (0-1) needed to unlock
+ *     "thresholds": {"fluent_reading": 0.7},                     // per-exercise overrides
+ *     "required_difficulty": {"multiple_choice": "5", ...},      // setting the score must be on
+ *     "skill_mastery": true                                      // see below; defaults to false
+ *   }
+ * Exercises listed in the module's "optional_exercises" unlock as usual but never block the ones after them.
+ * With skill_mastery, an attempt on the required difficulty also passes an exercise, whatever its
+ * score, once the proficiency model is confident the student has mastered the skill it practices.
+ * ScoreManager, SessionManager and the exercise cards all ask the same UnlockRules instance.
+ */
+
+class UnlockRules {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.order - Exercises in unlock order
+     * @param {number} options.threshold - Default score (0-1) needed to unlock the next exercise
+     * @param {Object} options.thresholds - Per-exercise thresholds
+     * @param {Object} options.requiredDifficulty - Difficulty setting each exercise must be passed on
+     * @param {Array<string>} options.optional - Exercises the module marks as optional
+     * @param {boolean} options.skillMastery - Mastering an exercise's skill passes it too
+     */
+    constructor({ order, threshold, thresholds, requiredDifficulty, optional, skillMastery = false }) {
+        this.order = order;
+        this.threshold = threshold;
+        this.thresholds = thresholds;
+        this.requiredDifficulty = requiredDifficulty;
+        this.optional = optional;
+        this.skillMastery = skillMastery;
+    }
+
+    /**
+     * Build the rules for a module, filling anything unlock_rules leaves out with the defaults
+     * @param {Object} moduleData - Module JSON (or just { exercises })
+     * @returns {UnlockRules}
+     */
+    static fromModule(moduleData = {}) {
+        const rules = moduleData.unlock_rules || {};
+        const exercises = Array.isArray(moduleData.exercises) ? moduleData.exercises : UnlockRules.DEFAULT_ORDER;
+
+        return new UnlockRules({
+            order: Array.isArray(rules.order) ? rules.order : exercises,
+            threshold: typeof rules.threshold === 'number' ? rules.threshold : UnlockRules.DEFAULT_THRESHOLD,
+            thresholds: rules.thresholds || {},
+            requiredDifficulty: { ...UnlockRules.DEFAULT_REQUIRED_DIFFICULTY, ...(rules.required_difficulty || {}) },
+            optional: Array.isArray(moduleData.optional_exercises) ? moduleData.optional_exercises : [],
+            skillMastery: rules.skill_mastery === true
+        });
+    }
+
+    /**
+     * Get the score (0-1) an exercise needs to unlock the next one
+     */
+    getThreshold(exerciseType) {
+        const threshold = this.thresholds[exerciseType];
+        return typeof threshold === 'number' ? threshold : this.threshold;
+    }
+
+    /**
+     * Get the difficulty setting an exercise has to be passed on (null if any setting counts)
+     */
+    getRequiredDifficulty(exerciseType) {
+        const difficulty = this.requiredDifficulty[exerciseType];
+        return difficulty === undefined || difficulty === null ? null : String(difficulty);
+    }
+
+    /**
+     * Check whether a difficulty setting is the one an exercise must be passed on
+     */
+    isRequiredDifficulty(exerciseType, difficulty) {
+        const required = this.getRequiredDifficulty(exerciseType);
+        return required === null || required === String(difficulty);
+    }
+
+    /**
+     * Check whether a result passes an exercise
+     * @param {string} exerciseType - Exercise played
+     * @param {string|number} difficulty - Difficulty setting it was played on
+     * @param {number} percentage - Score (0-100)
+     */
+    meetsUnlockCondition(exerciseType, difficulty, percentage) {
+        return this.isRequiredDifficulty(exerciseType, difficulty) &&
+            percentage >= this.getThreshold(exerciseType) * 100;
+    }
+
+    /**
+     * Check whether an attempt passes an exercise, counting the skill_mastery rule
+     * @param {boolean} skillMastered - The proficiency model says the exercise's skill is mastered
+     */
+    isPassed(exerciseType, difficulty, percentage, skillMastered = false) {
+        if (this.skillMastery && skillMastered && this.isRequiredDifficulty(exerciseType, difficulty)) {
+            return true;
+        }
+        return this.meetsUnlockCondition(exerciseType, difficulty, percentage);
+    }
+
+    /**
+     * Get the exercise after this one in the unlock order
+     */
+    getNextExercise(exerciseType) {
+        const index = this.order.indexOf(exerciseType);
+        if (index === -1 || index >= this.order.length - 1) {
+            return null;
+        }
+        return this.order[index + 1];
+    }
+
+    /**
+     * Get the exercises a result unlocks (empty unless it passes, see isPassed)
+     */
+    getExercisesToUnlock(exerciseType, difficulty, percentage, skillMastered = false) {
+        if (!this.isPassed(exerciseType, difficulty, percentage, skillMastered)) {
+            return [];
+        }
+        return this.getUnlockChain(exerciseType);
+    }
+
+    /**
+     * Get the exercises passing this one opens up: the next exercise in the order, and while that
+     * one is optional, the ones after it too, so a student can skip optional exercises
+     */
+    getUnlockChain(exerciseType) {
+        const chain = [];
+        let next = this.getNextExercise(exerciseType);
+        while (next && !chain.includes(next)) {
+            chain.push(next);
+            if (!this.isOptional(next)) {
+                break;
+            }
+            next = this.getNextExercise(next);
+        }
+        return chain;
+    }
+
+    /**
+     * Check whether the module marks an exercise as optional
+     */
+    isOptional(exerciseType) {
+        return this.optional.includes(exerciseType);
+    }
+}
+
+UnlockRules.DEFAULT_ORDER = [
+    'multiple_choice',
+    'fill_in_the_blank',
+    'spelling',
+    'bubble_pop',
+    'fluent_reading'
+];
+
+UnlockRules.DEFAULT_THRESHOLD = 0.8;
+
+// The hardest setting of each exercise, used where a module doesn't say otherwise. Fluent Reading
+// has none: its setting is the reading speed (WPM), so any speed counts.
+UnlockRules.DEFAULT_REQUIRED_DIFFICULTY = {
+    multiple_choice: '5',
+    fill_in_the_blank: 'moderate',
+    spelling: 'hard',
+    bubble_pop: 'hard'
+};
+
+// Export for use in other modules
+window.UnlockRules = UnlockRules;
@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Validation for curriculum module files
+ * Runs in the browser when modules load and from Node (scripts/validate-curriculum.js)
+ * @module CurriculumValidator
+ */
+
+/**
+ * Checks a curriculum module against the structure the exercises rely on.
+ * Every problem is reported with the JSON path of the offending value.
+ */
+class CurriculumValidator {
+    /**
+     * Validate a whole module file
+     * @param {Object} moduleData - Parsed module JSON
+     * @returns {Object} { isValid, errors, warnings } where each issue is { path, message, severity }
+     */
+    static validate(moduleData) {
+        const issues = [];
+
+        if (!CurriculumValidator.isObject(moduleData)) {
+            issues.push(CurriculumValidator.error('$', 'Module must be a JSON object'));
+            return CurriculumValidator.buildResult(issues);
+        }
+
+        issues.push(...CurriculumValidator.validateMetadata(moduleData));
+
+        const content = moduleData.content;
+        if (!CurriculumValidator.isObject(content)) {
+            issues.push(CurriculumValidator.error('$.content', 'Missing content object'));
+            return CurriculumValidator.buildResult(issues);
+        }
+
+        if (!Array.isArray(content.vocabulary) || content.vocabulary.length === 0) {
+            issues.push(CurriculumValidator.error('$.content.vocabulary', 'Vocabulary must be a non-empty array'));
+        } else {
+            issues.push(...CurriculumValidator.validateVocabulary(content.vocabulary));
+        }
+
+        if (content.narrative === undefined) {
+            const needsNarrative = Array.isArray(moduleData.exercises) &&
+                moduleData.exercises.includes('fluent_reading');
+            issues.push(needsNarrative ?
+                CurriculumValidator.error('$.content.narrative', 'fluent_reading needs a narrative') :
+                CurriculumValidator.warning('$.content.narrative', 'No narrative'));
+        } else {
+            issues.push(...CurriculumValidator.validateNarrative(content.narrative));
+        }
+
+        return CurriculumValidator.buildResult(issues);
+    }
+
+    /**
+     * Validate the top-level module fields
+     * @private
+     */
+    static validateMetadata(moduleData) {
+        const issues = [];
+
+        if (typeof moduleData.id !== 'string' || moduleData.id.trim() === '') {
+            issues.push(CurriculumValidator.error('$.id', 'Module id must be a non-empty string'));
+        }
+
+        ['description', 'subject', 'goals'].forEach(field => {
+            if (typeof moduleData[field] !== 'string') {
+                issues.push(CurriculumValidator.warning(`$.${field}`, `Missing ${field}`));
+            }
+        });
+
+        issues.push(...CurriculumValidator.validateDependencies(moduleData.dependencies));
+
+        if (moduleData.exercises === undefined) {
+            issues.push(CurriculumValidator.warning('$.exercises', 'No exercises listed, all exercises will be used'));
+        } else if (!Array.isArray(moduleData.exercises)) {
+            issues.push(CurriculumValidator.error('$.exercises', 'Exercises must be an array'));
+        } else {
+            moduleData.exercises.forEach((exerciseType, index) => {
+                if (!CurriculumValidator.EXERCISE_TYPES.includes(exerciseType)) {
+                    issues.push(CurriculumValidator.error(
+                        `$.exercises[${index}]`, `Unknown exercise type "${exerciseType}"`));
+                }
+            });
+        }
+
+        if (moduleData.optional_exercises !== undefined) {
+            if (!Array.isArray(moduleData.optional_exercises)) {
+                issues.push(CurriculumValidator.error('$.optional_exercises', 'Optional exercises must be an array'));
+            } else {
+                const exercises = Array.isArray(moduleData.exercises) ? moduleData.exercises : [];
+                moduleData.optional_exercises.forEach((exerciseType, index) => {
+                    if (!exercises.includes(exerciseType)) {
+                        issues.push(CurriculumValidator.error(`$.optional_exercises[${index}]`,
+                            `"${exerciseType}" is not one of the module's exercises`));
+                    }
+                });
+            }
+        }
+
+        if (moduleData.unlock_rules !== undefined) {
+            issues.push(...CurriculumValidator.validateUnlockRules(moduleData.unlock_rules,
+                Array.isArray(moduleData.exercises) ? moduleData.exercises : CurriculumValidator.EXERCISE_TYPES));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validate unlock_rules: { order, threshold, thresholds, required_difficulty, skill_mastery }
+     * @private
+     * @param {*} rules - The unlock_rules value
+     * @param {Array<string>} exercises - The module's exercises
+     */
+    static validateUnlockRules(rules, exercises) {
+        if (!CurriculumValidator.isObject(rules)) {
+            return [CurriculumValidator.error('$.unlock_rules', 'Unlock rules must be an object')];
+        }
+
+        const issues = [];
+        const checkExercise = (exerciseType, path) => {
+            if (!exercises.includes(exerciseType)) {
+                issues.push(CurriculumValidator.error(path, `"${exerciseType}" is not one of the module's exercises`));
+            }
+        };
+
+        if (rules.order !== undefined) {
+            if (!Array.isArray(rules.order)) {
+                issues.push(CurriculumValidator.error('$.unlock_rules.order', 'Order must be an array of exercises'));
+            } else {
+                rules.order.forEach((exerciseType, index) => {
+                    checkExercise(exerciseType, `$.unlock_rules.order[${index}]`);
+                });
+                exercises.filter(exerciseType => !rules.order.includes(exerciseType)).forEach(exerciseType => {
+                    issues.push(CurriculumValidator.warning('$.unlock_rules.order',
+                        `"${exerciseType}" is not in the unlock order and can only be unlocked by hand`));
+                });
+            }
+        }
+
+        if (rules.threshold !== undefined && !CurriculumValidator.isUnitNumber(rules.threshold)) {
+            issues.push(CurriculumValidator.error('$.unlock_rules.threshold',
+                'Threshold must be a number between 0 and 1'));
+        }
+
+        if (rules.skill_mastery !== undefined && typeof rules.skill_mastery !== 'boolean') {
+            issues.push(CurriculumValidator.error('$.unlock_rules.skill_mastery',
+                'skill_mastery must be true or false'));
+        }
+
+        ['thresholds', 'required_difficulty'].forEach(field => {
+            const value = rules[field];
+            if (value === undefined) {
+                return;
+            }
+            if (!CurriculumValidator.isObject(value)) {
+                issues.push(CurriculumValidator.error(`$.unlock_rules.${field}`,
+                    `${field} must map exercises to values`));
+                return;
+            }
+
+            Object.entries(value).forEach(([exerciseType, setting]) => {
+                const path = `$.unlock_rules.${field}.${exerciseType}`;
+                checkExercise(exerciseType, path);
+                if (field === 'thresholds' && !CurriculumValidator.isUnitNumber(setting)) {
+                    issues.push(CurriculumValidator.error(path, 'Threshold must be a number between 0 and 1'));
+                } else if (field === 'required_difficulty' && !['string', 'number'].includes(typeof setting)) {
+                    issues.push(CurriculumValidator.error(path, 'Required difficulty must be a setting value'));
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validate the dependencies field: null, a module id, or a list of ids / {module, mastery} objects
+     * @private
+     */
+    static validateDependencies(dependencies) {
+        if (dependencies === null || dependencies === undefined || typeof dependencies === 'string') {
+            return [];
+        }
+        if (!Array.isArray(dependencies)) {
+            return [CurriculumValidator.error('$.dependencies', 'Dependencies must be null, a module id or an array')];
+        }
+
+        const issues = [];
+        dependencies.forEach((dependency, index) => {
+            const path = `$.dependencies[${index}]`;
+            if (typeof dependency === 'string') {
+                return;
+            }
+
+            if (!CurriculumValidator.isObject(dependency) || typeof dependency.module !== 'string') {
+                issues.push(CurriculumValidator.error(path, 'Dependency must be a module id or {"module": id}'));
+            } else if (dependency.mastery !== undefined && !CurriculumValidator.isUnitNumber(dependency.mastery)) {
+                issues.push(CurriculumValidator.error(`${path}.mastery`, 'Mastery must be a number between 0 and 1'));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Validate every vocabulary entry and look for duplicate words
+     * @private
+     */
+    static validateVocabulary(vocabulary) {
+        const issues = [];
+        const seen = {};
+
+        vocabulary.forEach((entry, index) => {
+            const path = `$.content.vocabulary[${index}]`;
+            issues.push(...CurriculumValidator.validateVocabularyEntry(entry, path));
+
+            if (CurriculumValidator.isObject(entry) && typeof entry.word === 'string') {
+                const key = entry.word.toLowerCase();
+                if (seen[key] !== undefined) {
+                    issues.push(CurriculumValidator.warning(`${path}.word`,
+                        `Duplicate word "${entry.word}" (also at $.content.vocabulary[${seen[key]}])`));
+                } else {
+                    seen[key] = index;
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validate a single vocabulary entry
+     * @param {Object} entry - Vocabulary entry
+     * @param {string} path - JSON path of the entry
+     * @returns {Array<Object>} Issues found
+     */
+    static validateVocabularyEntry(entry, path) {
+        if (!CurriculumValidator.isObject(entry)) {
+            return [CurriculumValidator.error(path, 'Vocabulary entry must be an object')];
+        }
+
+        const issues = [];
+
+        ['word', 'definition'].forEach(field => {
+            if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+                issues.push(CurriculumValidator.error(`${path}.${field}`, `Missing ${field}`));
+            }
+        });
+
+        if (entry.fitb !== undefined) {
+            const blanks = typeof entry.fitb === 'string' ? entry.fitb.split('{blank}').length - 1 : 0;
+            if (blanks !== 1) {
+                issues.push(CurriculumValidator.error(`${path}.fitb`,
+                    blanks === 0 ? 'fitb has no {blank}' : 'fitb has more than one {blank}'));
+            }
+        }
+
+        ['difficulty', 'importance'].forEach(field => {
+            if (entry[field] === undefined) {
+                issues.push(CurriculumValidator.warning(`${path}.${field}`, `Missing ${field}`));
+            } else if (!CurriculumValidator.isUnitNumber(entry[field])) {
+                issues.push(CurriculumValidator.error(`${path}.${field}`,
+                    `${field} must be a number between 0 and 1 (got ${JSON.stringify(entry[field])})`));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validate the narrative fragments and their ordering
+     * @private
+     */
+    static validateNarrative(narrative) {
+        if (!CurriculumValidator.isObject(narrative)) {
+            return [CurriculumValidator.error('$.content.narrative', 'Narrative must be an object of fragments')];
+        }
+
+        const issues = [];
+        const indices = [];
+
+        Object.keys(narrative).forEach(key => {
+            const path = `$.content.narrative["${key}"]`;
+            if (!/^\d+$/.test(key)) {
+                issues.push(CurriculumValidator.error(path, 'Fragment keys must be whole numbers'));
+                return;
+            }
+            indices.push(parseInt(key, 10));
+            issues.push(...CurriculumValidator.validateFragment(narrative[key], path));
+        });
+
+        indices.sort((a, b) => a - b);
+        indices.forEach((index, position) => {
+            if (index !== position) {
+                issues.push(CurriculumValidator.warning(`$.content.narrative["${index}"]`,
+                    `Fragment numbering skips from ${position - 1} to ${index}`));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validate a single narrative fragment
+     * @param {Object} fragment - Narrative fragment
+     * @param {string} path - JSON path of the fragment
+     * @returns {Array<Object>} Issues found
+     */
+    static validateFragment(fragment, path) {
+        if (!CurriculumValidator.isObject(fragment) || typeof fragment.text !== 'string') {
+            return [CurriculumValidator.error(`${path}.text`, 'Fragment must have text')];
+        }
+
+        const issues = [];
+        const focalWords = CurriculumValidator.getFocalWords(fragment.text);
+
+        if (focalWords === null) {
+            issues.push(CurriculumValidator.error(`${path}.text`,
+                'Unbalanced braces around the focal word'));
+        } else if (focalWords.some(word => word.trim() === '')) {
+            issues.push(CurriculumValidator.error(`${path}.text`, 'Empty {} focal word'));
+        } else if (focalWords.length > 1) {
+            issues.push(CurriculumValidator.warning(`${path}.text`,
+                `More than one focal word, only {${focalWords[0]}} gets variants`));
+        }
+
+        ['vocab', 'spelling'].forEach(variant => {
+            if (fragment[variant] === undefined) {
+                return;
+            }
+
+            if (typeof fragment[variant] !== 'string' || fragment[variant].trim() === '') {
+                issues.push(CurriculumValidator.error(`${path}.${variant}`,
+                    `${variant} variant must be a non-empty string`));
+            } else if (focalWords !== null && focalWords.length === 0) {
+                issues.push(CurriculumValidator.error(`${path}.${variant}`,
+                    `${variant} variant on a fragment with no {focal} word`));
+            } else if (focalWords && focalWords[0] === fragment[variant]) {
+                issues.push(CurriculumValidator.warning(`${path}.${variant}`,
+                    `${variant} variant is the same as the focal word`));
+            }
+        });
+
+        if (fragment.flag !== undefined && !CurriculumValidator.FRAGMENT_FLAGS.includes(fragment.flag)) {
+            issues.push(CurriculumValidator.warning(`${path}.flag`, `Unknown flag ${JSON.stringify(fragment.flag)}`));
+        }
+
+        Object.keys(fragment).forEach(key => {
+            if (!['text', 'vocab', 'spelling', 'flag'].includes(key)) {
+                issues.push(CurriculumValidator.warning(`${path}.${key}`, `Unknown fragment field "${key}"`));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Get the {focal} words in fragment text
+     * @param {string} text - Fragment text
+     * @returns {Array<string>|null} Focal words, or null if the braces don't pair up
+     */
+    static getFocalWords(text) {
+        const words = [];
+        let open = -1;
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '{') {
+                if (open !== -1) {
+                    return null;
+                }
+                open = i;
+            } else if (text[i] === '}') {
+                if (open === -1) {
+                    return null;
+                }
+                words.push(text.slice(open + 1, i));
+                open = -1;
+            }
+        }
+
+        return open === -1 ? words : null;
+    }
+
+    /**
+     * Whether an issue makes the whole module unusable
+     * Problems inside one vocabulary entry or narrative fragment can be worked around
+     * @param {Object} issue - Issue from validate()
+     * @returns {boolean}
+     */
+    static isFatal(issue) {
+        return issue.severity === 'error' &&
+            !/^\$\.content\.(vocabulary\[\d+\]|narrative\["[^"]*"\])/.test(issue.path);
+    }
+
+    /**
+     * Format issues as one line each, for logs and the command line
+     * @param {Object} result - Result from validate()
+     * @returns {Array<string>}
+     */
+    static formatIssues(result) {
+        return [...result.errors, ...result.warnings].map(issue =>
+            `${issue.severity === 'error' ? 'error  ' : 'warning'} ${issue.path}: ${issue.message}`
+        );
+    }
+
+    /**
+     * Split issues into errors and warnings
+     * @private
+     */
+    static buildResult(issues) {
+        const errors = issues.filter(issue => issue.severity === 'error');
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            warnings: issues.filter(issue => issue.severity === 'warning')
+        };
+    }
+
+    /**
+     * @private
+     */
+    static error(path, message) {
+        return { path, message, severity: 'error' };
+    }
+
+    /**
+     * @private
+     */
+    static warning(path, message) {
+        return { path, message, severity: 'warning' };
+    }
+
+    /**
+     * @private
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * @private
+     */
+    static isUnitNumber(value) {
+        return typeof value === 'number' && !isNaN(value) && value >= 0 && value <= 1;
+    }
+}
+
+CurriculumValidator.EXERCISE_TYPES = [
+    'multiple_choice',
+    'fill_in_the_blank',
+    'spelling',
+    'bubble_pop',
+    'fluent_reading'
+];
+
+CurriculumValidator.FRAGMENT_FLAGS = ['checkpoint', '{checkpoint}'];
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurriculumValidator;
+} else {
+    window.CurriculumValidator = CurriculumValidator;
+}
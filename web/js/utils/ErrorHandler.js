@@ -102,6 +102,7 @@ class ErrorHandler {
                 message: error.message,
                 stack: error.stack,
                 name: error.name,
+                ...this.classifyError(error),
                 silent: false
             };
         }
@@ -131,10 +132,32 @@ class ErrorHandler {
             line: error.line,
             column: error.column,
             silent: error.silent || false,
+            ...this.classifyError(error.error || error),
             ...error
         };
     }
     
+    /**
+     * Classify an error by what went wrong
+     * API errors (see APIErrors.js) carry their own category; plain fetch failures are recognised
+     * by name.
+     * @param {Error|Object} error - Error to classify
+     * @returns {{category: string, retryable: boolean}} Category (network, timeout, server, rate_limit,
+     *     auth, not_found, client, validation, invalid_response or unknown) and whether retrying may help
+     */
+    classifyError(error) {
+        if (error && error.category) {
+            return { category: error.category, retryable: !!error.retryable };
+        }
+        if (error && error.name === 'AbortError') {
+            return { category: 'timeout', retryable: true };
+        }
+        if (error && error.name === 'TypeError' && /fetch|network/i.test(error.message || '')) {
+            return { category: 'network', retryable: true };
+        }
+        return { category: 'unknown', retryable: false };
+    }
+    
     /**
      * Log error to internal log
      * @private
@@ -201,6 +224,19 @@ class ErrorHandler {
      * @returns {string} User-friendly message
      */
     getUserFriendlyMessage(errorObj) {
+        const categoryMessages = {
+            'network': 'Can\'t reach the server. Your progress is saved on this device.',
+            'timeout': 'The server is taking too long to respond. Please try again.',
+            'server': 'The server had a problem. Please try again in a moment.',
+            'rate_limit': 'Too many requests. Please wait a moment and try again.',
+            'auth': 'You are not allowed to do that. Please sign in again.',
+            'validation': 'Please check your input and try again.',
+            'invalid_response': 'The server sent an unexpected response. Please refresh the page.'
+        };
+        if (categoryMessages[errorObj.category]) {
+            return categoryMessages[errorObj.category];
+        }
+        
         const contextMessages = {
             'network': 'Network error. Please check your connection.',
             'validation': 'Please check your input and try again.',
@@ -465,4 +465,6 @@ class InputValidator {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = InputValidator;
+} else {
+    window.InputValidator = InputValidator;
 }